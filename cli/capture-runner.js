@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// cli/capture-runner.js - Headless command-line capture driven by a job file
+//
+// Usage: node cli/capture-runner.js <job.json> [--out <folder>] [--verbose]
+//        (or npm run capture -- <job.json>; needs the optional puppeteer peer
+//        dependency: npm install puppeteer)
+//
+// Loads the headless bundle (npm run build writes dist/perspective-screenshot-headless.min.js,
+// npm run dev the unminified .js) and dom-to-image-more from node_modules into a page served on the Gateway's own origin, so the capture iframes can read the
+// Perspective pages like the in-Gateway tool does, then writes every image and a
+// manifest.json to <outputDir>/<run timestamp>/.
+//
+// Job file fields (see cli/example-job.json; files saved with "Save Job" in the tool
+// use the same fields, the form-only ones are ignored):
+//   baseUrl         Project client URL, e.g. http://host:8088/data/perspective/client/Project
+//   toolUrl         WebDev folder of the tool, used for its getUrls endpoint when no pages are given
+//   pages           Page paths, or a { "pages": { ... } } object like getUrls returns
+//   routeParams     Values for route parameters, e.g. { "id": [101, 102] }
+//   presets         Preset ids (default: config.screenshot.defaultPreset)
+//   fullPage        Capture the full scroll height
+//   waitTime        Maximum wait per page in seconds
+//   smartWait       Finish waiting as soon as the page is ready
+//   scale           Render scale (1, 2 or 3)
+//   output          { format, quality, maxDimension }
+//   captureTarget   { selector, padding } to crop every page to one element
+//   redaction       { name, rules } redaction profile
+//   actions         Action sequences run before the capture (one image per sequence)
+//   namingTemplate  File name template (see URLProcessor.applyNamingTemplate)
+//   retry           { maxAttempts, backoffMs } overrides of config.retry
+//   cookies         Cookies for the Gateway session, as accepted by page.setCookie()
+//   outputDir       Folder for the run folders (default: screenshots)
+//
+// Exit codes: 0 all pages captured, 1 the job could not run, 2 some captures failed.
+
+const fs = require("fs");
+const path = require("path");
+
+// Production and development builds of the headless bundle (see rollup.config.js)
+const BUNDLE_PATHS = [
+  "perspective-screenshot-headless.min.js",
+  "perspective-screenshot-headless.js",
+].map((fileName) => path.join(__dirname, "..", "dist", fileName));
+const DEFAULT_TOOL_PATH = "/system/webdev/perspective-capture/";
+const RUNNER_PAGE = "headless-runner.html";
+
+/**
+ * Read the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{jobFile: string, outDir: string|null, verbose: boolean}}
+ */
+function parseArgs(argv) {
+  const args = { jobFile: null, outDir: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out") {
+      args.outDir = argv[++i];
+    } else if (argv[i] === "--verbose") {
+      args.verbose = true;
+    } else if (!args.jobFile) {
+      args.jobFile = argv[i];
+    }
+  }
+  return args;
+}
+
+/**
+ * Folder name of a run, e.g. 20240131_020000
+ * @param {Date} date
+ * @returns {string}
+ */
+function runFolderName(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+    date.getDate()
+  )}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * The most recently built headless bundle
+ * @returns {string|null} - Path of the bundle, or null if none was built
+ */
+function findBundle() {
+  const built = BUNDLE_PATHS.filter((bundlePath) => fs.existsSync(bundlePath));
+  if (built.length === 0) return null;
+  return built.reduce((newest, bundlePath) =>
+    fs.statSync(bundlePath).mtimeMs > fs.statSync(newest).mtimeMs
+      ? bundlePath
+      : newest
+  );
+}
+
+/**
+ * Inline script tag; the source must not end the tag early
+ * @param {string} source - Script source
+ * @returns {string}
+ */
+function inlineScript(source) {
+  return `<script>${source.replace(/<\/script/gi, "<\\/script")}</script>`;
+}
+
+/**
+ * HTML of the page the headless bundle runs in. Both scripts are inlined so a
+ * run does not depend on a CDN.
+ * @param {string} bundle - Headless bundle source
+ * @param {string} domToImage - dom-to-image-more source
+ * @returns {string}
+ */
+function runnerHtml(bundle, domToImage) {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>Perspective Capture Runner</title>
+    ${inlineScript(domToImage)}
+  </head>
+  <body>
+    ${inlineScript(bundle)}
+  </body>
+</html>`;
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.jobFile) {
+    console.error(
+      "Usage: node cli/capture-runner.js <job.json> [--out <folder>] [--verbose]"
+    );
+    return 1;
+  }
+  const bundlePath = findBundle();
+  if (!bundlePath) {
+    console.error(
+      `Headless bundle not found at ${BUNDLE_PATHS.join(
+        " or "
+      )}. Run "npm run build" first.`
+    );
+    return 1;
+  }
+  let domToImage;
+  try {
+    domToImage = fs.readFileSync(require.resolve("dom-to-image-more"), "utf8");
+  } catch (error) {
+    console.error(
+      'dom-to-image-more is not installed. Run "npm install" first.'
+    );
+    return 1;
+  }
+
+  let job;
+  try {
+    job = JSON.parse(fs.readFileSync(args.jobFile, "utf8"));
+  } catch (error) {
+    console.error(`Could not read job file ${args.jobFile}: ${error.message}`);
+    return 1;
+  }
+  if (!job.baseUrl) {
+    console.error("The job file needs a baseUrl.");
+    return 1;
+  }
+
+  let puppeteer;
+  try {
+    puppeteer = require("puppeteer");
+  } catch (error) {
+    console.error(
+      'puppeteer is not installed. Run "npm install puppeteer" first.'
+    );
+    return 1;
+  }
+
+  const startedAt = new Date();
+  const outDir = path.resolve(
+    args.outDir || job.outputDir || "screenshots",
+    runFolderName(startedAt)
+  );
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const origin = new URL(job.baseUrl).origin;
+  const runnerUrl = new URL(
+    RUNNER_PAGE,
+    job.toolUrl ? new URL(job.toolUrl, origin) : origin + DEFAULT_TOOL_PATH
+  ).href;
+  const html = runnerHtml(fs.readFileSync(bundlePath, "utf8"), domToImage);
+
+  const browser = await puppeteer.launch({ headless: "new" });
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1920, height: 1080 });
+    if (Array.isArray(job.cookies) && job.cookies.length > 0) {
+      await page.setCookie(
+        ...job.cookies.map((cookie) => ({ url: origin, ...cookie }))
+      );
+    }
+    page.on("console", (message) => {
+      if (args.verbose || message.type() === "error") {
+        console.log(`[page] ${message.text()}`);
+      }
+    });
+
+    // Serve the runner page from the Gateway origin; everything else goes through
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.url() === runnerUrl) {
+        request.respond({ status: 200, contentType: "text/html", body: html });
+      } else {
+        request.continue();
+      }
+    });
+    await page.goto(runnerUrl, { waitUntil: "load" });
+
+    const queue = await page.evaluate(
+      (jobData) => PerspectiveCaptureHeadless.prepareJob(jobData),
+      job
+    );
+    console.log(`Capturing ${queue.length} page(s) into ${outDir}`);
+
+    const entries = [];
+    for (const [i, item] of queue.entries()) {
+      const result = await page.evaluate(
+        (queueItem) => PerspectiveCaptureHeadless.captureItem(queueItem),
+        item
+      );
+      result.images.forEach(({ fileName, data }) =>
+        fs.writeFileSync(
+          path.join(outDir, fileName),
+          Buffer.from(data, "base64")
+        )
+      );
+      result.entries.forEach((entry) => {
+        entries.push(entry);
+        console.log(
+          `[${i + 1}/${queue.length}] ${entry.error ? "FAILED" : "OK    "} ${
+            entry.url
+          } (${entry.presetName}${
+            entry.sequenceName ? `, ${entry.sequenceName}` : ""
+          })${entry.error ? `: ${entry.errorMessage}` : ""}`
+        );
+      });
+    }
+
+    const manifest = {
+      job: path.basename(args.jobFile),
+      baseUrl: job.baseUrl,
+      startedAt: startedAt.toISOString(),
+      generatedAt: new Date().toISOString(),
+      capturedCount: entries.filter((entry) => !entry.error).length,
+      failedCount: entries.filter((entry) => entry.error).length,
+      entries,
+    };
+    fs.writeFileSync(
+      path.join(outDir, "manifest.json"),
+      JSON.stringify(manifest, null, 2)
+    );
+    console.log(
+      `Done: ${manifest.capturedCount} captured, ${manifest.failedCount} failed.`
+    );
+    return manifest.failedCount > 0 ? 2 : 0;
+  } finally {
+    await browser.close();
+  }
+}
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`Capture run failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,182 @@
+/**
+ * Action Libraries Module
+ * Named sets of action sequences (e.g. menu walkthroughs) saved in localStorage and
+ * shared between machines as JSON files. Each library records the project it was made
+ * for and a revision that is bumped on every save.
+ */
+import { AppError } from "./errors.js";
+import { createNamedStore } from "./named-store.js";
+import { validateAction } from "./screenshot/actions.js";
+
+const store = createNamedStore("perspectiveCapture.actionLibraries", {
+  label: "action library",
+  errorCode: "ACTION_LIBRARY_ERROR",
+});
+
+/**
+ * Identifies an exported library file and the version of its layout
+ */
+export const LIBRARY_FILE_FORMAT = "perspective-capture-action-library";
+export const LIBRARY_FILE_VERSION = 1;
+
+const ActionLibraries = {
+  /**
+   * Read all libraries from localStorage
+   * @returns {Object<string, Object>} - Libraries keyed by name
+   */
+  getAll() {
+    return store.getAll();
+  },
+
+  /**
+   * Get a library by name
+   * @param {string} name - Library name
+   * @returns {{name: string, projectName: string, revision: number, updatedAt: string, sequences: Array<Object>}|null}
+   */
+  get(name) {
+    return store.get(name);
+  },
+
+  /**
+   * Create or replace a library, bumping its revision unless one is given
+   * @param {string} name - Library name
+   * @param {Array<{name: string, actions: Array<Object>}>} sequences - Action sequences
+   * @param {Object} [options]
+   * @param {string} [options.projectName] - Project the sequences were made for
+   * @param {number} [options.revision] - Revision to keep (imported libraries)
+   * @returns {Object} - The saved library
+   * @throws {AppError} - If the name is empty or a sequence is invalid
+   */
+  save(name, sequences, { projectName = "", revision } = {}) {
+    const trimmedName = (name || "").trim();
+    if (!trimmedName) {
+      throw new AppError(
+        "Please enter a name for the action library.",
+        "ACTION_LIBRARY_ERROR"
+      );
+    }
+    this.validateSequences(sequences);
+
+    return store.put({
+      name: trimmedName,
+      projectName,
+      revision: revision || (this.get(trimmedName)?.revision || 0) + 1,
+      updatedAt: new Date().toISOString(),
+      sequences,
+    });
+  },
+
+  /**
+   * Delete a library
+   * @param {string} name - Library name
+   * @returns {boolean} - Whether a library was deleted
+   * @throws {AppError} - If the change cannot be stored
+   */
+  remove(name) {
+    return store.remove(name);
+  },
+
+  /**
+   * Check sequences against the action schema
+   * @param {Array<{name: string, actions: Array<Object>}>} sequences
+   * @throws {AppError} - Naming the first invalid sequence or action
+   */
+  validateSequences(sequences) {
+    if (!Array.isArray(sequences) || sequences.length === 0) {
+      throw new AppError(
+        "An action library needs at least one action sequence.",
+        "ACTION_LIBRARY_ERROR"
+      );
+    }
+    sequences.forEach((sequence, i) => {
+      if (!sequence || typeof sequence.name !== "string" || !sequence.name) {
+        throw new AppError(
+          `Sequence ${i + 1} has no name.`,
+          "ACTION_LIBRARY_ERROR"
+        );
+      }
+      if (!Array.isArray(sequence.actions) || sequence.actions.length === 0) {
+        throw new AppError(
+          `Sequence "${sequence.name}" has no actions.`,
+          "ACTION_LIBRARY_ERROR"
+        );
+      }
+      sequence.actions.forEach((action, j) => {
+        const problems = validateAction(action);
+        if (problems.length > 0) {
+          throw new AppError(
+            `Sequence "${sequence.name}" action ${j + 1}: ${problems
+              .map((problem) => problem.message)
+              .join(", ")}.`,
+            "ACTION_LIBRARY_ERROR"
+          );
+        }
+      });
+    });
+  },
+
+  /**
+   * Build the JSON file content of a library
+   * @param {string} name - Library name
+   * @returns {string}
+   * @throws {AppError} - If there is no such library
+   */
+  toFile(name) {
+    const library = this.get(name);
+    if (!library) {
+      throw new AppError(
+        `No action library named "${name}".`,
+        "ACTION_LIBRARY_ERROR"
+      );
+    }
+    return JSON.stringify(
+      {
+        format: LIBRARY_FILE_FORMAT,
+        formatVersion: LIBRARY_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...library,
+      },
+      null,
+      2
+    );
+  },
+
+  /**
+   * Read and validate an exported library file (does not save it)
+   * @param {string} text - File content
+   * @returns {{name: string, projectName: string, revision: number, sequences: Array<Object>}}
+   * @throws {AppError} - If the file is not a valid library of a supported version
+   */
+  parseFile(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new AppError(
+        `The file is not valid JSON: ${error.message}`,
+        "ACTION_LIBRARY_ERROR"
+      );
+    }
+    if (!parsed || parsed.format !== LIBRARY_FILE_FORMAT) {
+      throw new AppError(
+        "The file is not an action library export.",
+        "ACTION_LIBRARY_ERROR"
+      );
+    }
+    if (!(parsed.formatVersion <= LIBRARY_FILE_VERSION)) {
+      throw new AppError(
+        `The library file version ${parsed.formatVersion} is newer than this tool supports (${LIBRARY_FILE_VERSION}).`,
+        "ACTION_LIBRARY_ERROR"
+      );
+    }
+    this.validateSequences(parsed.sequences);
+    return {
+      name: (parsed.name || "").trim(),
+      projectName: parsed.projectName || "",
+      revision: parsed.revision || 1,
+      sequences: parsed.sequences,
+    };
+  },
+};
+
+export default ActionLibraries;
@@ -0,0 +1,183 @@
+/**
+ * Action Validator Module
+ * Checks the action JSON typed into the editor before a capture: JSON syntax, the
+ * sequence layout, known action types, required fields and selector syntax.
+ * Every problem is reported with the line it was found on.
+ */
+import { validateAction } from "./screenshot/actions.js";
+
+/**
+ * Line number of a character offset
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number} - 1-based line
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split("\n").length;
+}
+
+/**
+ * Line of a JSON.parse error, read from the engine's message
+ * ("at position 42" or "(line 3 column 5)")
+ * @param {string} text - Text that failed to parse
+ * @param {SyntaxError} error
+ * @returns {number|null}
+ */
+function syntaxErrorLine(text, error) {
+  const lineMatch = /line (\d+)/.exec(error.message);
+  if (lineMatch) return Number(lineMatch[1]);
+  const positionMatch = /position (\d+)/.exec(error.message);
+  return positionMatch ? lineAt(text, Number(positionMatch[1])) : null;
+}
+
+/**
+ * Map the lines of an already valid JSON text: every value gets the line it starts
+ * on, objects also the line of each key.
+ * @param {string} text - Valid JSON
+ * @returns {{line: number, fields?: Object<string, number>, children?: Object|Array}}
+ */
+function mapLines(text) {
+  let i = 0;
+  let line = 1;
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === "\n") line++;
+      i++;
+    }
+  };
+  const readString = () => {
+    const start = i++;
+    while (text[i] !== '"') i += text[i] === "\\" ? 2 : 1;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = () => {
+    skipWhitespace();
+    const node = { line };
+    if (text[i] === "{" || text[i] === "[") {
+      const isObject = text[i++] === "{";
+      const close = isObject ? "}" : "]";
+      node.children = isObject ? {} : [];
+      node.fields = {};
+      skipWhitespace();
+      while (text[i] !== close) {
+        if (isObject) {
+          skipWhitespace();
+          const key = readString();
+          node.fields[key] = line;
+          skipWhitespace();
+          i++; // ":"
+          node.children[key] = readValue();
+        } else {
+          node.children.push(readValue());
+        }
+        skipWhitespace();
+        if (text[i] === ",") i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    }
+    return node;
+  };
+  return readValue();
+}
+
+/**
+ * Validate the action editor text. Accepts the same layouts as
+ * CaptureRecipes.parseSequences: an array of {name, actions} sequences or a plain
+ * array of actions.
+ * @param {string} text - Editor content
+ * @returns {Array<{line: number|null, field: string|null, message: string}>} - Problems, empty if valid
+ */
+export function validateActionsText(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text || "");
+  } catch (error) {
+    if (!(text || "").trim()) {
+      return [
+        { line: null, field: null, message: "Enter at least one action." },
+      ];
+    }
+    return [
+      {
+        line: syntaxErrorLine(text, error),
+        field: null,
+        message: `Invalid JSON: ${error.message}`,
+      },
+    ];
+  }
+  const root = mapLines(text);
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    return [
+      {
+        line: root.line,
+        field: null,
+        message: "Actions must be a non-empty JSON array.",
+      },
+    ];
+  }
+
+  const problems = [];
+  const checkActions = (actions, node, label) => {
+    actions.forEach((action, i) => {
+      const actionNode = node.children[i];
+      validateAction(action).forEach(({ field, message }) =>
+        problems.push({
+          line: actionNode.fields?.[field] || actionNode.line,
+          field,
+          message: `${label}action ${i + 1}: ${message}`,
+        })
+      );
+    });
+  };
+
+  const isSequence = (entry) =>
+    entry && typeof entry === "object" && "actions" in entry;
+  if (!parsed.some(isSequence)) {
+    checkActions(parsed, root, "");
+    return problems;
+  }
+
+  const names = new Map();
+  parsed.forEach((sequence, i) => {
+    const node = root.children[i];
+    const name = (sequence?.name || "").trim() || `Step ${i + 1}`;
+    if (!isSequence(sequence) || !Array.isArray(sequence.actions)) {
+      problems.push({
+        line: node.fields?.actions || node.line,
+        field: "actions",
+        message: `Sequence ${i + 1} needs an "actions" array.`,
+      });
+      return;
+    }
+    if (names.has(name)) {
+      problems.push({
+        line: node.fields.name || node.line,
+        field: "name",
+        message: `Sequence name "${name}" is already used on line ${names.get(
+          name
+        )}.`,
+      });
+    } else {
+      names.set(name, node.fields.name || node.line);
+    }
+    if (sequence.actions.length === 0) {
+      problems.push({
+        line: node.fields.actions,
+        field: "actions",
+        message: `"${name}" has no actions.`,
+      });
+    }
+    checkActions(sequence.actions, node.children.actions, `"${name}" `);
+  });
+  return problems;
+}
+
+export default {
+  validateActionsText,
+};
@@ -2,9 +2,19 @@
 // perspective_capture/js/app.js
 import config from "./config.js";
 import AppState from "./state.js";
+import Baseline from "./baseline.js";
+import Presets from "./presets.js";
+import RunHistory from "./run-history.js";
+import CaptureCheckpoint from "./capture-checkpoint.js";
+import CaptureRecipes from "./capture-recipes.js";
+import RedactionProfiles from "./redaction-profiles.js";
 import UI from "./ui/index.js";
 import URLProcessor from "./url-processor.js";
 import * as ScreenshotCapture from "./screenshot/core.js";
+import IframePool from "./screenshot/iframe-pool.js";
+import { compareScreenshots } from "./screenshot/diff.js";
+import { createZipArchive, downloadBlob } from "./export/zip-exporter.js";
+import { createHtmlReport } from "./export/html-report.js";
 import * as events from "./events.js";
 import {
   handleError,
@@ -15,6 +25,10 @@ import {
 import urlSelector from "./ui/url-selector.js";
 import LoginHandler from "./login-handler.js";
 import urlFetcher from "./url-fetcher.js";
+import { validateActionsText } from "./action-validator.js";
+import CaptureJob from "./capture-job.js";
+import CaptureScheduler from "./capture-scheduler.js";
+import { getNamingContext, takeScreenshotWithRetry } from "./capture-item.js";
 
 class App {
   constructor() {
@@ -22,6 +36,7 @@ class App {
     this.captureScreenshots = this.captureScreenshots.bind(this);
     this._handleActionsInput = this._handleActionsInput.bind(this);
     this.baseUrl = "";
+    this.currentRunId = null;
     this.baseUrlValid = false;
     this.gatewayBaseForProjects = "";
     this.loginHandler = LoginHandler;
@@ -29,6 +44,15 @@ class App {
     this.isPaused = false;
     this.captureQueue = [];
     this.currentCaptureIndex = 0;
+    this._completedIndices = new Set(); // Queue indices already captured or failed
+    this._pendingResume = null; // Checkpoint picked up by the next captureScreenshots call
+    this._pendingRetry = false; // Set by retryFailedCaptures for the next captureScreenshots call
+    this._inFlightIndices = new Set(); // Queue indices currently being captured by a worker
+    this._usedFileNames = new Set(); // Lower-cased file names given out in the current run
+    this._actionProblems = []; // Validation problems of the action sequences editor
+    this._pendingJob = null; // Capture job applied when the capture form is next shown
+    this._jobRestore = null; // Promise of the capture job being applied to the form
+    this._scheduledRunActive = false; // A scheduled capture is loading its job or capturing
     this.pauseResumeCapture = this.pauseResumeCapture.bind(this);
     this._handleBaseUrlInput = this._handleBaseUrlInput.bind(this);
     this._handleProjectSelection = this._handleProjectSelection.bind(this);
@@ -48,6 +72,19 @@ class App {
       this._setSpecificOptionsDisabled.bind(this); // Make sure it's bound
     this._setAllOptionsDisabledDuringCapture =
       this._setAllOptionsDisabledDuringCapture.bind(this);
+    this._setBaselineFromCurrentRun =
+      this._setBaselineFromCurrentRun.bind(this);
+    this._clearBaseline = this._clearBaseline.bind(this);
+    this._openHistoryRun = this._openHistoryRun.bind(this);
+    this._exportHistoryRun = this._exportHistoryRun.bind(this);
+    this._downloadAllAsZip = this._downloadAllAsZip.bind(this);
+    this._downloadHtmlReport = this._downloadHtmlReport.bind(this);
+    this.resumeCapture = this.resumeCapture.bind(this);
+    this.retryFailedCaptures = this.retryFailedCaptures.bind(this);
+    this._discardCheckpoint = this._discardCheckpoint.bind(this);
+    this._saveCaptureJob = this._saveCaptureJob.bind(this);
+    this._loadCaptureJob = this._loadCaptureJob.bind(this);
+    this._runScheduledJob = this._runScheduledJob.bind(this);
   }
 
   initialize() {
@@ -68,7 +105,10 @@ class App {
     document.body.classList.remove("advanced-mode");
 
     this.loginHandler.initialize();
-    this._fetchAndPopulateProjects(); // This now enables projectDropdown upon success
+    // This now enables projectDropdown upon success; scheduled jobs need the project list
+    this._fetchAndPopulateProjects().then(() =>
+      CaptureScheduler.start(this._runScheduledJob)
+    );
 
     const baseUrlSection = document.getElementById("baseUrlSection");
     if (baseUrlSection) baseUrlSection.style.display = "";
@@ -149,12 +189,44 @@ class App {
     // So, this function will not manage loginOptionRadios directly anymore for general purpose.
     // It will focus on capture and page source settings.
 
-    const capturePresetSelect = UI.elements.capturePreset;
     const fullPageCheckbox = document.getElementById("fullPageCheckbox");
     const simpleWaitTimeInput = document.getElementById("simpleWaitTime");
-    if (capturePresetSelect) capturePresetSelect.disabled = disabled;
+    const diffThresholdInput = document.getElementById("diffThreshold");
+    const concurrencyInput = document.getElementById("captureConcurrency");
+    const retryAttemptsInput = document.getElementById("retryAttempts");
+    const retryDelayInput = document.getElementById("retryDelay");
+    const smartWaitCheckbox = document.getElementById("smartWaitCheckbox");
+    const scaleSelect = document.getElementById("captureScale");
+    const captureSelectorInput = document.getElementById("captureSelector");
+    const capturePaddingInput = document.getElementById("capturePadding");
+    const outputFormatSelect = document.getElementById("outputFormat");
+    const maxDimensionInput = document.getElementById("maxDimension");
+    const namingTemplateInput = document.getElementById("namingTemplate");
+    const routeParamsInput = document.getElementById("routeParams");
+    UI.presetSelector.setDisabled(disabled);
+    UI.redactionEditor.setDisabled(disabled);
+    UI.recipeEditor.setDisabled(disabled);
+    UI.schedulePanel.setDisabled(disabled);
+    UI.actionLibraryPicker.setDisabled(disabled);
+    const multiShotContainer = document.getElementById("multiShotContainer");
+    multiShotContainer
+      ?.querySelectorAll("input, select, textarea, button")
+      .forEach((el) => (el.disabled = disabled));
     if (fullPageCheckbox) fullPageCheckbox.disabled = disabled;
     if (simpleWaitTimeInput) simpleWaitTimeInput.disabled = disabled;
+    if (diffThresholdInput) diffThresholdInput.disabled = disabled;
+    if (concurrencyInput) concurrencyInput.disabled = disabled;
+    if (retryAttemptsInput) retryAttemptsInput.disabled = disabled;
+    if (retryDelayInput) retryDelayInput.disabled = disabled;
+    if (smartWaitCheckbox) smartWaitCheckbox.disabled = disabled;
+    if (scaleSelect) scaleSelect.disabled = disabled;
+    if (captureSelectorInput) captureSelectorInput.disabled = disabled;
+    if (capturePaddingInput) capturePaddingInput.disabled = disabled;
+    if (routeParamsInput) routeParamsInput.disabled = disabled;
+    if (outputFormatSelect) outputFormatSelect.disabled = disabled;
+    if (maxDimensionInput) maxDimensionInput.disabled = disabled;
+    if (namingTemplateInput) namingTemplateInput.disabled = disabled;
+    this._updateOutputQualityInput(disabled);
 
     const sourceRadios = document.querySelectorAll(
       'input[name="pageSourceOption"]'
@@ -208,6 +280,7 @@ class App {
 
     if (!baseUrlInputElement || !loginOptionSection) return;
 
+    let sessionCheck = Promise.resolve();
     this._hideCaptureFormAndPageSource();
     if (UI.elements.captureBtn) UI.elements.captureBtn.disabled = true;
 
@@ -268,13 +341,16 @@ class App {
           this.gatewayBaseForProjects + selectedProjectName;
         baseUrlInputElement.value = fullProjectUrl;
         // _handleBaseUrlInput will be called, which then calls checkInitialSessionAndSetupUI
-        this._handleBaseUrlInput({ target: baseUrlInputElement });
+        sessionCheck = this._handleBaseUrlInput({
+          target: baseUrlInputElement,
+        });
       }
       // Other capture settings (preset, page source etc.) remain disabled until auth option is chosen.
       this._setSpecificOptionsDisabled(true, true); // keep project dropdown enabled, disable others.
       loginRadios.forEach((radio) => (radio.disabled = false)); // Ensure login options are specifically enabled.
     }
     this._checkCaptureButtonState();
+    return sessionCheck; // Resolves once the project's session has been checked
   }
 
   async _handleBaseUrlInput(event) {
@@ -370,9 +446,7 @@ class App {
     if (UI.elements.progressOutput)
       UI.elements.progressOutput.style.display = "none";
 
-    const capturePresetSelect = UI.elements.capturePreset;
-    if (capturePresetSelect)
-      capturePresetSelect.value = config.screenshot.defaultPreset;
+    UI.presetSelector.setSelected([config.screenshot.defaultPreset]);
     const fullPageCheckbox = document.getElementById("fullPageCheckbox");
     if (fullPageCheckbox) fullPageCheckbox.checked = false;
     const simpleWaitTimeInput = document.getElementById("simpleWaitTime");
@@ -380,6 +454,17 @@ class App {
     if (simpleWaitTimeInput) simpleWaitTimeInput.value = defaultWait;
     const hiddenWaitTimeInput = document.getElementById("hiddenWaitTime");
     if (hiddenWaitTimeInput) hiddenWaitTimeInput.value = defaultWait;
+    const captureSelectorInput = document.getElementById("captureSelector");
+    if (captureSelectorInput) captureSelectorInput.value = "";
+    const capturePaddingInput = document.getElementById("capturePadding");
+    if (capturePaddingInput) capturePaddingInput.value = "0";
+    const routeParamsInput = document.getElementById("routeParams");
+    if (routeParamsInput) routeParamsInput.value = "";
+    const multiShotCheckbox = document.getElementById("multiShotCheckbox");
+    if (multiShotCheckbox) multiShotCheckbox.checked = false;
+    const multiShotPanel = document.getElementById("multiShotPanel");
+    if (multiShotPanel) multiShotPanel.style.display = "none";
+    urlFetcher.setGlobalRouteParams({});
 
     const sourceAutomaticRadio = document.getElementById("sourceAutomatic");
     if (sourceAutomaticRadio) sourceAutomaticRadio.checked = true;
@@ -457,6 +542,39 @@ class App {
         this._checkCaptureButtonState();
       });
     }
+
+    const resumeCaptureBtn = document.getElementById("resumeCaptureBtn");
+    if (resumeCaptureBtn) {
+      events.addDOMEventListener(resumeCaptureBtn, "click", this.resumeCapture);
+    }
+    const discardCheckpointBtn = document.getElementById(
+      "discardCheckpointBtn"
+    );
+    if (discardCheckpointBtn) {
+      events.addDOMEventListener(
+        discardCheckpointBtn,
+        "click",
+        this._discardCheckpoint
+      );
+    }
+
+    const clearBaselineBtn = document.getElementById("clearBaselineBtn");
+    if (clearBaselineBtn) {
+      events.addDOMEventListener(
+        clearBaselineBtn,
+        "click",
+        this._clearBaseline
+      );
+    }
+
+    const saveJobBtn = document.getElementById("saveJobBtn");
+    if (saveJobBtn) {
+      events.addDOMEventListener(saveJobBtn, "click", this._saveCaptureJob);
+    }
+    const loadJobBtn = document.getElementById("loadJobBtn");
+    if (loadJobBtn) {
+      events.addDOMEventListener(loadJobBtn, "click", this._loadCaptureJob);
+    }
   }
 
   _initializeUI() {
@@ -470,6 +588,47 @@ class App {
     if (hiddenWaitTimeInput) hiddenWaitTimeInput.value = defaultWait;
     UI.elements.waitTime = simpleWaitTimeInput || hiddenWaitTimeInput;
 
+    const diffThresholdInput = document.getElementById("diffThreshold");
+    if (diffThresholdInput)
+      diffThresholdInput.value = String(config.regression.failThreshold);
+    this._updateBaselineStatus();
+
+    const smartWaitCheckbox = document.getElementById("smartWaitCheckbox");
+    if (smartWaitCheckbox)
+      smartWaitCheckbox.checked = config.screenshot.readiness.enabled;
+
+    const concurrencyInput = document.getElementById("captureConcurrency");
+    if (concurrencyInput) {
+      concurrencyInput.max = String(config.capture.maxConcurrency);
+      concurrencyInput.value = String(config.capture.defaultConcurrency);
+    }
+    const retryAttemptsInput = document.getElementById("retryAttempts");
+    if (retryAttemptsInput) {
+      retryAttemptsInput.max = String(config.retry.maxAttemptsLimit);
+      retryAttemptsInput.value = String(config.retry.maxAttempts);
+    }
+    const retryDelayInput = document.getElementById("retryDelay");
+    if (retryDelayInput)
+      retryDelayInput.value = String(config.retry.backoffMs / 1000);
+    const scaleSelect = document.getElementById("captureScale");
+    if (scaleSelect) {
+      scaleSelect.innerHTML = config.screenshot.scaleOptions
+        .map((scale) => `<option value="${scale}">${scale}x</option>`)
+        .join("");
+      scaleSelect.value = String(config.screenshot.defaultScale);
+    }
+    this._initializeOutputFormatSettings();
+    this._initializeNamingTemplate();
+    this._initializeRouteParams();
+    this._initializeMultiShot();
+    UI.presetSelector.initialize();
+    UI.redactionEditor.initialize();
+    UI.recipeEditor.initialize();
+    UI.actionLibraryPicker.initialize();
+    UI.schedulePanel.initialize();
+    UI.history.initialize();
+    this._updateResumeBanner();
+
     if (UI.elements.captureBtn) UI.elements.captureBtn.disabled = true;
     if (UI.elements.buttonContainer)
       UI.elements.buttonContainer.style.display = "none";
@@ -532,8 +691,14 @@ class App {
 
     this._setSpecificOptionsDisabled(false, true); // Enable capture settings, keep project dropdown enabled
 
-    // This will also trigger _initiateUrlFetching if "automatic" is selected and conditions are met
-    this._handleSourceChange();
+    if (this._pendingJob) {
+      const job = this._pendingJob;
+      this._pendingJob = null;
+      this._jobRestore = this._applyCaptureJob(job);
+    } else {
+      // This will also trigger _initiateUrlFetching if "automatic" is selected and conditions are met
+      this._handleSourceChange();
+    }
     this._checkCaptureButtonState();
   }
 
@@ -594,21 +759,41 @@ class App {
     }
   }
 
+  /**
+   * Validate the action sequences editor, list the problems under it and block
+   * capture while multi-shot capture is enabled and the actions are invalid
+   */
   _handleActionsInput() {
     const actionsField = UI.elements.actionsField;
     if (actionsField) {
-      try {
-        if (actionsField.value.trim() !== "") {
-          JSON.parse(actionsField.value);
-        }
-      } catch (e) {
-        // warning only
-      }
+      this._actionProblems = validateActionsText(actionsField.value);
+      actionsField.classList.toggle(
+        "invalid",
+        this._actionProblems.length > 0 && actionsField.value.trim() !== ""
+      );
+      this._renderActionProblems(actionsField);
     }
     this._checkCaptureButtonState();
   }
 
+  /**
+   * Show the validation problems of the action editor; clicking one selects its line
+   * @param {HTMLTextAreaElement} actionsField - The action sequences editor
+   */
+  _renderActionProblems(actionsField) {
+    const list = document.getElementById("actionsValidation");
+    if (!list) return;
+    list.innerHTML = "";
+    if (!actionsField.value.trim()) return;
+    UI.utils.renderActionProblems(list, actionsField, this._actionProblems);
+  }
+
+  /**
+   * Show the input of the chosen page source and start loading its page list
+   * @returns {Promise<void>} - Resolves once the automatic page list or the pre-fill has loaded
+   */
   _handleSourceChange() {
+    let pageListLoad = Promise.resolve();
     const selectedSource = document.querySelector(
       'input[name="pageSourceOption"]:checked'
     )?.value;
@@ -652,7 +837,7 @@ class App {
       relativeListArea.style.display = "";
       if (relativePathsTextArea) relativePathsTextArea.value = "";
       if (loadRelativeListBtn) loadRelativeListBtn.disabled = true;
-      this._prefillRelativePathsFromAutomaticSource();
+      pageListLoad = this._prefillRelativePathsFromAutomaticSource();
     } else {
       if (urlSelectorContainer) urlSelectorContainer.style.display = "";
       if (jsonTextArea) jsonTextArea.value = "";
@@ -668,7 +853,7 @@ class App {
       urlFetcher.dataLoadedDirectly = false;
 
       if (this.baseUrlValid && authOk) {
-        this._initiateUrlFetching();
+        pageListLoad = this._initiateUrlFetching();
       } else {
         if (
           urlSelector.container &&
@@ -681,6 +866,7 @@ class App {
       }
     }
     this._checkCaptureButtonState();
+    return pageListLoad;
   }
 
   async _prefillRelativePathsFromAutomaticSource() {
@@ -1045,8 +1231,16 @@ class App {
         urlFetcher.dataLoadedDirectly && urlSelector.selectedUrls.size > 0;
     }
 
-    const isReadyToCapture = prerequisitesMet && urlsAvailableAndSelected;
+    const actionsValid =
+      !document.getElementById("multiShotCheckbox")?.checked ||
+      this._actionProblems.length === 0;
+
+    const isReadyToCapture =
+      prerequisitesMet && urlsAvailableAndSelected && actionsValid;
     captureBtn.disabled = !isReadyToCapture;
+    captureBtn.title = actionsValid
+      ? "Capture Screenshots"
+      : "Fix the action sequences listed under the editor before capturing";
 
     const captureFormVisible =
       UI.elements.captureForm?.style.display !== "none";
@@ -1082,22 +1276,39 @@ class App {
     events.on(events.events.SCREENSHOT_TAKEN, (data) => {
       if (!data || !data.result) return;
       const preset = data.result.preset || "N/A";
-      const presetName = config.screenshot.presets[preset]?.name || preset;
+      const presetName = Presets.get(preset)?.name || preset;
       const targetWidth = data.result.width || "?";
       const targetHeight = data.result.height || "?";
       const isFullPage = data.result.isFullPage || false;
+      const scaleNote =
+        data.result.scale > 1
+          ? ` @${data.result.scale}x = ${data.result.pixelWidth}x${data.result.pixelHeight}px`
+          : "";
       const sizeDesc = isFullPage
-        ? `Full Page (${targetWidth}x${targetHeight})`
-        : `${presetName} (${targetWidth}x${targetHeight})`;
+        ? `Full Page (${targetWidth}x${targetHeight}${scaleNote})`
+        : `${presetName} (${targetWidth}x${targetHeight}${scaleNote})`;
       const timeTaken = data.result.timeTaken || "?";
       const url = data.url || data.result.url || "Unknown URL";
       const pageName = URLProcessor.extractDefaultUrlSegment(url) || url;
+      const readiness = data.result.readiness;
+      const readinessNote =
+        readiness?.endedBy === "ready"
+          ? `, ready after ${(readiness.waitedMs / 1000).toFixed(1)}s`
+          : readiness?.endedBy === "max-wait"
+          ? ", max wait reached"
+          : "";
+      const redactedCount = (data.result.redactions || []).reduce(
+        (sum, rule) => sum + rule.regions.length,
+        0
+      );
+      const redactionNote =
+        redactedCount > 0 ? `, ${redactedCount} regions redacted` : "";
 
       let statusMessageText;
       if (data.result.detectedMountIssue) {
-        statusMessageText = `⚠️ Captured with mount issue: ${pageName} - ${sizeDesc} (${timeTaken}s)`;
+        statusMessageText = `⚠️ Captured with mount issue: ${pageName} - ${sizeDesc} (${timeTaken}s${readinessNote}${redactionNote})`;
       } else {
-        statusMessageText = `✓ Captured: ${pageName} - ${sizeDesc} (${timeTaken}s)`;
+        statusMessageText = `✓ Captured: ${pageName} - ${sizeDesc} (${timeTaken}s${readinessNote}${redactionNote})`;
       }
       UI.utils.showStatus(
         statusMessageText,
@@ -1106,7 +1317,32 @@ class App {
       );
     });
 
-    events.on("URL_SELECTION_CHANGED", () => this._checkCaptureButtonState());
+    events.on("URL_SELECTION_CHANGED", () => {
+      this._checkCaptureButtonState();
+      this._updateNamingPreview();
+    });
+
+    // Emitted by the context menu helper after generating multi-shot sequences
+    events.on("CONTEXT_ACTIONS_GENERATED", this._handleActionsInput);
+
+    events.on(
+      events.events.BASELINE_SET_REQUESTED,
+      this._setBaselineFromCurrentRun
+    );
+
+    events.on(events.events.RETRY_FAILED_REQUESTED, this.retryFailedCaptures);
+
+    events.on(events.events.HISTORY_RUN_OPEN_REQUESTED, (data) =>
+      this._openHistoryRun(data?.runId)
+    );
+    events.on(events.events.HISTORY_RUN_EXPORT_REQUESTED, (data) =>
+      this._exportHistoryRun(data?.runId)
+    );
+    events.on(events.events.DOWNLOAD_ALL_REQUESTED, this._downloadAllAsZip);
+    events.on(events.events.HTML_REPORT_REQUESTED, this._downloadHtmlReport);
+    events.on(events.events.SCHEDULE_REQUESTED, (data) =>
+      this._scheduleCurrentJob(data)
+    );
 
     events.on(events.events.LOGIN_OPTION_SELECTED, (data) => {
       if (!data.loginPendingInNewTab) {
@@ -1252,6 +1488,18 @@ class App {
     };
 
     events.on(events.events.AUTO_LOGOUT_DETECTED, (data) => {
+      // A running scheduled capture would capture the login page for every remaining URL
+      const stopScheduledRun =
+        this._scheduledRunActive && this._processingQueue;
+      if (stopScheduledRun && !this.isPaused) this.pauseResumeCapture();
+      if (
+        stopScheduledRun ||
+        CaptureScheduler.load()?.job.loginOption === "login"
+      ) {
+        this._pauseSchedule(
+          `the session of ${data?.username || "the user"} expired. Log in again and resume.`
+        );
+      }
       UI.utils.showStatus(
         `Your session has expired. Please select an authentication option.`,
         true,
@@ -1377,48 +1625,85 @@ class App {
     let errorInCaptureSetup = false;
 
     try {
-      AppState.reset();
-      UI.utils.resetUI();
+      const retryFailed = this._pendingRetry;
+      this._pendingRetry = false;
+      const resumeCheckpoint = this._pendingResume;
+      this._pendingResume = null;
+
+      if (!retryFailed) {
+        AppState.reset();
+        UI.utils.resetUI();
+      }
       this._setCaptureSettingsCollapsed(true);
 
-      const capturePreset =
-        UI.elements.capturePreset?.value || config.screenshot.defaultPreset;
-      const fullPageCheckbox = document.getElementById("fullPageCheckbox");
-      const captureFullPage = fullPageCheckbox
-        ? fullPageCheckbox.checked
-        : false;
-
-      if (typeof urlSelector.getSelectedUrlsForCapture === "function") {
-        urlList = urlSelector.getSelectedUrlsForCapture();
+      if (retryFailed) {
+        urlList = await this._prepareFailedRetry();
+      } else if (resumeCheckpoint) {
+        urlList = await this._restoreCheckpointQueue(resumeCheckpoint);
       } else {
-        throw new AppError("URL Selector component not available.");
-      }
+        const capturePresets = UI.presetSelector.getSelectedPresetIds();
+        const fullPageCheckbox = document.getElementById("fullPageCheckbox");
+        const captureFullPage = fullPageCheckbox
+          ? fullPageCheckbox.checked
+          : false;
+
+        if (typeof urlSelector.getSelectedUrlsForCapture === "function") {
+          urlList = urlSelector.getSelectedUrlsForCapture();
+        } else {
+          throw new AppError("URL Selector component not available.");
+        }
 
-      if (urlList.length === 0) {
-        throw new URLProcessingError(
-          "Please select at least one page to capture.",
-          "No URLs selected"
+        if (urlList.length === 0) {
+          throw new URLProcessingError(
+            "Please select at least one page to capture.",
+            "No URLs selected"
+          );
+        }
+        if (capturePresets.length === 0) {
+          throw new AppError("Please select at least one screen size.");
+        }
+
+        // Multi-shot sequences replace the recipes of every page
+        const multiShotSequences = this._getMultiShotSequences();
+        const recipes = urlList.map((url) =>
+          multiShotSequences ? null : this._getRecipeForUrl(url)
+        );
+        // One queue item per page and screen size, grouped by page
+        this.captureQueue = urlList.flatMap((url, index) =>
+          capturePresets.map((capturePreset) => ({
+            url,
+            index,
+            key: this._captureKey(url, capturePreset),
+            capturePreset,
+            captureFullPage,
+            captureTarget: this._getCaptureTarget(url),
+            routeParams: urlFetcher.getRouteParamsForUrl(url),
+            recipeName: recipes[index]?.name || null,
+            actionSequences:
+              multiShotSequences || recipes[index]?.sequences || [],
+          }))
         );
+        UI.progress.updateStats(this.captureQueue.length, 0, 0, 0);
+
+        this.currentRunId = await this._startHistoryRun(
+          capturePresets.join(","),
+          captureFullPage,
+          this.captureQueue.length
+        );
+        this._completedIndices = new Set();
+        this._usedFileNames = new Set();
+        this.currentCaptureIndex = 0;
+        this._saveCheckpoint();
       }
 
-      UI.progress.updateStats(urlList.length, 0, 0, 0);
       if (UI.elements.captureBtn) UI.elements.captureBtn.disabled = true;
-
       if (captureWarningMessage) {
         captureWarningMessage.textContent =
           "The browser needs to be active for screenshots.";
         captureWarningMessage.style.display = "block";
       }
 
-      this.captureQueue = urlList.map((url, index) => ({
-        url,
-        index,
-        capturePreset,
-        captureFullPage,
-        actionSequences: [],
-      }));
-
-      this.currentCaptureIndex = 0;
+      this._updateResumeBanner();
       this.isPaused = false;
       this._processingQueue = true;
       this.updatePauseResumeButton();
@@ -1550,6 +1835,10 @@ class App {
         pdfContainer.style.display = pdfBtnVisible ? "flex" : "none";
         combineAllPdfBtn.disabled = !pdfBtnVisible;
       }
+      UI.thumbnails.updateRetryFailedButton(
+        AppState.failedUrls.length,
+        this._processingQueue
+      );
       if (
         errorInCaptureSetup &&
         (!urlList || urlList.length === 0) &&
@@ -1597,130 +1886,1525 @@ class App {
     const totalUrls = this.captureQueue.length;
     if (UI.elements.captureBtn) UI.elements.captureBtn.disabled = true;
 
-    while (this.currentCaptureIndex < totalUrls && !this.isPaused) {
-      const itemIndex = this.currentCaptureIndex;
-      const item = this.captureQueue[itemIndex];
+    const remaining = totalUrls - this._completedIndices.size;
+    const concurrency = Math.max(
+      1,
+      Math.min(this._getCaptureConcurrency(), remaining)
+    );
+    IframePool.resize(concurrency);
+    this._inFlightIndices = new Set();
 
-      if (!item || !item.url) {
-        AppState.addFailedUrl(`Invalid Item @ Queue Index ${itemIndex}`);
-        this.currentCaptureIndex++;
-        if (UI.elements.progressBar)
-          UI.progress.updateProgress(this.currentCaptureIndex, totalUrls);
-        continue;
-      }
+    const workers = [];
+    for (let i = 0; i < concurrency; i++) {
+      workers.push(this._runCaptureWorker());
+    }
+    await Promise.all(workers);
 
-      const { url, index, capturePreset, captureFullPage, actionSequences } =
-        item;
+    const isFinished = this.currentCaptureIndex >= totalUrls;
+    await this._finishHistoryRun(
+      isFinished ? "completed" : this.isPaused ? "paused" : "interrupted"
+    );
+    if (isFinished) {
+      CaptureCheckpoint.clear();
+      this._updateResumeBanner();
+    }
+
+    if (!this.isPaused) {
+      this._processingQueue = false;
+      if (isFinished) {
+        if (captureWarningMessage) captureWarningMessage.style.display = "none";
+      }
+    } else {
+      this._processingQueue = false;
       if (UI.elements.progress)
-        UI.progress.updateProgressMessage(
-          `⏳ Processing ${
-            itemIndex + 1
-          } of ${totalUrls}: ${URLProcessor.extractDefaultUrlSegment(url)}`
+        UI.utils.showStatus(
+          `⏳ Paused at ${
+            this.currentCaptureIndex + 1
+          } of ${totalUrls}. Resume (▶️) to continue.`,
+          false,
+          0
         );
-      if (UI.elements.progressBar)
-        UI.progress.updateProgress(itemIndex, totalUrls);
+      if (captureWarningMessage) captureWarningMessage.style.display = "block";
+    }
+    this.updatePauseResumeButton();
+  }
+
+  /**
+   * Read the number of parallel capture iframes from the settings
+   * @returns {number}
+   */
+  _getCaptureConcurrency() {
+    const input = document.getElementById("captureConcurrency");
+    const parsed = parseInt(input?.value, 10);
+    const value = isNaN(parsed) ? config.capture.defaultConcurrency : parsed;
+    return Math.min(Math.max(1, value), config.capture.maxConcurrency);
+  }
+
+  /**
+   * Read the retry settings, which override config.retry
+   * @returns {{maxAttempts: number, backoffMs: number}}
+   */
+  _getRetrySettings() {
+    const attempts = parseInt(
+      document.getElementById("retryAttempts")?.value,
+      10
+    );
+    const delay = parseFloat(document.getElementById("retryDelay")?.value);
+    return {
+      maxAttempts: isNaN(attempts)
+        ? config.retry.maxAttempts
+        : Math.min(Math.max(1, attempts), config.retry.maxAttemptsLimit),
+      backoffMs: isNaN(delay)
+        ? config.retry.backoffMs
+        : Math.round(Math.max(0, delay) * 1000),
+    };
+  }
+
+  /**
+   * Current file naming template from the settings
+   * @returns {string}
+   */
+  _getNamingTemplate() {
+    const input = document.getElementById("namingTemplate");
+    return (input?.value || "").trim() || config.ui.defaultNamingPattern;
+  }
 
+  /**
+   * File name of a capture from the naming template, unique within the current run
+   * @param {Object} item - Capture queue item
+   * @param {Object} details - Values known after the capture (status, width, height)
+   * @param {string} [extension="png"] - File extension of the image format
+   * @returns {string}
+   */
+  _generateFileName(item, details, extension = "png") {
+    const fileName = URLProcessor.applyNamingTemplate(
+      this._getNamingTemplate(),
+      getNamingContext(item, details),
+      extension
+    );
+    return URLProcessor.makeUniqueFilename(fileName, this._usedFileNames);
+  }
+
+  /**
+   * Set the default naming template and refresh the preview whenever an input of it changes
+   */
+  _initializeNamingTemplate() {
+    const templateInput = document.getElementById("namingTemplate");
+    if (templateInput) {
+      templateInput.value = config.ui.defaultNamingPattern;
+      events.addDOMEventListener(templateInput, "input", () =>
+        this._updateNamingPreview()
+      );
+    }
+    ["capturePresetList", "fullPageCheckbox", "outputFormat"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element)
+        events.addDOMEventListener(element, "change", () =>
+          this._updateNamingPreview()
+        );
+    });
+    this._updateNamingPreview();
+  }
+
+  /**
+   * Show the file name the template gives the first selected page
+   */
+  _updateNamingPreview() {
+    const preview = document.getElementById("namingPreview");
+    if (!preview) return;
+    const firstUrl =
+      typeof urlSelector.getSelectedUrlsForCapture === "function"
+        ? urlSelector.getSelectedUrlsForCapture()[0]
+        : null;
+    if (!firstUrl) {
+      preview.textContent = "Select a page to preview the file name.";
+      return;
+    }
+    const capturePreset =
+      UI.presetSelector.getSelectedPresetIds()[0] ||
+      config.screenshot.defaultPreset;
+    const fullPageCheckbox = document.getElementById("fullPageCheckbox");
+    const formatSelect = document.getElementById("outputFormat");
+    const extension =
+      config.screenshot.output.formats[formatSelect?.value]?.extension ||
+      "png";
+    preview.textContent = URLProcessor.applyNamingTemplate(
+      this._getNamingTemplate(),
+      getNamingContext({
+        url: firstUrl,
+        index: 0,
+        capturePreset,
+        captureFullPage: !!fullPageCheckbox?.checked,
+      }),
+      extension
+    );
+  }
+
+  /**
+   * Apply the global route parameter values whenever the textarea changes
+   */
+  _initializeRouteParams() {
+    const routeParamsInput = document.getElementById("routeParams");
+    if (!routeParamsInput) return;
+    events.addDOMEventListener(routeParamsInput, "change", () => {
       try {
-        const result = await ScreenshotCapture.takeScreenshot(
-          url,
-          capturePreset,
-          captureFullPage,
-          actionSequences || []
+        urlFetcher.setGlobalRouteParams(
+          urlFetcher.parseRouteParams(routeParamsInput.value)
         );
-        if (this.isPaused) {
-          this._processingQueue = false;
-          break;
+      } catch (error) {
+        urlFetcher.setGlobalRouteParams({});
+        UI.utils.showStatus(error.message, true);
+      }
+      this._updateNamingPreview();
+    });
+  }
+
+  /**
+   * Show the action sequences editor while multi-shot capture is enabled
+   */
+  _initializeMultiShot() {
+    const multiShotCheckbox = document.getElementById("multiShotCheckbox");
+    const multiShotPanel = document.getElementById("multiShotPanel");
+    if (multiShotCheckbox && multiShotPanel) {
+      events.addDOMEventListener(multiShotCheckbox, "change", () => {
+        multiShotPanel.style.display = multiShotCheckbox.checked ? "" : "none";
+        this._handleActionsInput();
+      });
+    }
+    if (UI.elements.actionsField)
+      events.addDOMEventListener(
+        UI.elements.actionsField,
+        "input",
+        this._handleActionsInput
+      );
+  }
+
+  /**
+   * Action sequences of the multi-shot editor, if multi-shot capture is enabled
+   * @returns {Array<{name: string, actions: Array<Object>}>|null} - null when disabled
+   * @throws {AppError} - If the sequences are not valid
+   */
+  _getMultiShotSequences() {
+    const multiShotCheckbox = document.getElementById("multiShotCheckbox");
+    if (!multiShotCheckbox?.checked) return null;
+    return CaptureRecipes.parseSequences(UI.elements.actionsField?.value);
+  }
+
+  /**
+   * Fill the output format settings from config and keep the quality slider in sync
+   */
+  _initializeOutputFormatSettings() {
+    const outputConfig = config.screenshot.output;
+    const formatSelect = document.getElementById("outputFormat");
+    const qualityInput = document.getElementById("outputQuality");
+    const maxDimensionInput = document.getElementById("maxDimension");
+
+    if (formatSelect) {
+      formatSelect.innerHTML = Object.entries(outputConfig.formats)
+        .map(([id, format]) => `<option value="${id}">${format.label}</option>`)
+        .join("");
+      formatSelect.value = outputConfig.defaultFormat;
+      events.addDOMEventListener(formatSelect, "change", () =>
+        this._updateOutputQualityInput(formatSelect.disabled)
+      );
+    }
+    if (qualityInput) {
+      qualityInput.value = String(Math.round(outputConfig.defaultQuality * 100));
+      events.addDOMEventListener(qualityInput, "input", () =>
+        this._updateOutputQualityInput(qualityInput.disabled)
+      );
+    }
+    if (maxDimensionInput)
+      maxDimensionInput.value = String(outputConfig.defaultMaxDimension);
+    this._updateOutputQualityInput(false);
+  }
+
+  /**
+   * Show the quality value and disable the slider for lossless PNG
+   * @param {boolean} disabled - Whether the capture settings are disabled
+   */
+  _updateOutputQualityInput(disabled) {
+    const formatSelect = document.getElementById("outputFormat");
+    const qualityInput = document.getElementById("outputQuality");
+    const qualityValue = document.getElementById("outputQualityValue");
+    if (!qualityInput) return;
+    const isLossless = formatSelect?.value === "png";
+    qualityInput.disabled = disabled || isLossless;
+    if (qualityValue)
+      qualityValue.textContent = isLossless ? "-" : `${qualityInput.value}%`;
+  }
+
+  /**
+   * The capture recipe whose path pattern matches a page, checked against both the
+   * route template (e.g. /machine/:id) and the concrete path (e.g. /machine/101)
+   * @param {string} url - Full page URL
+   * @returns {{name: string, pathPattern: string, sequences: Array<Object>}|null}
+   */
+  _getRecipeForUrl(url) {
+    const pageInfo = urlFetcher.getPageInfoForUrl(url);
+    const base = urlFetcher.baseClientUrl || "";
+    const concretePath = url.startsWith(base)
+      ? url.slice(base.length) || "/"
+      : url;
+    return CaptureRecipes.findForPath(
+      ...[pageInfo?.path, concretePath].filter(Boolean)
+    );
+  }
+
+  /**
+   * Element a page should be cropped to: the page's own captureSelector from the
+   * page JSON, otherwise the global "Capture Element" setting
+   * @param {string} url - Full page URL
+   * @returns {{selector: string, padding: number}|null} - null captures the whole page
+   */
+  _getCaptureTarget(url) {
+    const pageInfo = urlFetcher.getPageInfoForUrl(url);
+    const selectorInput = document.getElementById("captureSelector");
+    const paddingInput = document.getElementById("capturePadding");
+    const selector = (
+      pageInfo?.captureSelector ||
+      selectorInput?.value ||
+      ""
+    ).trim();
+    if (!selector) return null;
+
+    const padding = parseInt(
+      pageInfo?.captureSelector && pageInfo.capturePadding !== undefined
+        ? pageInfo.capturePadding
+        : paddingInput?.value,
+      10
+    );
+    return { selector, padding: isNaN(padding) ? 0 : Math.max(0, padding) };
+  }
+
+  /**
+   * Claim the next queue item that is neither done nor being captured by another worker
+   * @returns {number} - Queue index, or -1 if nothing is left
+   */
+  _claimNextQueueIndex() {
+    for (let i = this.currentCaptureIndex; i < this.captureQueue.length; i++) {
+      if (!this._completedIndices.has(i) && !this._inFlightIndices.has(i)) {
+        this._inFlightIndices.add(i);
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Capture queue items on one pooled iframe until the queue is drained or paused
+   */
+  async _runCaptureWorker() {
+    const iframe = await IframePool.acquire();
+    const totalUrls = this.captureQueue.length;
+    try {
+      while (!this.isPaused) {
+        const itemIndex = this._claimNextQueueIndex();
+        if (itemIndex === -1) break;
+
+        let isDone = false;
+        try {
+          isDone = await this._processQueueItem(itemIndex, iframe);
+        } finally {
+          this._inFlightIndices.delete(itemIndex);
         }
+        if (!isDone) break;
 
-        const timestamp = URLProcessor.getTimestamp();
-        const baseFileName = URLProcessor.generateFilename(url, index, "");
-        const fullPageSuffix = captureFullPage ? "_FullPage" : "";
-        const mountIssueSuffix = result.detectedMountIssue
-          ? "_MountIssueDetected"
-          : "";
-        const fileName = baseFileName.replace(
-          ".png",
-          `${fullPageSuffix}${mountIssueSuffix}_${timestamp}.png`
+        this._completedIndices.add(itemIndex);
+        while (this._completedIndices.has(this.currentCaptureIndex)) {
+          this.currentCaptureIndex++;
+        }
+        this._saveCheckpoint();
+        if (UI.elements.progressBar)
+          UI.progress.updateProgress(this._completedIndices.size, totalUrls);
+        if (this._completedIndices.size < totalUrls && !this.isPaused)
+          await new Promise((resolve) =>
+            setTimeout(resolve, config.capture.itemDelayMs)
+          );
+      }
+    } finally {
+      IframePool.release(iframe);
+    }
+  }
+
+  /**
+   * Capture a single queue item and record its result or failure.
+   * Items with action sequences (from a capture recipe) produce one capture per sequence.
+   * @param {number} itemIndex - Index in captureQueue
+   * @param {HTMLIFrameElement} iframe - Pooled iframe to capture in
+   * @returns {Promise<boolean>} - False if the capture was paused and the item must run again
+   */
+  async _processQueueItem(itemIndex, iframe) {
+    const item = this.captureQueue[itemIndex];
+    if (!item || !item.url) {
+      AppState.addFailedUrl(`Invalid Item @ Queue Index ${itemIndex}`);
+      return true;
+    }
+
+    const { url, capturePreset } = item;
+    const viewportName = Presets.getLabel(capturePreset);
+    const totalUrls = this.captureQueue.length;
+    const pageName = URLProcessor.extractDefaultUrlSegment(url);
+    const sequences = item.actionSequences || [];
+    const steps =
+      sequences.length > 0
+        ? sequences.map((sequence, i) => ({
+            name: sequence.name || `Step ${i + 1}`,
+            // A step retried from the history keeps its place in the sequence
+            index: sequence.sequenceIndex ?? i,
+            actions: sequence.actions || [],
+          }))
+        : [null];
+
+    for (const [stepPosition, step] of steps.entries()) {
+      if (UI.elements.progress)
+        UI.progress.updateProgressMessage(
+          `⏳ Processing ${itemIndex + 1} of ${totalUrls}: ${pageName} (${viewportName})${
+            step ? ` - ${step.name} (${stepPosition + 1}/${steps.length})` : ""
+          }`
         );
-        result.fileName = fileName;
 
-        UI.thumbnails.addLiveThumbnail(result, result.fileName, url);
-        AppState.addScreenshot(url, result);
-        AppState.removeFailedUrl(url);
+      try {
+        const result = await takeScreenshotWithRetry(item, {
+          iframe,
+          actions: step ? step.actions : [],
+          retry: this._getRetrySettings(),
+          shouldStop: () => this.isPaused,
+          onRetry: (error, attempt, maxAttempts, delay) =>
+            UI.progress.updateProgressMessage(
+              `⚠️ ${pageName} failed (${error.reason}). Retrying in ${(
+                delay / 1000
+              ).toFixed(1)}s (attempt ${attempt} of ${maxAttempts})...`
+            ),
+        });
+        if (this.isPaused) return false;
+        await this._recordCaptureResult(item, step, result);
       } catch (error) {
-        if (this.isPaused) {
-          this._processingQueue = false;
-          break;
+        if (this.isPaused) return false;
+        await this._recordCaptureFailure(item, step, error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Show, store and compare a successful capture
+   * @param {Object} item - Capture queue item
+   * @param {{name: string, index: number}|null} step - Recipe sequence the capture belongs to
+   * @param {Object} result - Screenshot result
+   */
+  async _recordCaptureResult(item, step, result) {
+    const key = this._captureKeyFor(item, step?.name);
+    result.fileName = this._generateFileName(
+      item,
+      {
+        status: result.detectedMountIssue ? "MountIssue" : "OK",
+        width: result.width,
+        height: result.height,
+        step: step?.name,
+      },
+      result.fileExtension
+    );
+    result.captureKey = key;
+    result.capturedAt = new Date().toISOString();
+    result.viewportName = Presets.getLabel(item.capturePreset);
+    result.routeParams = item.routeParams || {};
+    if (step) {
+      result.sequenceName = step.name;
+      result.sequenceIndex = step.index;
+      result.sequenceGroup = this._captureKeyFor(item);
+      result.recipeName = item.recipeName || null;
+      // Stored with the history shot so the step can be retried from the history
+      result.sequenceActions = step.actions;
+    }
+
+    const thumbnailContainer = UI.thumbnails.addLiveThumbnail(
+      result,
+      result.fileName,
+      item.url,
+      !!item.isRetry || result.attempts > 1
+    );
+    AppState.addScreenshot(key, result);
+    AppState.removeFailedUrl(key);
+    await this._compareWithBaseline(key, result, thumbnailContainer);
+    await this._recordHistoryShot(key, result);
+  }
+
+  /**
+   * Show and store a failed capture
+   * @param {Object} item - Capture queue item
+   * @param {{name: string, index: number}|null} step - Recipe sequence the capture belongs to
+   * @param {Error} error - Error thrown by the capture
+   */
+  async _recordCaptureFailure(item, step, error) {
+    const { url, capturePreset, captureFullPage } = item;
+    const key = this._captureKeyFor(item, step?.name);
+    const viewportName = Presets.getLabel(capturePreset);
+    const pageName = URLProcessor.extractDefaultUrlSegment(url);
+
+    handleError(error, { logToConsole: true, showToUser: false });
+    const wasMountIssueCatastrophic =
+      error.message?.includes("No view configured") ||
+      error.message?.includes("Mount definition");
+    const presetSize = Presets.get(capturePreset);
+    const fileName = this._generateFileName(item, {
+      status: wasMountIssueCatastrophic ? "MountCaptureFailed" : "Error",
+      width: presetSize?.width,
+      height: presetSize?.height,
+      step: step?.name,
+    });
+
+    const errorResult = {
+      error: true,
+      errorMessage: error.message || "Unknown error",
+      sequenceName: step ? step.name : url,
+      url: error.url || url,
+      detectedMountIssue: wasMountIssueCatastrophic,
+      mountIssueMessage: wasMountIssueCatastrophic ? error.message : null,
+    };
+    errorResult.fileName = fileName;
+    errorResult.captureKey = key;
+    errorResult.viewportName = viewportName;
+    errorResult.preset = capturePreset;
+    errorResult.isFullPage = captureFullPage;
+    errorResult.routeParams = item.routeParams || {};
+    if (step) {
+      errorResult.sequenceIndex = step.index;
+      errorResult.sequenceGroup = this._captureKeyFor(item);
+      errorResult.recipeName = item.recipeName || null;
+      errorResult.sequenceActions = step.actions;
+    }
+    errorResult.errorReason =
+      error instanceof ScreenshotError ? error.reason || null : null;
+    errorResult.attempts = error.attempts || 1;
+    UI.thumbnails.addLiveThumbnail(
+      errorResult,
+      fileName,
+      url,
+      !!item.isRetry || errorResult.attempts > 1
+    );
+    AppState.addFailedUrl(key, {
+      fileName,
+      url: errorResult.url,
+      preset: capturePreset,
+      isFullPage: captureFullPage,
+      routeParams: errorResult.routeParams,
+      sequenceName: step?.name || null,
+      sequenceIndex: step ? step.index : null,
+      sequenceGroup: errorResult.sequenceGroup || null,
+      detectedMountIssue: errorResult.detectedMountIssue,
+      errorMessage: errorResult.errorMessage,
+      errorReason: errorResult.errorReason,
+    });
+    await this._recordHistoryShot(key, errorResult);
+    const attemptsNote =
+      errorResult.attempts > 1 ? `, ${errorResult.attempts} attempts` : "";
+    const displayError = `(${error.message || "Unknown"}${attemptsNote})`;
+    UI.utils.showStatus(
+      `✗ Failed: ${pageName} (${viewportName})${
+        step ? ` - ${step.name}` : ""
+      } ${displayError}`,
+      true
+    );
+  }
+
+  /**
+   * Key of a capture in AppState, the baseline and the run history: one per page and
+   * screen size, and per recipe sequence for pages captured by a recipe
+   * @param {string} url - Page URL
+   * @param {string} presetId - Screen size preset id
+   * @param {string} [sequenceName] - Recipe sequence name
+   * @returns {string}
+   */
+  _captureKey(url, presetId, sequenceName) {
+    const key = `${url}::${presetId}`;
+    return sequenceName ? `${key}::${sequenceName}` : key;
+  }
+
+  /**
+   * Capture key of a queue item (items from older checkpoints have no stored key)
+   * @param {Object} item - Capture queue item
+   * @param {string} [sequenceName] - Recipe sequence name
+   * @returns {string}
+   */
+  _captureKeyFor(item, sequenceName) {
+    const key = item.key || this._captureKey(item.url, item.capturePreset);
+    return sequenceName ? `${key}::${sequenceName}` : key;
+  }
+
+  /**
+   * All capture keys a queue item produces (one per recipe sequence)
+   * @param {Object} item - Capture queue item
+   * @returns {Array<string>}
+   */
+  _captureKeysForItem(item) {
+    const sequences = item.actionSequences || [];
+    if (sequences.length === 0) return [this._captureKeyFor(item)];
+    return sequences.map((sequence, i) =>
+      this._captureKeyFor(item, sequence.name || `Step ${i + 1}`)
+    );
+  }
+
+  /**
+   * Diff a fresh capture against the baseline screenshot with the same capture key, if one exists.
+   * The comparison is stored on the result as `diff` and rendered next to its thumbnail.
+   * @param {string} key - Capture key (page URL and screen size)
+   * @param {Object} result - Screenshot result from ScreenshotCapture.takeScreenshot
+   * @param {HTMLElement|null} thumbnailContainer - The live thumbnail for this result
+   */
+  async _compareWithBaseline(key, result, thumbnailContainer) {
+    const baselineEntry = Baseline.get(key);
+    if (!baselineEntry || !result || result.error || !result.screenshot) return;
+
+    const thresholdInput = document.getElementById("diffThreshold");
+    const parsedThreshold = parseFloat(thresholdInput?.value);
+    const failThreshold = isNaN(parsedThreshold)
+      ? config.regression.failThreshold
+      : parsedThreshold;
+
+    try {
+      const diff = await compareScreenshots(
+        baselineEntry.screenshot,
+        result.screenshot,
+        {
+          failThreshold,
+          colorTolerance: config.regression.colorTolerance,
+          highlightColor: config.regression.highlightColor,
+        }
+      );
+      result.diff = diff;
+      UI.thumbnails.addDiffResult(thumbnailContainer, diff, result.fileName);
+      events.emit(events.events.SCREENSHOT_COMPARED, {
+        key,
+        url: result.url,
+        diff,
+      });
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: false });
+    }
+  }
+
+  _setBaselineFromCurrentRun() {
+    if (this._processingQueue) {
+      UI.utils.showStatus(
+        "Wait for the capture to finish before setting a baseline.",
+        true
+      );
+      return;
+    }
+    const count = Baseline.setFromScreenshots(AppState.screenshots);
+    this._updateBaselineStatus();
+    if (count === 0) {
+      UI.utils.showStatus("No successful screenshots to use as baseline.", true);
+      return;
+    }
+    events.emit(events.events.BASELINE_UPDATED, { count });
+    UI.utils.showStatus(
+      `✓ Baseline set from ${count} screenshots. Later runs will be compared against it.`,
+      false,
+      5000
+    );
+  }
+
+  _clearBaseline() {
+    Baseline.clear();
+    this._updateBaselineStatus();
+    events.emit(events.events.BASELINE_UPDATED, { count: 0 });
+    UI.utils.showStatus("Baseline cleared.", false, 3000);
+  }
+
+  _updateBaselineStatus() {
+    const baselineStatus = document.getElementById("baselineStatus");
+    const clearBaselineBtn = document.getElementById("clearBaselineBtn");
+    const hasBaseline = Baseline.hasBaseline();
+    if (baselineStatus) {
+      baselineStatus.textContent = hasBaseline
+        ? `Baseline: ${Baseline.screenshots.size} pages (${new Date(
+            Baseline.createdAt
+          ).toLocaleString()})`
+        : "No baseline set";
+    }
+    if (clearBaselineBtn)
+      clearBaselineBtn.style.display = hasBaseline ? "" : "none";
+  }
+
+  /**
+   * Create the IndexedDB record for a new capture run.
+   * History is best-effort: if IndexedDB is unavailable the capture still runs.
+   * @param {string} capturePreset - Selected screen size preset
+   * @param {boolean} captureFullPage - Whether full page capture is on
+   * @param {number} totalUrls - Number of pages queued
+   * @returns {Promise<string|null>} - The run id, or null if history is unavailable
+   */
+  async _startHistoryRun(capturePreset, captureFullPage, totalUrls) {
+    if (!RunHistory.isAvailable()) return null;
+    try {
+      return await RunHistory.createRun({
+        project: urlFetcher.projectName || "",
+        baseUrl: this.baseUrl || urlFetcher.baseClientUrl || "",
+        preset: capturePreset,
+        captureFullPage,
+        totalUrls,
+      });
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: false });
+      return null;
+    }
+  }
+
+  /**
+   * Persist one captured (or failed) page of the current run
+   * @param {string} key - Capture key (page URL and screen size)
+   * @param {Object} result - Screenshot result or error result
+   */
+  async _recordHistoryShot(key, result) {
+    if (!this.currentRunId) return;
+    try {
+      await RunHistory.saveShot(this.currentRunId, key, result);
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: false });
+    }
+  }
+
+  /**
+   * Store the final counts and duration of the current run and refresh the history panel
+   * @param {string} status - "completed", "paused" or "interrupted"
+   */
+  async _finishHistoryRun(status) {
+    if (!this.currentRunId) return;
+    const durationSec = this.startTotalTime
+      ? Number(((performance.now() - this.startTotalTime) / 1000).toFixed(2))
+      : null;
+    try {
+      await RunHistory.updateRun(this.currentRunId, {
+        status,
+        finishedAt: status === "paused" ? null : new Date().toISOString(),
+        durationSec,
+        successCount: AppState.screenshots.size,
+        failedCount: AppState.failedUrls.length,
+      });
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: false });
+    }
+    UI.history.refresh();
+  }
+
+  /**
+   * Load a stored run into the thumbnails view, replacing the current results
+   * @param {string} runId - Run id from RunHistory
+   * @returns {Promise<boolean>} - Whether the run was loaded
+   */
+  async _openHistoryRun(runId) {
+    if (!runId) return false;
+    if (this._processingQueue) {
+      UI.utils.showStatus(
+        "Wait for the capture to finish before opening a stored run.",
+        true
+      );
+      return false;
+    }
+
+    let stored;
+    try {
+      stored = await RunHistory.getRun(runId);
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: true });
+      return false;
+    }
+    if (!stored) {
+      UI.utils.showStatus("That run no longer exists in history.", true);
+      UI.history.refresh();
+      return false;
+    }
+
+    AppState.reset();
+    UI.utils.resetUI();
+    if (UI.elements.progressOutput)
+      UI.elements.progressOutput.style.display = "";
+
+    this._showStoredShots(stored.shots);
+
+    const { run } = stored;
+    // Rebuild the queue so "Retry All Failed" can recapture into this run
+    this.currentRunId = run.id;
+    this.captureQueue = stored.shots.map((shot, index) => {
+      const capturePreset =
+        shot.preset ||
+        (run.preset || "").split(",")[0] ||
+        config.screenshot.defaultPreset;
+      // A recipe or multi-shot step is recaptured by running only its own
+      // sequence again; runs stored before the actions were kept look up the recipe
+      const isStep = shot.sequenceGroup && shot.sequenceIndex != null;
+      const storedSequence = shot.sequenceActions
+        ? { name: shot.sequenceName, actions: shot.sequenceActions }
+        : CaptureRecipes.get(shot.recipeName)?.sequences.find(
+            (s) => s.name === shot.sequenceName
+          );
+      const sequence =
+        isStep && storedSequence
+          ? { ...storedSequence, sequenceIndex: shot.sequenceIndex }
+          : null;
+      return {
+        url: shot.url || shot.key,
+        index,
+        key: sequence ? shot.sequenceGroup : shot.key,
+        capturePreset,
+        captureFullPage: !!run.captureFullPage,
+        recipeName: sequence ? shot.recipeName || null : null,
+        actionSequences: sequence ? [sequence] : [],
+        // Without its actions the step would be recaptured as the plain page
+        sequenceMissing: isStep && !sequence,
+      };
+    });
+    this._completedIndices = new Set(this.captureQueue.map((_, i) => i));
+    this.currentCaptureIndex = this.captureQueue.length;
+    UI.progress.updateStats(
+      run.totalUrls || stored.shots.length,
+      AppState.screenshots.size,
+      AppState.failedUrls.length,
+      run.durationSec ?? 0
+    );
+
+    const combineAllPdfBtn = document.querySelector(".combine-all-pdf-btn");
+    if (combineAllPdfBtn) {
+      const pdfContainer = combineAllPdfBtn.closest(
+        ".combine-all-pdf-container"
+      );
+      const hasScreenshots = AppState.screenshots.size > 0;
+      if (pdfContainer)
+        pdfContainer.style.display = hasScreenshots ? "flex" : "none";
+      combineAllPdfBtn.disabled = !hasScreenshots;
+    }
+    UI.thumbnails.updateRetryFailedButton(AppState.failedUrls.length);
+
+    UI.utils.showStatus(
+      `ℹ️ Showing ${run.project || "stored"} run from ${new Date(
+        run.startedAt
+      ).toLocaleString()} (${AppState.screenshots.size} captured, ${
+        AppState.failedUrls.length
+      } failed).`,
+      false,
+      0
+    );
+    return true;
+  }
+
+  /**
+   * Open a stored run and export it as a combined PDF
+   * @param {string} runId - Run id from RunHistory
+   */
+  async _exportHistoryRun(runId) {
+    const opened = await this._openHistoryRun(runId);
+    if (!opened) return;
+    const allCategories = document.querySelectorAll(".thumbnail-category");
+    if (allCategories.length === 0 || AppState.screenshots.size === 0) {
+      UI.utils.showStatus("This run has no screenshots to export.", true);
+      return;
+    }
+    UI.thumbnails.generateAllCategoriesPDF(allCategories);
+  }
+
+  /**
+   * Download every screenshot of the current results as a ZIP archive
+   * with a folder per thumbnail category and a manifest.json
+   */
+  async _downloadAllAsZip() {
+    if (this._processingQueue && !this.isPaused) {
+      UI.utils.showStatus(
+        "Wait for the capture to finish before downloading.",
+        true
+      );
+      return;
+    }
+    try {
+      UI.utils.showStatus("Building ZIP archive...", false, 0);
+      const { blob, manifest } = await createZipArchive({
+        screenshots: AppState.screenshots,
+        failures: AppState.failureDetails,
+        categories: UI.thumbnails.getCategoryMap(),
+        info: {
+          project: urlFetcher.projectName || null,
+          baseUrl: this.baseUrl || null,
+          runId: this.currentRunId || null,
+        },
+      });
+      const projectPart = URLProcessor.sanitizeFilename(
+        urlFetcher.projectName || "Screenshots"
+      );
+      const zipName = `${projectPart}_${URLProcessor.getTimestamp()}.zip`;
+      downloadBlob(blob, zipName);
+      UI.utils.showStatus(
+        `✓ Downloaded ${zipName} (${manifest.capturedCount} screenshots, ${manifest.failedCount} failed)`,
+        false,
+        5000
+      );
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: true });
+    }
+  }
+
+  /**
+   * Download the current results as a single HTML file: a gallery per thumbnail
+   * category with search, failure filters and a lightbox, plus the run details
+   */
+  async _downloadHtmlReport() {
+    if (this._processingQueue && !this.isPaused) {
+      UI.utils.showStatus(
+        "Wait for the capture to finish before downloading.",
+        true
+      );
+      return;
+    }
+    try {
+      UI.utils.showStatus("Building HTML report...", false, 0);
+      let run = null;
+      if (this.currentRunId && RunHistory.isAvailable()) {
+        try {
+          run = (await RunHistory.getRun(this.currentRunId))?.run || null;
+        } catch (error) {
+          handleError(error, { logToConsole: true, showToUser: false });
         }
+      }
+      const presetIds = run?.preset
+        ? run.preset.split(",")
+        : Array.from(
+            new Set(
+              Array.from(AppState.screenshots.values(), (data) => data.preset)
+            )
+          );
+      const report = createHtmlReport({
+        screenshots: AppState.screenshots,
+        failures: AppState.failureDetails,
+        categories: UI.thumbnails.getCategoryMap(),
+        info: {
+          project: run?.project || urlFetcher.projectName || null,
+          baseUrl: run?.baseUrl || this.baseUrl || null,
+          user: this.loginHandler.getLoggedInUsername(),
+          presets: presetIds
+            .filter(Boolean)
+            .map((id) => Presets.getLabel(id))
+            .join(", "),
+          startedAt: run?.startedAt || null,
+          durationSec: run?.durationSec ?? null,
+        },
+        getTitle: (url) => urlFetcher.getPageInfoForUrl(url)?.title || "",
+      });
+      const projectPart = URLProcessor.sanitizeFilename(
+        run?.project || urlFetcher.projectName || "Screenshots"
+      );
+      const reportName = `${projectPart}_${URLProcessor.getTimestamp()}.html`;
+      downloadBlob(report.blob, reportName);
+      UI.utils.showStatus(
+        `✓ Downloaded ${reportName} (${report.capturedCount} screenshots, ${report.failedCount} failed)`,
+        false,
+        5000
+      );
+    } catch (error) {
+      handleError(error, { logToConsole: true, showToUser: true });
+    }
+  }
+
+  /**
+   * Add stored run results to AppState and the thumbnails view
+   * @param {Array<Object>} shots - Shot records from RunHistory.getRun
+   */
+  _showStoredShots(shots) {
+    shots.forEach((shot) => {
+      const { runId: _runId, key, savedAt, ...result } = shot;
+      const url = result.url || key;
+      result.captureKey = result.captureKey || key;
+      // Runs stored before capture times were recorded fall back to the save time
+      if (!result.error) result.capturedAt = result.capturedAt || savedAt;
+      if (result.fileName)
+        this._usedFileNames.add(result.fileName.toLowerCase());
+      UI.thumbnails.addLiveThumbnail(result, result.fileName, url);
+      if (result.error) {
+        AppState.addFailedUrl(key, {
+          fileName: result.fileName,
+          url,
+          preset: result.preset,
+          isFullPage: result.isFullPage,
+          routeParams: result.routeParams || {},
+          sequenceName: result.sequenceGroup ? result.sequenceName : null,
+          sequenceIndex: result.sequenceGroup ? result.sequenceIndex : null,
+          sequenceGroup: result.sequenceGroup || null,
+          detectedMountIssue: !!result.detectedMountIssue,
+          errorMessage: result.errorMessage,
+          errorReason: result.errorReason || null,
+        });
+      } else {
+        AppState.addScreenshot(key, result);
+      }
+    });
+  }
+
+  /**
+   * Write the current queue and its progress to localStorage
+   */
+  _saveCheckpoint() {
+    if (!this.captureQueue || this.captureQueue.length === 0) return;
+    CaptureCheckpoint.save({
+      queue: this.captureQueue,
+      completed: this._completedIndices,
+      runId: this.currentRunId,
+      project: urlFetcher.projectName || "",
+      baseUrl: this.baseUrl || urlFetcher.baseClientUrl || "",
+    });
+  }
+
+  /**
+   * Show or hide the "Resume previous capture" banner depending on the stored checkpoint
+   */
+  _updateResumeBanner() {
+    const banner = document.getElementById("resumeCaptureBanner");
+    if (!banner) return;
+    const hasUnfinished =
+      !this._processingQueue && CaptureCheckpoint.hasUnfinished();
+    banner.style.display = hasUnfinished ? "" : "none";
+    if (!hasUnfinished) return;
+
+    const checkpoint = CaptureCheckpoint.load();
+    const resumeText = document.getElementById("resumeCaptureText");
+    if (resumeText) {
+      const projectLabel = checkpoint.project
+        ? ` of '${checkpoint.project}'`
+        : "";
+      resumeText.textContent = `An interrupted capture${projectLabel} from ${new Date(
+        checkpoint.savedAt
+      ).toLocaleString()} was found.`;
+    }
+    const resumeBtn = document.getElementById("resumeCaptureBtn");
+    if (resumeBtn) {
+      resumeBtn.textContent = `Resume previous capture (${checkpoint.completed.length} of ${checkpoint.queue.length} done)`;
+    }
+  }
+
+  /**
+   * Resume the capture stored in the localStorage checkpoint
+   */
+  async resumeCapture() {
+    const checkpoint = CaptureCheckpoint.load();
+    if (!checkpoint) {
+      this._updateResumeBanner();
+      return;
+    }
+    if (this._processingQueue) {
+      UI.utils.showStatus("Capture is already running...", false, 3000);
+      return;
+    }
+    if (checkpoint.baseUrl && this.baseUrl !== checkpoint.baseUrl) {
+      UI.utils.showStatus(
+        `Select project '${
+          checkpoint.project || checkpoint.baseUrl
+        }' to resume this capture.`,
+        true
+      );
+      return;
+    }
 
+    this._pendingResume = checkpoint;
+    await this.captureScreenshots();
+    // captureScreenshots returns early (without consuming it) when auth is missing
+    this._pendingResume = null;
+  }
+
+  /**
+   * Rebuild the capture queue from a checkpoint, restoring the results already captured
+   * @param {Object} checkpoint - Checkpoint from CaptureCheckpoint.load
+   * @returns {Promise<Array<string>>} - URLs of the restored queue
+   */
+  async _restoreCheckpointQueue(checkpoint) {
+    this.captureQueue = checkpoint.queue;
+    this._completedIndices = new Set(checkpoint.completed);
+    this.currentRunId = checkpoint.runId || null;
+
+    let restoredShots = 0;
+    if (this.currentRunId) {
+      try {
+        const stored = await RunHistory.getRun(this.currentRunId);
+        if (stored) {
+          this._showStoredShots(stored.shots);
+          restoredShots = stored.shots.length;
+          await RunHistory.updateRun(this.currentRunId, { status: "running" });
+        } else {
+          this.currentRunId = null;
+        }
+      } catch (error) {
         handleError(error, { logToConsole: true, showToUser: false });
-        const timestamp = URLProcessor.getTimestamp();
-        const baseFileName = URLProcessor.generateFilename(url, index, "");
-        const fullPageSuffix = captureFullPage ? "_FullPage" : "";
-        const wasMountIssueCatastrophic =
-          error.message?.includes("No view configured") ||
-          error.message?.includes("Mount definition");
-        const errorSuffix = wasMountIssueCatastrophic
-          ? "_MountCaptureFailed"
-          : "_Error";
-        const fileName = baseFileName.replace(
-          ".png",
-          `${fullPageSuffix}${errorSuffix}_${timestamp}.png`
+      }
+    }
+
+    let firstUnfinished = 0;
+    while (
+      firstUnfinished < this.captureQueue.length &&
+      this._completedIndices.has(firstUnfinished)
+    ) {
+      firstUnfinished++;
+    }
+    this.currentCaptureIndex = firstUnfinished;
+
+    const totalUrls = this.captureQueue.length;
+    UI.progress.updateStats(
+      totalUrls,
+      AppState.screenshots.size,
+      AppState.failedUrls.length,
+      0
+    );
+    UI.progress.updateProgress(this._completedIndices.size, totalUrls);
+    UI.utils.showStatus(
+      restoredShots < this._completedIndices.size
+        ? `ℹ️ Resuming capture at ${firstUnfinished + 1} of ${totalUrls}. Some earlier results could not be restored.`
+        : `ℹ️ Resuming capture at ${firstUnfinished + 1} of ${totalUrls}.`,
+      false,
+      5000
+    );
+    return this.captureQueue.map((item) => item.url);
+  }
+
+  /**
+   * Drop the stored checkpoint without resuming it
+   */
+  async _discardCheckpoint() {
+    const checkpoint = CaptureCheckpoint.load();
+    CaptureCheckpoint.clear();
+    this._updateResumeBanner();
+    if (checkpoint?.runId) {
+      try {
+        await RunHistory.updateRun(checkpoint.runId, { status: "interrupted" });
+      } catch (error) {
+        handleError(error, { logToConsole: true, showToUser: false });
+      }
+      UI.history.refresh();
+    }
+  }
+
+  /**
+   * Collect the capture setup of the form as a capture job
+   * @returns {Object} - Job fields for CaptureJob.toFile
+   * @throws {AppError} - If no project or login option is chosen, or the route
+   *   parameters or multi-shot actions are invalid
+   */
+  _collectCaptureJob() {
+    const projectDropdown = document.getElementById("projectSelectorDropdown");
+    const loginOption = this.loginHandler.getSelectedLoginOption();
+    if (!projectDropdown?.value || !loginOption) {
+      throw new AppError(
+        "Select a project and a login option before saving the job.",
+        "JOB_ERROR"
+      );
+    }
+    const value = (id) => document.getElementById(id)?.value ?? "";
+    const checked = (id) => !!document.getElementById(id)?.checked;
+    const sourceRadio = document.querySelector(
+      'input[name="pageSourceOption"]:checked'
+    );
+    const pageSource = sourceRadio?.value || "automatic";
+    const redaction = UI.redactionEditor.getActiveProfile();
+    const captureSelector = value("captureSelector").trim();
+
+    const job = {
+      project: projectDropdown.value,
+      baseUrl: urlFetcher.baseClientUrl,
+      loginOption,
+      pageSource,
+      pages: Array.from(urlSelector.selectedUrls),
+      routeParams: urlFetcher.parseRouteParams(value("routeParams")),
+      presets: UI.presetSelector.getSelectedPresetIds(),
+      fullPage: checked("fullPageCheckbox"),
+      waitTime: Number(value("simpleWaitTime")) || config.ui.defaultWaitTime,
+      smartWait: checked("smartWaitCheckbox"),
+      scale: Number(value("captureScale")) || config.screenshot.defaultScale,
+      output: {
+        format: value("outputFormat"),
+        quality: Number(value("outputQuality")),
+        maxDimension: Number(value("maxDimension")),
+      },
+      captureTarget: captureSelector
+        ? {
+            selector: captureSelector,
+            padding: parseInt(value("capturePadding"), 10) || 0,
+          }
+        : null,
+      redaction: redaction
+        ? { name: redaction.name, rules: redaction.rules }
+        : null,
+      namingTemplate: value("namingTemplate"),
+      concurrency: Number(value("captureConcurrency")),
+      retry: this._getRetrySettings(),
+      diffThreshold: Number(value("diffThreshold")),
+      multiShot: checked("multiShotCheckbox"),
+    };
+    if (pageSource === "manual") job.manualJson = value("manualJsonText");
+    if (pageSource === "relativeList")
+      job.relativePaths = value("relativePathsText");
+    if (job.multiShot)
+      job.actions = CaptureRecipes.parseSequences(
+        UI.elements.actionsField?.value
+      );
+    return job;
+  }
+
+  /**
+   * Download the current capture setup as a job file
+   */
+  _saveCaptureJob() {
+    try {
+      const job = this._collectCaptureJob();
+      const blob = new Blob([CaptureJob.toFile(job)], {
+        type: "application/json",
+      });
+      downloadBlob(
+        blob,
+        `${job.project.replace(/[\\/:*?"<>|]+/g, "_")}_capture-job.json`
+      );
+      UI.utils.showStatus(
+        `Capture job saved with ${job.pages.length} pages.`,
+        false,
+        3000
+      );
+    } catch (error) {
+      UI.utils.showStatus(error.message, true);
+    }
+  }
+
+  /**
+   * Ask for a job file and restore the capture setup it describes
+   */
+  _loadCaptureJob() {
+    if (this._processingQueue) {
+      UI.utils.showStatus("Capture is already running...", false, 3000);
+      return;
+    }
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        await this._startCaptureJob(CaptureJob.parseFile(await file.text()));
+      } catch (error) {
+        this._pendingJob = null;
+        UI.utils.showStatus(error.message, true);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Select the job's project and login option. The rest of the job is applied by
+   * _showCaptureFormAndPageSource once authentication lets the capture form show,
+   * which for a login without an active session is after the user has logged in.
+   * @param {Object} job - Parsed capture job
+   * @throws {AppError} - If the job's project is not on this Gateway
+   */
+  async _startCaptureJob(job) {
+    const projectDropdown = document.getElementById("projectSelectorDropdown");
+    const projectAvailable = Array.from(projectDropdown?.options || []).some(
+      (option) => option.value === job.project
+    );
+    if (!projectAvailable) {
+      throw new AppError(
+        `Project '${job.project}' of the job is not available on this Gateway.`,
+        "JOB_ERROR"
+      );
+    }
+
+    projectDropdown.value = job.project;
+    await this._handleProjectSelection({ target: projectDropdown });
+    this._pendingJob = job;
+
+    if (job.loginOption === "login" && !this.loginHandler.isLoggedIn) {
+      UI.utils.showStatus(
+        `This job uses an authenticated session. Log in to '${job.project}' to finish loading it.`,
+        false,
+        0
+      );
+      return;
+    }
+    const radio =
+      job.loginOption === "login"
+        ? this.loginHandler.optionLoginRadio
+        : this.loginHandler.optionContinueGuestRadio;
+    if (radio) radio.checked = true;
+    await this.loginHandler.handleLoginOptionChange(job.loginOption);
+  }
+
+  /**
+   * Put the settings of a capture job into the form
+   * @param {Object} job - Parsed capture job
+   * @returns {Array<string>} - Presets of the job that do not exist here
+   */
+  _applyCaptureJobSettings(job) {
+    const setValue = (id, value) => {
+      const element = document.getElementById(id);
+      if (element && value !== undefined && value !== null)
+        element.value = String(value);
+    };
+    const setChecked = (id, checked) => {
+      const element = document.getElementById(id);
+      if (element && checked !== undefined) element.checked = !!checked;
+    };
+
+    const missingPresets = job.presets.filter((id) => !Presets.get(id));
+    const presets = job.presets.filter((id) => Presets.get(id));
+    if (presets.length > 0) UI.presetSelector.setSelected(presets);
+    setChecked("fullPageCheckbox", job.fullPage);
+    setValue("simpleWaitTime", job.waitTime);
+    setValue("hiddenWaitTime", job.waitTime);
+    setChecked("smartWaitCheckbox", job.smartWait);
+    setValue("captureScale", job.scale);
+    setValue("outputFormat", job.output?.format);
+    setValue("outputQuality", job.output?.quality);
+    setValue("maxDimension", job.output?.maxDimension);
+    this._updateOutputQualityInput(false);
+    setValue("captureSelector", job.captureTarget?.selector || "");
+    setValue("capturePadding", job.captureTarget?.padding || 0);
+    setValue("namingTemplate", job.namingTemplate);
+    setValue("captureConcurrency", job.concurrency);
+    setValue("retryAttempts", job.retry?.maxAttempts);
+    if (job.retry?.backoffMs !== undefined)
+      setValue("retryDelay", job.retry.backoffMs / 1000);
+    setValue("diffThreshold", job.diffThreshold);
+
+    const routeParamsText = Object.entries(job.routeParams || {})
+      .map(([name, values]) => `${name} = ${[].concat(values).join(", ")}`)
+      .join("\n");
+    setValue("routeParams", routeParamsText);
+    urlFetcher.setGlobalRouteParams(
+      urlFetcher.parseRouteParams(routeParamsText)
+    );
+
+    // A profile of the same name already stored here is kept as it is
+    if (job.redaction?.name && !RedactionProfiles.get(job.redaction.name))
+      RedactionProfiles.save(job.redaction.name, job.redaction.rules);
+    UI.redactionEditor.render(job.redaction?.name || "");
+
+    setChecked("multiShotCheckbox", job.multiShot);
+    const multiShotPanel = document.getElementById("multiShotPanel");
+    if (multiShotPanel)
+      multiShotPanel.style.display = job.multiShot ? "" : "none";
+    if (job.actions && UI.elements.actionsField)
+      UI.elements.actionsField.value = JSON.stringify(job.actions, null, 2);
+    this._handleActionsInput();
+    return missingPresets;
+  }
+
+  /**
+   * Apply a capture job to the shown capture form: settings, page source and the
+   * selected pages, warning about pages and presets that no longer exist
+   * @param {Object} job - Parsed capture job
+   */
+  async _applyCaptureJob(job) {
+    try {
+      const missingPresets = this._applyCaptureJobSettings(job);
+      const sourceRadio = document.querySelector(
+        `input[name="pageSourceOption"][value="${job.pageSource}"]`
+      );
+      if (sourceRadio) sourceRadio.checked = true;
+      await this._handleSourceChange();
+
+      if (job.pageSource === "manual") {
+        const jsonTextArea = document.getElementById("manualJsonText");
+        if (jsonTextArea) jsonTextArea.value = job.manualJson || "";
+        await this._handleLoadManualSource();
+      } else if (job.pageSource === "relativeList") {
+        const pathsTextArea = document.getElementById("relativePathsText");
+        if (pathsTextArea)
+          pathsTextArea.value = job.relativePaths || job.pages.join("\n");
+        await this._handleLoadRelativeListSource();
+      }
+
+      const missingPages = urlSelector.selectPaths(job.pages);
+      this._updateNamingPreview();
+      const warnings = [
+        missingPages.length > 0 &&
+          `${missingPages.length} page(s) no longer exist in '${
+            job.project
+          }': ${missingPages.join(", ")}`,
+        missingPresets.length > 0 &&
+          `unknown screen size(s): ${missingPresets.join(", ")}`,
+      ].filter(Boolean);
+      UI.utils.showStatus(
+        warnings.length > 0
+          ? `⚠️ Job loaded with ${
+              job.pages.length - missingPages.length
+            } pages selected; ${warnings.join("; ")}.`
+          : `Job loaded with ${job.pages.length} pages selected.`,
+        false,
+        warnings.length > 0 ? 0 : 3000
+      );
+    } catch (error) {
+      UI.utils.showStatus(`Could not load the job: ${error.message}`, true);
+    } finally {
+      this._checkCaptureButtonState();
+    }
+  }
+
+  /**
+   * Schedule the current capture setup
+   * @param {{mode: string, time: string, everyHours: number}} options - From the schedule settings
+   */
+  _scheduleCurrentJob({ mode, time, everyHours }) {
+    try {
+      const job = this._collectCaptureJob();
+      if (job.pages.length === 0) {
+        throw new AppError(
+          "Select the pages to capture before scheduling.",
+          "SCHEDULE_ERROR"
         );
+      }
+      const schedule = CaptureScheduler.save({ mode, time, everyHours, job });
+      UI.schedulePanel.render();
+      UI.utils.showStatus(
+        `Capture of ${job.pages.length} pages scheduled. Next run: ${new Date(
+          schedule.nextRunAt
+        ).toLocaleString()}. Keep this tab open.`,
+        false,
+        5000
+      );
+    } catch (error) {
+      UI.utils.showStatus(error.message, true);
+    }
+  }
 
-        const errorResult = {
-          error: true,
-          errorMessage: error.message || "Unknown error",
-          sequenceName: url,
-          url: error.url || url,
-          detectedMountIssue: wasMountIssueCatastrophic,
-          mountIssueMessage: wasMountIssueCatastrophic ? error.message : null,
-        };
-        UI.thumbnails.addLiveThumbnail(errorResult, fileName, url);
-        AppState.addFailedUrl(url);
-        const displayError =
-          error instanceof ScreenshotError
-            ? `(${error.reason || error.message})`
-            : `(${error.message || "Unknown"})`;
-        UI.utils.showStatus(
-          `✗ Failed: ${URLProcessor.extractDefaultUrlSegment(
-            url
-          )} ${displayError}`,
-          true
+  /**
+   * Stop scheduled captures and alert whoever watches the kiosk
+   * @param {string} reason - Why, shown in the next run indicator
+   */
+  _pauseSchedule(reason) {
+    CaptureScheduler.pause(reason);
+    UI.schedulePanel.render();
+    UI.utils.showStatus(`⚠️ Scheduled captures paused: ${reason}`, true, 0);
+    if (window.Notification?.permission === "granted") {
+      new Notification("Perspective Capture: scheduled captures paused", {
+        body: reason,
+      });
+    }
+  }
+
+  /**
+   * Run a due schedule: restore its job in the form and capture it like the capture
+   * button does, so the run is stored in the history. A login job whose session has
+   * expired pauses the schedule instead of capturing the login page.
+   * @param {Object} schedule - Due schedule from CaptureScheduler
+   */
+  async _runScheduledJob(schedule) {
+    // Wait for a running capture; the schedule is checked again shortly
+    if (this._processingQueue || this._scheduledRunActive) return;
+    this._scheduledRunActive = true;
+    try {
+      CaptureScheduler.markRun(new Date());
+      UI.schedulePanel.render();
+      this._jobRestore = null;
+      await this._startCaptureJob(schedule.job);
+      if (this._pendingJob) {
+        this._pendingJob = null;
+        this._pauseSchedule(
+          `not logged in to '${schedule.job.project}'. Log in and resume.`
+        );
+        return;
+      }
+      await this._jobRestore;
+      if (urlSelector.selectedUrls.size === 0) {
+        throw new AppError(
+          "none of the scheduled pages exist any more.",
+          "SCHEDULE_ERROR"
         );
       }
+      await this.captureScreenshots();
+    } catch (error) {
+      UI.utils.showStatus(
+        `Scheduled capture failed: ${error.message}`,
+        true,
+        0
+      );
+    } finally {
+      this._scheduledRunActive = false;
+      UI.schedulePanel.render();
+    }
+  }
 
-      this.currentCaptureIndex++;
-      if (UI.elements.progressBar)
-        UI.progress.updateProgress(this.currentCaptureIndex, totalUrls);
-      if (this.currentCaptureIndex < totalUrls && !this.isPaused)
-        await new Promise((resolve) => setTimeout(resolve, 250));
-      if (this.isPaused) {
-        this._processingQueue = false;
-        break;
+  /**
+   * Put only the failed pages of the current queue back into capture
+   */
+  async retryFailedCaptures() {
+    if (this._processingQueue) {
+      UI.utils.showStatus("Capture is already running...", false, 3000);
+      return;
+    }
+    if (AppState.failedUrls.length === 0) {
+      UI.utils.showStatus("There are no failed pages to retry.", false, 3000);
+      return;
+    }
+    this._pendingRetry = true;
+    await this.captureScreenshots();
+    // captureScreenshots returns early (without consuming it) when auth is missing
+    this._pendingRetry = false;
+  }
+
+  /**
+   * Mark every non-failed queue item as done and flag the failed ones as retries
+   * @returns {Promise<Array<string>>} - URLs that will be captured again
+   */
+  async _prepareFailedRetry() {
+    const failedUrls = new Set(AppState.failedUrls);
+    this._completedIndices = new Set();
+    const retryUrls = [];
+
+    let skippedCount = 0;
+    this.captureQueue.forEach((item, i) => {
+      const keys = item ? this._captureKeysForItem(item) : [];
+      if (item?.sequenceMissing) {
+        if (keys.some((key) => failedUrls.has(key))) skippedCount++;
+        this._completedIndices.add(i);
+      } else if (keys.some((key) => failedUrls.has(key))) {
+        item.isRetry = true;
+        retryUrls.push(item.url);
+        // Every sequence of a recipe is captured again, not only the failed ones
+        keys.forEach((key) =>
+          UI.thumbnails.removeThumbnailsForKey(key, keys.length === 1)
+        );
+      } else {
+        this._completedIndices.add(i);
       }
+    });
+
+    const skippedNote = skippedCount
+      ? ` ${skippedCount} failed step(s) were skipped because their action sequence is no longer available.`
+      : "";
+    if (retryUrls.length === 0) {
+      throw new AppError(
+        skippedCount
+          ? skippedNote.trim()
+          : "The failed pages are no longer in the capture queue."
+      );
     }
 
-    const isFinished = this.currentCaptureIndex >= totalUrls;
+    let firstUnfinished = 0;
+    while (this._completedIndices.has(firstUnfinished)) firstUnfinished++;
+    this.currentCaptureIndex = firstUnfinished;
 
-    if (!this.isPaused) {
-      this._processingQueue = false;
-      if (isFinished) {
-        if (captureWarningMessage) captureWarningMessage.style.display = "none";
+    UI.thumbnails.updateRetryFailedButton(retryUrls.length, true);
+    UI.progress.updateProgress(
+      this._completedIndices.size,
+      this.captureQueue.length
+    );
+    if (this.currentRunId) {
+      try {
+        await RunHistory.updateRun(this.currentRunId, { status: "running" });
+      } catch (error) {
+        handleError(error, { logToConsole: true, showToUser: false });
       }
-    } else {
-      this._processingQueue = false;
-      if (UI.elements.progress)
-        UI.utils.showStatus(
-          `⏳ Paused at ${
-            this.currentCaptureIndex + 1
-          } of ${totalUrls}. Resume (▶️) to continue.`,
-          false,
-          0
-        );
-      if (captureWarningMessage) captureWarningMessage.style.display = "block";
     }
-    this.updatePauseResumeButton();
+    this._saveCheckpoint();
+    UI.utils.showStatus(
+      `ℹ️ Retrying ${retryUrls.length} failed page(s)...${skippedNote}`,
+      false,
+      skippedCount ? 0 : 3000
+    );
+    return retryUrls;
   }
 
   createPauseResumeButton() {
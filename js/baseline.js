@@ -0,0 +1,55 @@
+/**
+ * Baseline Management Module
+ * Holds the reference screenshots that later capture runs are diffed against
+ */
+const Baseline = {
+  screenshots: new Map(),
+  createdAt: null,
+
+  /**
+   * Whether a baseline has been set
+   * @returns {boolean}
+   */
+  hasBaseline() {
+    return this.screenshots.size > 0;
+  },
+
+  /**
+   * Replace the baseline with the successful captures of a finished run
+   * @param {Map<string, Object>} screenshots - Screenshot data keyed by capture key (AppState.screenshots)
+   * @returns {number} - Number of pages stored in the baseline
+   */
+  setFromScreenshots(screenshots) {
+    this.screenshots.clear();
+    for (const [key, data] of screenshots) {
+      if (!data || data.error || !data.screenshot) continue;
+      this.screenshots.set(key, {
+        screenshot: data.screenshot,
+        fileName: data.fileName,
+        width: data.width,
+        height: data.height,
+      });
+    }
+    this.createdAt = this.screenshots.size > 0 ? new Date().toISOString() : null;
+    return this.screenshots.size;
+  },
+
+  /**
+   * Get the baseline entry for a capture
+   * @param {string} key - Capture key (page URL and viewport)
+   * @returns {Object|undefined} - Baseline entry containing the screenshot data URL
+   */
+  get(key) {
+    return this.screenshots.get(key);
+  },
+
+  /**
+   * Remove the current baseline
+   */
+  clear() {
+    this.screenshots.clear();
+    this.createdAt = null;
+  }
+};
+
+export default Baseline;
@@ -0,0 +1,98 @@
+/**
+ * Capture Checkpoint Module
+ * Saves the capture queue and its progress to localStorage so an interrupted
+ * capture can be resumed after the page is reloaded
+ */
+const STORAGE_KEY = "perspectiveCapture.checkpoint";
+const CHECKPOINT_VERSION = 1;
+
+const CaptureCheckpoint = {
+  /**
+   * Save the current queue state
+   * @param {Object} state - Queue state
+   * @param {Array<Object>} state.queue - Capture queue items (url, index, capture key and per-item settings)
+   * @param {Array<number>} state.completed - Queue indices that are done (captured or failed)
+   * @param {string|null} state.runId - RunHistory id holding the captured results
+   * @param {string} state.project - Project name the queue belongs to
+   * @param {string} state.baseUrl - Project client URL the queue belongs to
+   * @returns {boolean} - Whether the checkpoint was written
+   */
+  save({ queue, completed, runId, project, baseUrl }) {
+    try {
+      const checkpoint = {
+        version: CHECKPOINT_VERSION,
+        savedAt: new Date().toISOString(),
+        runId: runId || null,
+        project: project || "",
+        baseUrl: baseUrl || "",
+        queue: queue.map((item) => ({
+          url: item.url,
+          index: item.index,
+          key: item.key,
+          capturePreset: item.capturePreset,
+          captureFullPage: !!item.captureFullPage,
+          recipeName: item.recipeName || null,
+          actionSequences: item.actionSequences || [],
+          captureTarget: item.captureTarget || null,
+          routeParams: item.routeParams || {},
+        })),
+        completed: Array.from(completed),
+      };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(checkpoint));
+      return true;
+    } catch (error) {
+      console.warn("Could not save capture checkpoint:", error);
+      return false;
+    }
+  },
+
+  /**
+   * Load the saved checkpoint, if any
+   * @returns {Object|null} - Checkpoint, or null if none is stored or it is unreadable
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return null;
+      const checkpoint = JSON.parse(raw);
+      if (
+        !checkpoint ||
+        checkpoint.version !== CHECKPOINT_VERSION ||
+        !Array.isArray(checkpoint.queue) ||
+        !Array.isArray(checkpoint.completed)
+      ) {
+        this.clear();
+        return null;
+      }
+      return checkpoint;
+    } catch (error) {
+      console.warn("Discarding unreadable capture checkpoint:", error);
+      this.clear();
+      return null;
+    }
+  },
+
+  /**
+   * Whether a checkpoint with unfinished items exists
+   * @returns {boolean}
+   */
+  hasUnfinished() {
+    const checkpoint = this.load();
+    return (
+      !!checkpoint && checkpoint.completed.length < checkpoint.queue.length
+    );
+  },
+
+  /**
+   * Remove the saved checkpoint
+   */
+  clear() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.warn("Could not clear capture checkpoint:", error);
+    }
+  },
+};
+
+export default CaptureCheckpoint;
@@ -0,0 +1,110 @@
+/**
+ * Capture Item Module
+ * File naming and retrying of one capture queue item, shared by the app and the
+ * headless bundle so both name and retry captures the same way. A queue item has
+ * url, index, capturePreset, captureFullPage, captureTarget and routeParams.
+ */
+import config from "./config.js";
+import Presets from "./presets.js";
+import urlFetcher from "./url-fetcher.js";
+import * as ScreenshotCapture from "./screenshot/core.js";
+import { ScreenshotError } from "./errors.js";
+
+/**
+ * Token values of the naming template for a queue item
+ * @param {Object} item - Capture queue item
+ * @param {Object} [details] - Values known after the capture (status, width, height, step)
+ * @returns {Object} - Context for URLProcessor.applyNamingTemplate
+ */
+export function getNamingContext(item, details = {}) {
+  const match = urlFetcher.matchPageUrl(item.url);
+  const pageInfo = match?.pageInfo;
+  const routeParams = item.routeParams || match?.params || {};
+  // Show the values a parameterised path was expanded with, e.g. machine/101
+  const path = (pageInfo?.path || "").replace(
+    /\/:([^\/]+)/g,
+    (segment, name) =>
+      routeParams[name] !== undefined ? `/${routeParams[name]}` : segment
+  );
+  const preset = Presets.get(item.capturePreset);
+  return {
+    project: urlFetcher.projectName || "",
+    path: path.replace(/^\/+/, "") || "Home",
+    category: path.split("/").filter(Boolean)[0] || "Home",
+    title: pageInfo?.title || "",
+    preset: Presets.getLabel(item.capturePreset),
+    width: details.width ?? preset?.width ?? "",
+    height: details.height ?? preset?.height ?? "",
+    mode: item.captureFullPage ? "FullPage" : "Viewport",
+    status: details.status || "OK",
+    url: item.url,
+    params: Object.entries(routeParams)
+      .map(([name, value]) => `${name}-${value}`)
+      .join("_"),
+    custom: config.ui.defaultCustomText,
+    step: details.step || "",
+    date: new Date(),
+    index: (item.index ?? 0) + 1,
+  };
+}
+
+/**
+ * Capture one queue item, retrying according to config.retry and the given overrides.
+ * Only failures whose ScreenshotError reason is listed in retryableReasons are retried,
+ * waiting backoffMs * backoffFactor^(attempt - 1) between attempts.
+ * @param {Object} item - Capture queue item
+ * @param {Object} [options]
+ * @param {HTMLIFrameElement} [options.iframe=null] - Iframe to capture in (defaults to #screenshotIframe)
+ * @param {Array<Object>} [options.actions=[]] - Actions to perform before the capture
+ * @param {{maxAttempts?: number, backoffMs?: number}} [options.retry] - Overrides of config.retry
+ *   (the retry settings of the form or the job)
+ * @param {function(): boolean} [options.shouldStop] - Checked before each retry; true gives up
+ * @param {function(Error, number, number, number): void} [options.onRetry] - Called with the error,
+ *   the next attempt, the maximum attempts and the delay in ms before a retry
+ * @returns {Promise<Object>} - Screenshot result with the number of `attempts` it took
+ * @throws {Error} - The last error, with `attempts` set, once retries are exhausted
+ */
+export async function takeScreenshotWithRetry(
+  item,
+  {
+    iframe = null,
+    actions = [],
+    retry = {},
+    shouldStop = () => false,
+    onRetry = () => {},
+  } = {}
+) {
+  const retryConfig = { ...config.retry, ...retry };
+  const maxAttempts = Math.max(1, retryConfig.maxAttempts || 1);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await ScreenshotCapture.takeScreenshot(
+        item.url,
+        item.capturePreset,
+        item.captureFullPage,
+        actions,
+        iframe,
+        item.captureTarget || null
+      );
+      result.attempts = attempt;
+      return result;
+    } catch (error) {
+      error.attempts = attempt;
+      const isRetryable =
+        error instanceof ScreenshotError &&
+        (retryConfig.retryableReasons || []).includes(error.reason);
+      if (!isRetryable || attempt >= maxAttempts || shouldStop()) {
+        throw error;
+      }
+
+      const delay = Math.round(
+        (retryConfig.backoffMs || 0) *
+          Math.pow(retryConfig.backoffFactor || 1, attempt - 1)
+      );
+      onRetry(error, attempt + 1, maxAttempts, delay);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (shouldStop()) throw error;
+    }
+  }
+}
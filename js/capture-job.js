@@ -0,0 +1,98 @@
+/**
+ * Capture Job Module
+ * A capture job is the whole setup of the capture form (project, login option, page
+ * source and selected pages, screen sizes, capture settings and actions) saved as one
+ * versioned JSON file. The settings use the field names of cli/capture-runner.js job
+ * files, so a saved job can also be run headless.
+ */
+import { AppError } from "./errors.js";
+
+/**
+ * Identifies a job file and the version of its layout
+ */
+export const JOB_FILE_FORMAT = "perspective-capture-job";
+export const JOB_FILE_VERSION = 1;
+
+const PAGE_SOURCES = ["automatic", "manual", "relativeList"];
+const LOGIN_OPTIONS = ["login", "continueWithoutLogin"];
+
+const CaptureJob = {
+  /**
+   * Build the JSON file content of a job
+   * @param {Object} job - Job fields collected from the capture form
+   * @returns {string}
+   */
+  toFile(job) {
+    return JSON.stringify(
+      {
+        format: JOB_FILE_FORMAT,
+        formatVersion: JOB_FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        ...job,
+      },
+      null,
+      2
+    );
+  },
+
+  /**
+   * Read and validate a job file
+   * @param {string} text - File content
+   * @returns {Object} - The job, with pages and presets always arrays
+   * @throws {AppError} - If the file is not a valid job of a supported version
+   */
+  parseFile(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new AppError(
+        `The file is not valid JSON: ${error.message}`,
+        "JOB_ERROR"
+      );
+    }
+    if (!parsed || parsed.format !== JOB_FILE_FORMAT) {
+      throw new AppError("The file is not a capture job.", "JOB_ERROR");
+    }
+    if (!(parsed.formatVersion <= JOB_FILE_VERSION)) {
+      throw new AppError(
+        `The job file version ${parsed.formatVersion} is newer than this tool supports (${JOB_FILE_VERSION}).`,
+        "JOB_ERROR"
+      );
+    }
+    if (!parsed.project) {
+      throw new AppError("The job does not name a project.", "JOB_ERROR");
+    }
+    if (!LOGIN_OPTIONS.includes(parsed.loginOption)) {
+      throw new AppError(
+        `Unknown login option "${parsed.loginOption}".`,
+        "JOB_ERROR"
+      );
+    }
+    if (!PAGE_SOURCES.includes(parsed.pageSource)) {
+      throw new AppError(
+        `Unknown page source "${parsed.pageSource}".`,
+        "JOB_ERROR"
+      );
+    }
+    ["pages", "presets"].forEach((field) => {
+      if (
+        parsed[field] !== undefined &&
+        (!Array.isArray(parsed[field]) ||
+          parsed[field].some((value) => typeof value !== "string"))
+      ) {
+        throw new AppError(
+          `"${field}" must be a list of strings.`,
+          "JOB_ERROR"
+        );
+      }
+    });
+    return {
+      ...parsed,
+      pages: parsed.pages || [],
+      presets: parsed.presets || [],
+    };
+  },
+};
+
+export default CaptureJob;
@@ -0,0 +1,189 @@
+/**
+ * Capture Recipes Module
+ * Action sequences attached to a page path or path glob, saved in localStorage.
+ * Every named sequence of a matching recipe is run on a freshly loaded page and
+ * produces its own screenshot.
+ */
+import { AppError } from "./errors.js";
+import { createNamedStore } from "./named-store.js";
+import { validateAction } from "./screenshot/actions.js";
+
+// Recipes are matched in the order they were added
+const store = createNamedStore("perspectiveCapture.recipes", {
+  label: "recipe",
+  errorCode: "RECIPE_ERROR",
+  ordered: true,
+});
+
+/**
+ * Check every action of the sequences against the action schema
+ * @param {Array<{name: string, actions: Array<Object>}>} sequences
+ * @throws {AppError} - Naming the first invalid action
+ */
+function checkActions(sequences) {
+  sequences.forEach((sequence) => {
+    sequence.actions.forEach((action, i) => {
+      const problems = validateAction(action);
+      if (problems.length > 0) {
+        throw new AppError(
+          `"${sequence.name}" action ${i + 1}: ${problems
+            .map((problem) => problem.message)
+            .join(", ")}.`,
+          "RECIPE_ERROR"
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Turn a path glob into a regular expression.
+ * "*" matches within one path segment, "**" across segments and "?" one character.
+ * @param {string} pattern - Path glob, e.g. "/machine/*" or "/reports/**"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .trim()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+const CaptureRecipes = {
+  /**
+   * Read all recipes from localStorage, in the order they are matched
+   * @returns {Array<{name: string, pathPattern: string, sequences: Array<Object>}>}
+   */
+  getAll() {
+    return store.getAll();
+  },
+
+  /**
+   * Get a recipe by name
+   * @param {string} name - Recipe name
+   * @returns {{name: string, pathPattern: string, sequences: Array<Object>}|null}
+   */
+  get(name) {
+    return store.get(name);
+  },
+
+  /**
+   * Create or replace a recipe (a replaced recipe keeps its position)
+   * @param {{name: string, pathPattern: string, sequences: Array<Object>}} recipe
+   * @throws {AppError} - If the name, path pattern or sequences are missing or an action is invalid
+   */
+  save({ name, pathPattern, sequences }) {
+    const trimmedName = (name || "").trim();
+    const trimmedPattern = (pathPattern || "").trim();
+    if (!trimmedName) {
+      throw new AppError("Please enter a name for the recipe.", "RECIPE_ERROR");
+    }
+    if (!trimmedPattern) {
+      throw new AppError(
+        "Please enter the page path or path glob the recipe applies to.",
+        "RECIPE_ERROR"
+      );
+    }
+    if (!Array.isArray(sequences) || sequences.length === 0) {
+      throw new AppError(
+        "A recipe needs at least one action sequence.",
+        "RECIPE_ERROR"
+      );
+    }
+    checkActions(sequences);
+
+    store.put({
+      name: trimmedName,
+      pathPattern: trimmedPattern,
+      sequences,
+    });
+  },
+
+  /**
+   * Delete a recipe
+   * @param {string} name - Recipe name
+   * @returns {boolean} - Whether a recipe was deleted
+   * @throws {AppError} - If the change cannot be stored
+   */
+  remove(name) {
+    return store.remove(name);
+  },
+
+  /**
+   * Parse the sequences of a recipe (or of a multi-shot capture) from JSON. Accepts an array of
+   * {name, actions} sequences, or a plain array of actions (one sequence).
+   * @param {string} text - JSON text
+   * @param {string} [defaultName="Step 1"] - Name of a plain action array
+   * @returns {Array<{name: string, actions: Array<Object>}>}
+   * @throws {AppError} - If the JSON is invalid, not in one of the formats above or an action is invalid
+   */
+  parseSequences(text, defaultName = "Step 1") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text || "");
+    } catch (error) {
+      throw new AppError(
+        `Actions are not valid JSON: ${error.message}`,
+        "RECIPE_ERROR"
+      );
+    }
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new AppError(
+        "Actions must be a non-empty JSON array.",
+        "RECIPE_ERROR"
+      );
+    }
+
+    const isSequenceList = parsed.every(
+      (entry) => entry && Array.isArray(entry.actions)
+    );
+    const sequences = isSequenceList
+      ? parsed.map((sequence, i) => ({
+          name: (sequence.name || "").trim() || `Step ${i + 1}`,
+          actions: sequence.actions,
+        }))
+      : [{ name: defaultName, actions: parsed }];
+
+    checkActions(sequences);
+    const names = sequences.map((sequence) => sequence.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+      throw new AppError(
+        `Sequence names must be unique ("${duplicate}" is used twice).`,
+        "RECIPE_ERROR"
+      );
+    }
+    return sequences;
+  },
+
+  /**
+   * Whether a page path matches a recipe's path pattern
+   * @param {string} pattern - Path or path glob
+   * @param {string} path - Page path, e.g. "/machine/:id" or "/machine/101"
+   * @returns {boolean}
+   */
+  matchesPath(pattern, path) {
+    if (!pattern || typeof path !== "string") return false;
+    const normalize = (value) => `/${value.trim().replace(/^\/+/, "")}`;
+    return globToRegExp(normalize(pattern)).test(normalize(path));
+  },
+
+  /**
+   * The first recipe whose pattern matches any of the given paths
+   * @param {...string} paths - Paths of the page (route template and concrete path)
+   * @returns {{name: string, pathPattern: string, sequences: Array<Object>}|null}
+   */
+  findForPath(...paths) {
+    return (
+      this.getAll().find((recipe) =>
+        paths.some((path) => this.matchesPath(recipe.pathPattern, path))
+      ) || null
+    );
+  },
+};
+
+export default CaptureRecipes;
@@ -0,0 +1,193 @@
+/**
+ * Capture Scheduler Module
+ * Runs a saved capture job daily at a fixed time or every few hours while the tool
+ * tab stays open. The schedule is kept in localStorage so it survives a reload; a run
+ * missed while the PC slept starts at the next check.
+ */
+import { AppError } from "./errors.js";
+
+const STORAGE_KEY = "perspectiveCapture.schedule";
+const CHECK_INTERVAL_MS = 30000;
+const MAX_INTERVAL_HOURS = 168;
+
+/**
+ * How often a schedule repeats
+ */
+export const ScheduleMode = {
+  DAILY: "daily", // Every day at `time` (HH:MM, local time)
+  INTERVAL: "interval", // Every `everyHours` hours
+};
+
+const CaptureScheduler = {
+  _timer: null,
+
+  /**
+   * Read the stored schedule
+   * @returns {{mode: string, time: string, everyHours: number, job: Object, nextRunAt: string, lastRunAt: string|null, pausedReason: string|null}|null}
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const schedule = raw ? JSON.parse(raw) : null;
+      return schedule && schedule.job && schedule.nextRunAt ? schedule : null;
+    } catch (error) {
+      console.warn("Could not read capture schedule:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Schedule a capture job, replacing any previous schedule
+   * @param {Object} options
+   * @param {string} options.mode - ScheduleMode value
+   * @param {string} [options.time] - "HH:MM" for daily schedules
+   * @param {number} [options.everyHours] - Hours between runs for interval schedules
+   * @param {Object} options.job - Capture job to run (see capture-job.js)
+   * @returns {Object} - The saved schedule
+   * @throws {AppError} - If the time or interval is invalid
+   */
+  save({ mode, time, everyHours, job }) {
+    if (!Object.values(ScheduleMode).includes(mode)) {
+      throw new AppError(`Unknown schedule "${mode}".`, "SCHEDULE_ERROR");
+    }
+    if (
+      mode === ScheduleMode.DAILY &&
+      !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)
+    ) {
+      throw new AppError(
+        "Enter the daily capture time as HH:MM.",
+        "SCHEDULE_ERROR"
+      );
+    }
+    if (
+      mode === ScheduleMode.INTERVAL &&
+      !(everyHours >= 1 && everyHours <= MAX_INTERVAL_HOURS)
+    ) {
+      throw new AppError(
+        `Run scheduled captures every 1 to ${MAX_INTERVAL_HOURS} hours.`,
+        "SCHEDULE_ERROR"
+      );
+    }
+
+    const schedule = {
+      mode,
+      time: mode === ScheduleMode.DAILY ? time : null,
+      everyHours: mode === ScheduleMode.INTERVAL ? Number(everyHours) : null,
+      job,
+      lastRunAt: null,
+      pausedReason: null,
+    };
+    schedule.nextRunAt = this.getNextRun(schedule).toISOString();
+    this._store(schedule);
+    return schedule;
+  },
+
+  /**
+   * Remove the schedule
+   */
+  clear() {
+    localStorage.removeItem(STORAGE_KEY);
+  },
+
+  /**
+   * Time of the next run after a moment
+   * @param {Object} schedule - Schedule from load or save
+   * @param {Date} [from=new Date()]
+   * @returns {Date}
+   */
+  getNextRun(schedule, from = new Date()) {
+    if (schedule.mode === ScheduleMode.INTERVAL) {
+      return new Date(from.getTime() + schedule.everyHours * 3600000);
+    }
+    const [hours, minutes] = schedule.time.split(":").map(Number);
+    const next = new Date(from);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= from) next.setDate(next.getDate() + 1);
+    return next;
+  },
+
+  /**
+   * Record that a run started and move the next run on
+   * @param {Date} [at=new Date()] - Start of the run
+   * @returns {Object|null} - The updated schedule
+   */
+  markRun(at = new Date()) {
+    const schedule = this.load();
+    if (!schedule) return null;
+    schedule.lastRunAt = at.toISOString();
+    schedule.nextRunAt = this.getNextRun(schedule, at).toISOString();
+    this._store(schedule);
+    return schedule;
+  },
+
+  /**
+   * Stop starting runs until resume() is called
+   * @param {string} reason - Shown in the next run indicator
+   * @returns {Object|null} - The updated schedule
+   */
+  pause(reason) {
+    const schedule = this.load();
+    if (!schedule) return null;
+    schedule.pausedReason = reason || "Paused";
+    this._store(schedule);
+    return schedule;
+  },
+
+  /**
+   * Start running again, from the next regular run time
+   * @returns {Object|null} - The updated schedule
+   */
+  resume() {
+    const schedule = this.load();
+    if (!schedule) return null;
+    schedule.pausedReason = null;
+    schedule.nextRunAt = this.getNextRun(schedule).toISOString();
+    this._store(schedule);
+    return schedule;
+  },
+
+  /**
+   * Check the schedule periodically and call back when a run is due. The callback
+   * should call markRun once it actually starts the run; until then it is called again
+   * at every check.
+   * @param {function(Object): void} onDue - Called with the due schedule
+   */
+  start(onDue) {
+    this.stop();
+    const check = () => {
+      const schedule = this.load();
+      if (
+        schedule &&
+        !schedule.pausedReason &&
+        Date.now() >= new Date(schedule.nextRunAt).getTime()
+      ) {
+        onDue(schedule);
+      }
+    };
+    this._timer = setInterval(check, CHECK_INTERVAL_MS);
+    check();
+  },
+
+  /**
+   * Stop checking the schedule
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  },
+
+  _store(schedule) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(schedule));
+    } catch (error) {
+      throw new AppError(
+        `Could not save the capture schedule: ${error.message}`,
+        "SCHEDULE_ERROR"
+      );
+    }
+  },
+};
+
+export default CaptureScheduler;
@@ -4,7 +4,7 @@ export const config = {
   // UI related settings
   ui: {
     defaultWaitTime: 4,
-    defaultNamingPattern: "{url}_{custom}", // Kept for URLProcessor, though not directly used by screenshot naming now
+    defaultNamingPattern: "{url}_{params}_{step}_{preset}_{status}_{date:YYYYMMDD_HHmmss}", // File name template, see URLProcessor.applyNamingTemplate
     defaultCustomText: "Screenshot", // Kept for potential future use
     defaultUrlRegex: "client/([^/]+)/([^/]+)/([^/]+)/([^/]+)", // Kept for URLProcessor
     cssClasses: {
@@ -29,6 +29,24 @@ export const config = {
       width: 120,
       height: 90,
     },
+    // Device pixel ratio used for rendering; 2x/3x give crisp images for print and 4K displays
+    defaultScale: 1,
+    scaleOptions: [1, 2, 3],
+    // Encoding of the saved images
+    output: {
+      defaultFormat: "png",
+      formats: {
+        png: {
+          mimeType: "image/png",
+          extension: "png",
+          label: "PNG (lossless)",
+        },
+        jpeg: { mimeType: "image/jpeg", extension: "jpg", label: "JPEG" },
+        webp: { mimeType: "image/webp", extension: "webp", label: "WebP" },
+      },
+      defaultQuality: 0.85, // For JPEG and WebP (0.1-1)
+      defaultMaxDimension: 0, // Longest image side in px after downscaling (0 = keep size)
+    },
     // html2canvasOptions removed
     // dom-to-image-more options will be set dynamically in core.js
     // but we can define some defaults if needed.
@@ -41,6 +59,49 @@ export const config = {
       cacheBust: true, // Good for ensuring fresh images
       // filter, width, height will be set dynamically
     },
+    // Render-readiness detection. The "Wait Time" setting becomes the maximum wait;
+    // the capture starts as soon as every signal below reports the page as settled.
+    readiness: {
+      enabled: true, // Default of the "Finish early when ready" checkbox
+      minWaitMs: 500, // Never capture sooner than this after the page load event
+      pollIntervalMs: 250,
+      domQuietMs: 750, // Required time without DOM mutations
+      networkQuietMs: 500, // Required time without fetch/XHR/WebSocket activity
+      layoutStableSamples: 3, // Consecutive polls with unchanged element boxes
+      maxLayoutElements: 400, // Elements sampled for the layout stability check
+      spinnerSelectors: [
+        ".ia_throbber",
+        ".loading-spinner",
+        '[class*="spinner" i]',
+        '[class*="throbber" i]',
+        '[aria-busy="true"]',
+      ],
+    },
+  },
+
+  // Capture queue settings
+  capture: {
+    defaultConcurrency: 1, // Number of offscreen iframes capturing in parallel
+    maxConcurrency: 6,
+    itemDelayMs: 250, // Pause between two captures on the same iframe
+  },
+
+  // Visual regression settings (diffing against a stored baseline run)
+  regression: {
+    failThreshold: 0.5, // Changed-pixel percentage above which a page fails
+    colorTolerance: 16, // Per-channel difference (0-255) still treated as unchanged
+    highlightColor: "#ff0000", // Color of changed pixels in the diff overlay
+  },
+
+  // Retry policy for failed captures
+  retry: {
+    maxAttempts: 3, // Total attempts per page, including the first one (1 = no automatic retry)
+    backoffMs: 2000, // Delay before the first retry
+    backoffFactor: 2, // Each further retry waits backoffFactor times longer
+    maxAttemptsLimit: 10, // Highest value of the "Attempts per Page" setting
+    // ScreenshotError reasons worth retrying (see FailureReason in screenshot/core.js).
+    // Mount and page errors are deterministic, so retrying them only wastes time.
+    retryableReasons: ["timeout", "load-error", "capture-error", "unknown"],
   },
 
   // URL processing settings (remains the same)
@@ -66,6 +127,8 @@ export const config = {
     typingDelay: 30, // 30ms between characters when typing
     scrollCompletionDelay: 500, // wait after scrolling
     highlightDuration: 200, // how long to highlight clicked elements
+    actionTimeout: 10000, // default timeout of waitForSelector and waitForText actions
+    replayMaxWait: 15000, // longest wait for the page to be ready before the recorder replays
   },
   debug: false, // Default debug state
 };
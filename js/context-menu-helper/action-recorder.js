@@ -0,0 +1,431 @@
+// js/context-menu-helper/action-recorder.js - Records clicks, typing, selects and scrolls in a visible iframe as capture actions
+
+import config from "../config.js";
+import { getElementXPath } from "./element-utils.js";
+import { performActions } from "../screenshot/actions.js";
+import { createReadinessMonitor } from "../screenshot/readiness.js";
+
+const MIN_ACTION_DELAY = 300; // ms, shortest pause recorded after an action
+const MAX_ACTION_DELAY = 5000; // ms, longest pause recorded after an action
+const SCROLL_DEBOUNCE = 300; // ms without scroll events before a scroll is recorded
+const RECORDED_KEYS = ["Enter", "Escape", "Tab"];
+const RECORDING_STATUS = "Recording - interact with the page";
+const FOREIGN_PAGE_STATUS =
+  "Cannot record this page - it is served from another origin (a login redirect?)";
+
+/**
+ * Build a selector that survives page reloads: the element's Perspective component
+ * (data-component-path), an XPath below that component, a unique id, or the
+ * positional XPath of the element as a last resort.
+ * @param {Element} element - The element interacted with
+ * @param {Document} document - The document containing the element
+ * @returns {string} - CSS selector or XPath (starts with "/")
+ */
+export function getStableSelector(element, document) {
+  const component = element.closest("[data-component-path]");
+  if (component) {
+    const path = component.getAttribute("data-component-path");
+    const componentSelector = `[data-component-path="${path}"]`;
+    if (document.querySelectorAll(componentSelector).length === 1) {
+      if (component === element) return componentSelector;
+      const componentXPath = getElementXPath(component, document);
+      const elementXPath = getElementXPath(element, document);
+      if (componentXPath && elementXPath.startsWith(componentXPath)) {
+        return `//*[@data-component-path="${path}"]${elementXPath.slice(
+          componentXPath.length
+        )}`;
+      }
+    }
+  }
+
+  if (
+    element.id &&
+    !/\d{4,}/.test(element.id) && // Skip generated ids
+    document.querySelectorAll(`#${CSS.escape(element.id)}`).length === 1
+  ) {
+    return `#${CSS.escape(element.id)}`;
+  }
+  return getElementXPath(element, document);
+}
+
+/**
+ * Whether an element takes typed text
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isTextField(element) {
+  if (element.tagName === "TEXTAREA") return true;
+  if (element.tagName !== "INPUT") return false;
+  return !["checkbox", "radio", "button", "submit", "reset", "file"].includes(
+    (element.type || "text").toLowerCase()
+  );
+}
+
+/**
+ * Create a recorder that turns the user's interactions into actions for
+ * screenshot/actions.js. Attach it to every document loaded in the iframe;
+ * the recorded actions are kept across reloads.
+ * @param {Function} [onChange] - Called with the action list whenever it changes
+ * @returns {{actions: Array<Object>, attach: Function, detach: Function, clear: Function}}
+ */
+export function createActionRecorder(onChange) {
+  const actions = [];
+  let lastActionTime = 0;
+  let scrollTimer = null;
+  let attached = null; // { document, listeners }
+
+  const changed = () => {
+    if (typeof onChange === "function") onChange(actions);
+  };
+
+  const record = (action) => {
+    const now = Date.now();
+    if (actions.length > 0) {
+      actions[actions.length - 1].delay = Math.min(
+        MAX_ACTION_DELAY,
+        Math.max(MIN_ACTION_DELAY, now - lastActionTime)
+      );
+    }
+    lastActionTime = now;
+    actions.push(action);
+    changed();
+  };
+
+  const last = () => actions[actions.length - 1];
+
+  const handlers = (document) => ({
+    click: (event) => {
+      const target = event.target;
+      if (isTextField(target) || ["SELECT", "OPTION"].includes(target.tagName))
+        return; // Recorded as type/select instead
+      record({ type: "click", selector: getStableSelector(target, document) });
+    },
+    dblclick: (event) => {
+      const selector = getStableSelector(event.target, document);
+      // Replace the two clicks the browser reported before the dblclick
+      for (let i = 0; i < 2; i++) {
+        if (last()?.type === "click" && last().selector === selector)
+          actions.pop();
+      }
+      record({ type: "doubleClick", selector });
+    },
+    contextmenu: (event) => {
+      record({
+        type: "rightClick",
+        selector: getStableSelector(event.target, document),
+      });
+    },
+    input: (event) => {
+      const target = event.target;
+      if (!isTextField(target)) return;
+      const selector = getStableSelector(target, document);
+      if (last()?.type === "type" && last().selector === selector) {
+        last().value = target.value;
+        changed();
+      } else {
+        record({ type: "type", selector, value: target.value });
+      }
+    },
+    change: (event) => {
+      const target = event.target;
+      if (target.tagName !== "SELECT") return;
+      record({
+        type: "select",
+        selector: getStableSelector(target, document),
+        value: target.value,
+      });
+    },
+    keydown: (event) => {
+      if (!RECORDED_KEYS.includes(event.key)) return;
+      const target = event.target;
+      const action = { type: "press", key: event.key };
+      if (target && target !== document.body && target.nodeType === 1)
+        action.selector = getStableSelector(target, document);
+      record(action);
+    },
+    scroll: (event) => {
+      clearTimeout(scrollTimer);
+      scrollTimer = setTimeout(() => {
+        const target = event.target;
+        const isPage =
+          target === document ||
+          target === document.documentElement ||
+          target === document.body;
+        const action = isPage
+          ? {
+              type: "scroll",
+              x: Math.round(document.defaultView.scrollX),
+              y: Math.round(document.defaultView.scrollY),
+            }
+          : {
+              type: "scroll",
+              selector: getStableSelector(target, document),
+              x: Math.round(target.scrollLeft),
+              y: Math.round(target.scrollTop),
+            };
+        // Keep only the final position of a continuous scroll
+        if (last()?.type === "scroll" && last().selector === action.selector) {
+          Object.assign(last(), action);
+          changed();
+        } else {
+          record(action);
+        }
+      }, SCROLL_DEBOUNCE);
+    },
+  });
+
+  return {
+    actions,
+
+    /**
+     * Start listening to a document (detaches from the previous one)
+     * @param {Document} document - Document loaded in the recording iframe
+     */
+    attach(document) {
+      this.detach();
+      const listeners = Object.entries(handlers(document)).map(
+        ([type, handler]) => {
+          // Only record real user input, not events dispatched by a replay
+          const listener = (event) => {
+            if (event.isTrusted) handler(event);
+          };
+          document.addEventListener(type, listener, true);
+          return [type, listener];
+        }
+      );
+      attached = { document, listeners };
+      lastActionTime = lastActionTime || Date.now();
+    },
+
+    /**
+     * Stop listening
+     */
+    detach() {
+      clearTimeout(scrollTimer);
+      if (!attached) return;
+      attached.listeners.forEach(([type, listener]) =>
+        attached.document.removeEventListener(type, listener, true)
+      );
+      attached = null;
+    },
+
+    /**
+     * Forget all recorded actions
+     */
+    clear() {
+      actions.length = 0;
+      lastActionTime = Date.now();
+      changed();
+    },
+  };
+}
+
+/**
+ * Open a dialog with the page in a visible iframe and record what the user does.
+ * The recording can be replayed in the dialog before it is saved.
+ * @param {string} url - Page to record on
+ * @param {Object} [options]
+ * @param {string} [options.name] - Default sequence name
+ * @returns {Promise<{name: string, actions: Array<Object>}|null>} - null if cancelled
+ */
+export function openRecorderDialog(url, { name = "Recording" } = {}) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "recorder-backdrop";
+    backdrop.innerHTML = `
+      <div class="recorder-dialog">
+        <div class="recorder-header">
+          <h3>Record Actions</h3>
+          <span class="recorder-url"></span>
+          <span class="recorder-status">Loading page...</span>
+        </div>
+        <div class="recorder-body">
+          <iframe class="recorder-frame"></iframe>
+          <div class="recorder-sidebar">
+            <input type="text" class="recorder-name" placeholder="Sequence name" />
+            <ol class="recorder-action-list"></ol>
+          </div>
+        </div>
+        <div class="recorder-buttons">
+          <button type="button" class="btn btn-small recorder-replay">Replay</button>
+          <button type="button" class="btn btn-small recorder-restart">Restart</button>
+          <button type="button" class="btn btn-small recorder-cancel">Cancel</button>
+          <button type="button" class="btn btn-small recorder-save">Save Sequence</button>
+        </div>
+      </div>`;
+    document.body.appendChild(backdrop);
+
+    const iframe = backdrop.querySelector(".recorder-frame");
+    const status = backdrop.querySelector(".recorder-status");
+    const list = backdrop.querySelector(".recorder-action-list");
+    const nameInput = backdrop.querySelector(".recorder-name");
+    const buttons = backdrop.querySelectorAll(".recorder-buttons button");
+    backdrop.querySelector(".recorder-url").textContent = url;
+    nameInput.value = name;
+
+    const renderActions = (actions) => {
+      list.innerHTML = "";
+      actions.forEach((action, index) => {
+        const item = document.createElement("li");
+        const text = document.createElement("code");
+        const { type, delay: _delay, ...details } = action;
+        text.textContent = `${type} ${JSON.stringify(details)}`;
+        text.title = JSON.stringify(action, null, 2);
+        const removeBtn = document.createElement("button");
+        removeBtn.type = "button";
+        removeBtn.className = "recorder-remove";
+        removeBtn.textContent = "×";
+        removeBtn.title = "Remove this action";
+        removeBtn.addEventListener("click", () => {
+          recorder.actions.splice(index, 1);
+          renderActions(recorder.actions);
+        });
+        item.appendChild(text);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+      });
+      list.scrollTop = list.scrollHeight;
+    };
+    const recorder = createActionRecorder(renderActions);
+
+    const setStatus = (message, isError = false) => {
+      status.textContent = message;
+      status.classList.toggle("error", isError);
+    };
+    // Cancel stays enabled so a page that never finishes loading can't trap the dialog
+    const setBusy = (busy, message, isError = false) => {
+      buttons.forEach((button) => {
+        if (!button.classList.contains("recorder-cancel"))
+          button.disabled = busy;
+      });
+      setStatus(message, isError);
+    };
+
+    // Null when the frame shows a document of another origin
+    const getFrameDocument = () => {
+      try {
+        return iframe.contentDocument;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    // Every document the frame loads is recorded, including pages the user
+    // navigates to inside the frame, except while a replay is running
+    let replaying = false;
+    let onNextLoad = null;
+    const handleFrameLoad = () => {
+      const frameDocument = getFrameDocument();
+      if (!frameDocument) recorder.detach();
+      else if (!replaying) recorder.attach(frameDocument);
+      if (onNextLoad) {
+        onNextLoad(frameDocument);
+        onNextLoad = null;
+      } else if (!replaying) {
+        if (frameDocument) setStatus(RECORDING_STATUS);
+        else setStatus(FOREIGN_PAGE_STATUS, true);
+      }
+    };
+
+    // Reload the page; the load listener attaches the recorder to the new document.
+    // Resolves with that document, or null if it can't be accessed.
+    const loadPage = async () => {
+      recorder.detach();
+      setBusy(true, "Loading page...");
+      const loaded = new Promise((resolveLoad) => (onNextLoad = resolveLoad));
+      iframe.src = url;
+      // Registered after setting src so the blank initial document is never attached
+      if (!iframe.dataset.listenersAttached) {
+        iframe.addEventListener("load", handleFrameLoad);
+        iframe.dataset.listenersAttached = "true";
+      }
+      const frameDocument = await loaded;
+      if (frameDocument) setBusy(false, RECORDING_STATUS);
+      else setBusy(false, FOREIGN_PAGE_STATUS, true);
+      return frameDocument;
+    };
+
+    // Poll the readiness monitor until the page has settled, at most
+    // config.timing.replayMaxWait after the load event
+    const waitForPageReady = async () => {
+      const { minWaitMs, pollIntervalMs } = config.screenshot.readiness;
+      const monitor = createReadinessMonitor(iframe);
+      monitor.start();
+      const startedAt = performance.now();
+      try {
+        for (;;) {
+          await new Promise((r) => setTimeout(r, pollIntervalMs));
+          const waited = performance.now() - startedAt;
+          if (waited >= config.timing.replayMaxWait) return;
+          if (waited >= minWaitMs && monitor.evaluate().ready) return;
+        }
+      } finally {
+        monitor.stop();
+      }
+    };
+
+    const close = (result) => {
+      iframe.removeEventListener("load", handleFrameLoad);
+      recorder.detach();
+      backdrop.remove();
+      resolve(result);
+    };
+
+    backdrop
+      .querySelector(".recorder-replay")
+      .addEventListener("click", async () => {
+        const actions = recorder.actions.map((action) => ({ ...action }));
+        // Scrolls and navigation caused by the replay must not be recorded
+        replaying = true;
+        let message = "Replay finished - recording continues";
+        let isError = false;
+        try {
+          if (!(await loadPage())) throw new Error(FOREIGN_PAGE_STATUS);
+          setBusy(true, "Replaying...");
+          await waitForPageReady();
+          const frameDocument = getFrameDocument();
+          if (!frameDocument) throw new Error(FOREIGN_PAGE_STATUS);
+          await performActions(frameDocument, actions);
+        } catch (error) {
+          message = `Replay failed: ${error.message}`;
+          isError = true;
+        } finally {
+          replaying = false;
+          const frameDocument = getFrameDocument();
+          if (frameDocument) {
+            recorder.attach(frameDocument);
+          } else {
+            message = FOREIGN_PAGE_STATUS;
+            isError = true;
+          }
+          setBusy(false, message, isError);
+        }
+      });
+    backdrop
+      .querySelector(".recorder-restart")
+      .addEventListener("click", async () => {
+        recorder.clear();
+        await loadPage();
+      });
+    backdrop
+      .querySelector(".recorder-cancel")
+      .addEventListener("click", () => close(null));
+    backdrop.querySelector(".recorder-save").addEventListener("click", () => {
+      if (recorder.actions.length === 0) {
+        setStatus("Nothing recorded yet.", true);
+        return;
+      }
+      const actions = recorder.actions.map((action) => ({ ...action }));
+      delete actions[actions.length - 1].delay;
+      close({ name: nameInput.value.trim() || name, actions });
+    });
+
+    loadPage();
+  });
+}
+
+export default {
+  getStableSelector,
+  createActionRecorder,
+  openRecorderDialog,
+};
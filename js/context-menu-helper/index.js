@@ -5,6 +5,7 @@ import elementUtils from './element-utils.js';
 import toolbarDetector from './toolbar-detector.js';
 import actionGenerator from './action-generator.js';
 import uiControls from './ui-controls.js';
+import actionRecorder from './action-recorder.js';
 
 // Combine all modules into a single export
 const ContextMenuActionsHelper = {
@@ -28,6 +29,11 @@ const ContextMenuActionsHelper = {
   generateActionsForSelectedMainMenu: actionGenerator.generateActionsForSelectedMainMenu,
   processSubmenuItem: actionGenerator.processSubmenuItem,
   
+  // Action Recorder functions
+  getStableSelector: actionRecorder.getStableSelector,
+  createActionRecorder: actionRecorder.createActionRecorder,
+  openRecorderDialog: actionRecorder.openRecorderDialog,
+  
   // UI Controls functions
   addUIControls: uiControls.addUIControls
 };
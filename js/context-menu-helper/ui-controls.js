@@ -1,8 +1,10 @@
 // js/context-menu-helper/ui-controls.js
 
 import UI from "../ui/index.js";
+import urlSelector from "../ui/url-selector.js";
 import { waitForIframeLoad, findMenuElements } from "./element-utils.js"; // Import findMenuElements
 import { generateContextAwareMenuActions } from "./action-generator.js";
+import { openRecorderDialog } from "./action-recorder.js";
 import { emit } from "../events.js";
 
 // --- createMenuSelectionDialog function ---
@@ -348,23 +350,30 @@ export function addUIControls() {
     "Generate actions based on menu items in the loaded URL";
   generateContextButton.innerHTML = `<span class="action-icon">⚙️</span><span class="action-text">Generate</span>`;
 
-  // Load Button (Disabled)
+  // Record Button
+  const recordContextButton = document.createElement("button");
+  recordContextButton.id = "recordContextActions";
+  recordContextButton.className = "action-btn record-btn";
+  recordContextButton.title =
+    "Record clicks, typing, selects and scrolls on the first selected page";
+  recordContextButton.innerHTML = `<span class="action-icon">⏺️</span><span class="action-text">Record</span>`;
+
+  // Load Button
   const loadContextButton = document.createElement("button");
   loadContextButton.id = "loadContextActions";
   loadContextButton.className = "action-btn load-btn";
-  loadContextButton.disabled = true;
-  loadContextButton.title = "Load saved JSON actions (coming soon)";
+  loadContextButton.title = "Import an action library file";
   loadContextButton.innerHTML = `<span class="action-icon">📂</span><span class="action-text">Load</span>`;
 
-  // Save Button (Disabled)
+  // Save Button
   const saveContextButton = document.createElement("button");
   saveContextButton.id = "saveContextActions";
   saveContextButton.className = "action-btn save-btn";
-  saveContextButton.disabled = true;
-  saveContextButton.title = "Save current JSON actions (coming soon)";
+  saveContextButton.title = "Save the current JSON actions as a named library";
   saveContextButton.innerHTML = `<span class="action-icon">💾</span><span class="action-text">Save</span>`;
 
   contextActionsButtons.appendChild(generateContextButton);
+  contextActionsButtons.appendChild(recordContextButton);
   contextActionsButtons.appendChild(loadContextButton);
   contextActionsButtons.appendChild(saveContextButton);
 
@@ -429,19 +438,13 @@ export function addUIControls() {
       document.querySelector("#menu-selection-badges")?.remove();
 
       // --- Load Iframe if Necessary ---
+      // Generate for the first page selected for capture
       const iframe = UI.elements.iframe;
-      const urlListElement = document.getElementById("urlList");
-      const urlListValue = urlListElement ? urlListElement.value : "";
-      const urls = urlListValue
-        .trim()
-        .split("\n")
-        .filter((url) => url.trim() !== "");
-      const targetUrl = urls.length > 0 ? urls[0].trim() : iframe.src;
+      const urls = urlSelector.getSelectedUrlsForCapture();
+      const targetUrl = urls.length > 0 ? urls[0] : iframe.src;
 
       if (!targetUrl || targetUrl === "about:blank") {
-        throw new Error(
-          "Please enter a valid URL in the URL input field first."
-        );
+        throw new Error("Please select a page to capture first.");
       }
 
       // Load or ensure the target URL is loaded
@@ -557,6 +560,7 @@ export function addUIControls() {
       emit("CONTEXT_ACTIONS_GENERATED"); // Still emit to update button state (likely hide capture button)
     } finally {
       // --- UI Cleanup ---
+      toggleActionElements(true); // Show the capture button again
       generateContextButton.disabled = false; // Re-enable button
       const finalGenerateButtonIcon =
         generateContextButton.querySelector(".action-icon");
@@ -582,12 +586,62 @@ export function addUIControls() {
     }
   };
 
-  // Placeholder listeners for Load/Save
+  recordContextButton.onclick = async () => {
+    const actionsField = UI.elements.actionsField;
+    const url = urlSelector.getSelectedUrlsForCapture()[0];
+    if (!url) {
+      UI.utils.showStatus("Please select a page to record on.", true);
+      return;
+    }
+
+    // Existing sequences the recording is appended to
+    let sequences = [];
+    const existing = actionsField.value.trim();
+    if (existing) {
+      try {
+        const parsed = JSON.parse(existing);
+        if (!Array.isArray(parsed)) throw new Error("not an array");
+        sequences = parsed.every(
+          (entry) => entry && Array.isArray(entry.actions)
+        )
+          ? parsed
+          : [{ name: "Step 1", actions: parsed }];
+      } catch (error) {
+        if (
+          !confirm(
+            "The current actions are not a valid JSON array. Replace them with the recording?"
+          )
+        )
+          return;
+      }
+    }
+
+    recordContextButton.disabled = true;
+    generateContextButton.disabled = true;
+    try {
+      const recording = await openRecorderDialog(url, {
+        name: `Step ${sequences.length + 1}`,
+      });
+      if (!recording) return;
+      sequences.push(recording);
+      actionsField.value = JSON.stringify(sequences, null, 2);
+      emit("CONTEXT_ACTIONS_GENERATED"); // Re-validate the multi-shot sequences
+      UI.utils.showStatus(
+        `Recorded ${recording.actions.length} actions as "${recording.name}".`,
+        false,
+        3000
+      );
+    } finally {
+      recordContextButton.disabled = false;
+      generateContextButton.disabled = false;
+    }
+  };
+
   loadContextButton.addEventListener("click", () =>
-    alert("Load functionality not yet implemented.")
+    UI.actionLibraryPicker.importFile()
   );
   saveContextButton.addEventListener("click", () =>
-    alert("Save functionality not yet implemented.")
+    UI.actionLibraryPicker.saveCurrent()
   );
 
   console.log("Context menu helper UI controls added.");
@@ -119,6 +119,21 @@ export const events = {
   // UI events
   UI_RESET: "uiReset",
   DOWNLOAD_ALL_REQUESTED: "downloadAllRequested",
+  HTML_REPORT_REQUESTED: "htmlReportRequested",
+  RETRY_FAILED_REQUESTED: "retryFailedRequested",
+
+  // Visual regression events
+  BASELINE_SET_REQUESTED: "baselineSetRequested",
+  BASELINE_UPDATED: "baselineUpdated",
+  SCREENSHOT_COMPARED: "screenshotCompared",
+
+  // Run history events
+  HISTORY_RUN_OPEN_REQUESTED: "historyRunOpenRequested",
+  HISTORY_RUN_EXPORT_REQUESTED: "historyRunExportRequested",
+  HISTORY_RUN_DELETED: "historyRunDeleted",
+
+  // Scheduled capture events
+  SCHEDULE_REQUESTED: "scheduleRequested",
 
   // Login-related events
   LOGIN_STARTED: "LOGIN_STARTED",
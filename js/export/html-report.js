@@ -0,0 +1,338 @@
+// js/export/html-report.js - Builds a self-contained HTML report of a capture run: a gallery
+// per category with search, failure and mount issue filters, a lightbox and a failure summary
+import { AppError } from "../errors.js";
+import { createManifestEntry, orderBySequence } from "./zip-exporter.js";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Format a duration in seconds as "1h 02m 03s", "2m 03s" or "4.5s"
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || isNaN(seconds)) return "-";
+  if (seconds < 60) return `${Number(seconds).toFixed(1)}s`;
+  const total = Math.round(seconds);
+  const pad = (value) => String(value).padStart(2, "0");
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0
+    ? `${hours}h ${pad(minutes)}m ${pad(total % 60)}s`
+    : `${minutes}m ${pad(total % 60)}s`;
+}
+
+const REPORT_STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 0; background: #f4f6f8; color: #222; }
+header { background: #2c3e50; color: #fff; padding: 16px 24px; }
+header h1 { margin: 0 0 8px; font-size: 20px; }
+.meta { display: flex; flex-wrap: wrap; gap: 6px 24px; font-size: 13px; }
+.meta span { opacity: 0.85; }
+main { padding: 16px 24px; }
+.toolbar { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 16px; }
+.toolbar input, .toolbar select { padding: 6px 10px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; }
+.toolbar input { flex: 1; min-width: 220px; }
+.counter { font-size: 13px; color: #666; }
+.failures { background: #fff; border: 1px solid #f5c6cb; border-radius: 6px; padding: 12px 16px; margin-bottom: 20px; }
+.failures h2 { font-size: 16px; margin: 0 0 8px; color: #a71d2a; }
+.failures table { border-collapse: collapse; width: 100%; font-size: 13px; }
+.failures td, .failures th { text-align: left; padding: 4px 8px; border-top: 1px solid #eee; vertical-align: top; word-break: break-all; }
+.category h2 { font-size: 16px; margin: 20px 0 10px; }
+.category h2 small { font-weight: normal; color: #777; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 12px; }
+.card { background: #fff; border: 1px solid #ddd; border-radius: 6px; overflow: hidden; display: flex; flex-direction: column; }
+.card.failed { border-color: #e74c3c; }
+.card.mount-issue { border-color: #f39c12; }
+.card img { width: 100%; height: 160px; object-fit: cover; object-position: top; cursor: zoom-in; background: #eee; display: block; }
+.card .no-image { height: 160px; display: flex; align-items: center; justify-content: center; background: #fdecea; color: #a71d2a; font-size: 13px; padding: 8px; text-align: center; }
+.card .info { padding: 8px 10px; font-size: 12px; display: flex; flex-direction: column; gap: 3px; }
+.card .title { font-weight: 600; font-size: 13px; }
+.card .url { color: #555; word-break: break-all; }
+.badge { display: inline-block; padding: 1px 6px; border-radius: 3px; font-size: 11px; color: #fff; background: #27ae60; }
+.failed .badge { background: #e74c3c; }
+.mount-issue .badge { background: #f39c12; }
+.hidden { display: none !important; }
+#lightbox { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.85); display: flex; flex-direction: column; align-items: center; justify-content: center; z-index: 10; }
+#lightbox img { max-width: 95vw; max-height: 88vh; background: #fff; }
+#lightbox p { color: #fff; font-size: 13px; margin: 8px 0 0; }
+`;
+
+const REPORT_SCRIPT = `
+(function () {
+  var cards = Array.prototype.slice.call(document.querySelectorAll(".card"));
+  var search = document.getElementById("search");
+  var filter = document.getElementById("filter");
+  var counter = document.getElementById("counter");
+  function apply() {
+    var term = search.value.trim().toLowerCase();
+    var shown = 0;
+    cards.forEach(function (card) {
+      var visible =
+        (!term || card.getAttribute("data-search").indexOf(term) !== -1) &&
+        (filter.value === "all" || card.getAttribute("data-status") === filter.value);
+      card.classList.toggle("hidden", !visible);
+      if (visible) shown++;
+    });
+    document.querySelectorAll(".category").forEach(function (section) {
+      section.classList.toggle("hidden", !section.querySelector(".card:not(.hidden)"));
+    });
+    counter.textContent = shown + " of " + cards.length + " shown";
+  }
+  search.addEventListener("input", apply);
+  filter.addEventListener("change", apply);
+  apply();
+
+  var lightbox = document.getElementById("lightbox");
+  var lightboxImage = lightbox.querySelector("img");
+  var lightboxCaption = lightbox.querySelector("p");
+  var current = null;
+  function show(card) {
+    current = card;
+    lightboxImage.src = card.querySelector("img").src;
+    lightboxCaption.textContent = card.getAttribute("data-caption");
+    lightbox.classList.remove("hidden");
+  }
+  function step(offset) {
+    var visible = cards.filter(function (card) {
+      return !card.classList.contains("hidden") && card.querySelector("img");
+    });
+    var index = visible.indexOf(current) + offset;
+    if (index >= 0 && index < visible.length) show(visible[index]);
+  }
+  cards.forEach(function (card) {
+    var image = card.querySelector("img");
+    if (image) image.addEventListener("click", function () { show(card); });
+  });
+  lightbox.addEventListener("click", function () { lightbox.classList.add("hidden"); });
+  document.addEventListener("keydown", function (event) {
+    if (lightbox.classList.contains("hidden")) return;
+    if (event.key === "Escape") lightbox.classList.add("hidden");
+    if (event.key === "ArrowRight") step(1);
+    if (event.key === "ArrowLeft") step(-1);
+  });
+})();
+`;
+
+/**
+ * Status of a report item, used by the failure and mount issue filter
+ * @param {Object} entry - Manifest entry
+ * @returns {"failed"|"mount-issue"|"ok"}
+ */
+function getStatus(entry) {
+  if (entry.error) return "failed";
+  return entry.detectedMountIssue ? "mount-issue" : "ok";
+}
+
+/**
+ * Markup of one gallery card
+ * @param {Object} item - Manifest entry with title and image
+ * @returns {string}
+ */
+function renderCard(item) {
+  const status = getStatus(item);
+  const label = [
+    item.title,
+    item.presetName,
+    item.sequenceName,
+    item.isFullPage ? "full page" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const statusText = {
+    failed: "Failed",
+    "mount-issue": "Mount issue",
+    ok: "OK",
+  }[status];
+  const image = item.image
+    ? `<img src="${item.image}" alt="${escapeHtml(item.url)}" loading="lazy">`
+    : `<div class="no-image">${escapeHtml(
+        item.errorMessage || "No screenshot"
+      )}</div>`;
+  const details = [
+    item.timeTaken !== null ? `${item.timeTaken}s` : null,
+    item.width && item.height ? `${item.width}×${item.height}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const mountIssue = item.mountIssueMessage
+    ? `<span>${escapeHtml(item.mountIssueMessage)}</span>`
+    : "";
+  const search = `${item.url} ${item.title}`.toLowerCase();
+  return `<div class="card ${status}" data-status="${status}" data-search="${escapeHtml(
+    search
+  )}" data-caption="${escapeHtml(`${item.url} - ${label}`)}">
+  ${image}
+  <div class="info">
+    <span class="title">${escapeHtml(item.title || item.url)}</span>
+    <span class="url">${escapeHtml(item.url)}</span>
+    <span>${escapeHtml(label)}</span>
+    <span><span class="badge">${statusText}</span> ${escapeHtml(details)}</span>
+    ${mountIssue}
+  </div>
+</div>`;
+}
+
+/**
+ * Markup of the table listing every failed page
+ * @param {Array<Object>} failed - Manifest entries of the failed pages
+ * @returns {string}
+ */
+function renderFailureSummary(failed) {
+  if (failed.length === 0) return "";
+  const rows = failed
+    .map(
+      (item) =>
+        `<tr><td>${escapeHtml(item.url)}</td><td>${escapeHtml(
+          item.presetName || ""
+        )}</td><td>${escapeHtml(item.errorReason || "")}</td><td>${escapeHtml(
+          item.errorMessage || ""
+        )}</td></tr>`
+    )
+    .join("\n");
+  return `<section class="failures">
+  <h2>${failed.length} failed</h2>
+  <table>
+    <tr><th>Page</th><th>Screen size</th><th>Reason</th><th>Message</th></tr>
+    ${rows}
+  </table>
+</section>`;
+}
+
+/**
+ * Create a single-file HTML report of captured and failed pages. Images are embedded
+ * as data URLs, so the file can be opened offline.
+ * @param {Object} options - Report options
+ * @param {Map<string, Object>} options.screenshots - Results keyed by capture key (AppState.screenshots)
+ * @param {Map<string, Object>} options.failures - Failure details keyed by capture key
+ * @param {Map<string, string>} options.categories - Category name per capture key
+ * @param {Object} [options.info] - Run metadata: project, baseUrl, user, presets, startedAt, durationSec
+ * @param {function(string): string} [options.getTitle] - Page title of a page URL
+ * @returns {{blob: Blob, capturedCount: number, failedCount: number, mountIssueCount: number}}
+ * @throws {AppError} - If there is nothing to report
+ */
+export function createHtmlReport({
+  screenshots,
+  failures,
+  categories,
+  info = {},
+  getTitle = () => "",
+}) {
+  if (screenshots.size === 0 && failures.size === 0) {
+    throw new AppError("There are no screenshots to report.", "EXPORT_ERROR");
+  }
+
+  const records = orderBySequence([
+    ...Array.from(screenshots, ([key, data]) => ({ key, data })),
+    ...Array.from(failures, ([key, details]) => ({
+      key,
+      data: { ...details, error: true },
+    })),
+  ]);
+  const items = records.map(({ key, data }) => ({
+    ...createManifestEntry(key, data, null),
+    title: getTitle(data.url || key) || "",
+    image: !data.error && data.screenshot ? data.screenshot : null,
+    category: categories.get(key) || "Other",
+  }));
+
+  const byCategory = new Map();
+  items.forEach((item) => {
+    if (!byCategory.has(item.category)) byCategory.set(item.category, []);
+    byCategory.get(item.category).push(item);
+  });
+  const failed = items.filter((item) => item.error);
+  const mountIssueCount = items.filter(
+    (item) => !item.error && item.detectedMountIssue
+  ).length;
+  const capturedCount = items.length - failed.length;
+
+  const metadata = [
+    ["Project", info.project],
+    ["URL", info.baseUrl],
+    ["User", info.user || "Guest"],
+    ["Screen sizes", info.presets],
+    [
+      "Started",
+      info.startedAt ? new Date(info.startedAt).toLocaleString() : null,
+    ],
+    ["Duration", formatDuration(info.durationSec)],
+    [
+      "Result",
+      `${capturedCount} captured, ${failed.length} failed, ${mountIssueCount} mount issues`,
+    ],
+    ["Generated", new Date().toLocaleString()],
+  ]
+    .filter(([, value]) => value)
+    .map(
+      ([label, value]) =>
+        `<div><span>${label}:</span> ${escapeHtml(value)}</div>`
+    )
+    .join("\n");
+
+  const gallery = Array.from(byCategory)
+    .map(
+      ([category, categoryItems]) => `<section class="category">
+  <h2>${escapeHtml(category)} <small>(${categoryItems.length})</small></h2>
+  <div class="grid">
+${categoryItems.map(renderCard).join("\n")}
+  </div>
+</section>`
+    )
+    .join("\n");
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(info.project || "Capture")} - Screenshot Report</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>📸 ${escapeHtml(info.project || "Perspective")} Screenshot Report</h1>
+  <div class="meta">
+${metadata}
+  </div>
+</header>
+<main>
+  <div class="toolbar">
+    <input type="search" id="search" placeholder="Search URL or title...">
+    <select id="filter">
+      <option value="all">All pages</option>
+      <option value="failed">Failed</option>
+      <option value="mount-issue">Mount issues</option>
+      <option value="ok">OK</option>
+    </select>
+    <span class="counter" id="counter"></span>
+  </div>
+  ${renderFailureSummary(failed)}
+  ${gallery}
+</main>
+<div id="lightbox" class="hidden"><img alt=""><p></p></div>
+<script>${REPORT_SCRIPT}</script>
+</body>
+</html>`;
+
+  return {
+    blob: new Blob([html], { type: "text/html" }),
+    capturedCount,
+    failedCount: failed.length,
+    mountIssueCount,
+  };
+}
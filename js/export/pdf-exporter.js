@@ -0,0 +1,527 @@
+// js/export/pdf-exporter.js - Lays out captured screenshots in a PDF with the chosen page and caption options
+import { AppError } from "../errors.js";
+
+/**
+ * Options used when the user has not chosen any. Margins are in mm.
+ */
+export const DEFAULT_PDF_OPTIONS = {
+  pageSize: "a4", // "a4", "letter" or "a3"
+  orientation: "landscape", // "landscape" or "portrait"
+  margin: 15,
+  imagesPerPage: 1, // 1, 2, 4 or 6
+  caption: { fileName: true, title: false, url: false, capturedAt: false },
+  coverPage: false,
+  tableOfContents: false,
+  bookmarks: true,
+  splitLongPages: true,
+};
+
+export const PDF_PAGE_SIZES = ["a4", "letter", "a3"];
+export const PDF_IMAGES_PER_PAGE = [1, 2, 4, 6];
+const MIN_MARGIN = 5;
+const MAX_MARGIN = 40;
+
+// Longest image side kept in the PDF for a 1x capture; high-DPI captures keep more
+const MAX_IMAGE_DIMENSION = 1800;
+// A screenshot that would shrink below this share of the page width is split instead
+const MIN_FIT_WIDTH_RATIO = 0.5;
+const HEADER_HEIGHT = 8;
+const FOOTER_HEIGHT = 6;
+const CELL_GAP = 5;
+const CAPTION_LINE_HEIGHT = 3;
+const TOC_SECTION_LINE_HEIGHT = 7;
+const TOC_ITEM_LINE_HEIGHT = 5;
+const TOC_HEADING_HEIGHT = 14;
+
+const MIME_TYPES = { PNG: "image/png", WEBP: "image/webp", JPEG: "image/jpeg" };
+
+/**
+ * Fill in missing or invalid options with the defaults
+ * @param {Object} [options] - Options as chosen in the export dialog
+ * @returns {Object} - Complete options
+ */
+export function normalizePdfOptions(options = {}) {
+  const margin = Number(options.margin);
+  const imagesPerPage = Number(options.imagesPerPage);
+  return {
+    ...DEFAULT_PDF_OPTIONS,
+    ...options,
+    pageSize: PDF_PAGE_SIZES.includes(options.pageSize)
+      ? options.pageSize
+      : DEFAULT_PDF_OPTIONS.pageSize,
+    orientation: options.orientation === "portrait" ? "portrait" : "landscape",
+    margin:
+      margin >= MIN_MARGIN && margin <= MAX_MARGIN
+        ? margin
+        : DEFAULT_PDF_OPTIONS.margin,
+    imagesPerPage: PDF_IMAGES_PER_PAGE.includes(imagesPerPage)
+      ? imagesPerPage
+      : DEFAULT_PDF_OPTIONS.imagesPerPage,
+    caption: { ...DEFAULT_PDF_OPTIONS.caption, ...options.caption },
+  };
+}
+
+/**
+ * Format name jsPDF's addImage expects for a data URL
+ * @param {string} dataURL - Image data URL
+ * @returns {string} - "PNG", "JPEG" or "WEBP"
+ */
+function getPdfImageFormat(dataURL) {
+  if (dataURL.startsWith("data:image/png")) return "PNG";
+  if (dataURL.startsWith("data:image/webp")) return "WEBP";
+  return "JPEG";
+}
+
+/**
+ * Load a data URL into an image element
+ * @param {string} dataURL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(dataURL) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const width = img.naturalWidth || img.width;
+      const height = img.naturalHeight || img.height;
+      if (!(width > 0 && height > 0)) {
+        reject(new Error("Image has no size"));
+        return;
+      }
+      resolve(img);
+    };
+    img.onerror = () => reject(new Error("Image loading failed"));
+    img.src = dataURL;
+  });
+}
+
+/**
+ * Draw part of an image onto a canvas and encode it in the original format
+ * @param {HTMLImageElement} img - Source image
+ * @param {{y: number, height: number}} region - Rows of the source to keep
+ * @param {number} targetWidth - Width of the encoded image in px
+ * @param {number} targetHeight - Height of the encoded image in px
+ * @param {string} format - Format from getPdfImageFormat
+ * @param {number} quality - Encoder quality for JPEG and WebP
+ * @returns {string} - Data URL
+ */
+function encodeRegion(img, region, targetWidth, targetHeight, format, quality) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(targetWidth));
+  canvas.height = Math.max(1, Math.round(targetHeight));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(
+    img,
+    0,
+    region.y,
+    img.naturalWidth || img.width,
+    region.height,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+  const data = canvas.toDataURL(MIME_TYPES[format], quality);
+  // Release the pixel buffer right away; long runs hold many images
+  canvas.width = 1;
+  canvas.height = 1;
+  return data;
+}
+
+/**
+ * Shorten a text with "..." until it fits a width at the current font size
+ * @param {Object} pdf - jsPDF document
+ * @param {string} text
+ * @param {number} maxWidth - Width in mm
+ * @returns {string}
+ */
+function fitText(pdf, text, maxWidth) {
+  if (pdf.getTextWidth(text) <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && pdf.getTextWidth(text.slice(0, end) + "...") > maxWidth)
+    end--;
+  return text.slice(0, end) + "...";
+}
+
+/**
+ * Caption lines of a screenshot for the chosen caption content
+ * @param {Object} item - Screenshot item
+ * @param {Object} caption - options.caption
+ * @returns {Array<string>}
+ */
+function getCaptionLines(item, caption) {
+  return [
+    caption.title && item.title,
+    caption.fileName && item.fileName,
+    caption.url && item.url,
+    caption.capturedAt &&
+      item.capturedAt &&
+      `Captured ${new Date(item.capturedAt).toLocaleString()}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Columns and rows of the image grid on a page
+ * @param {number} imagesPerPage
+ * @param {string} orientation
+ * @returns {{cols: number, rows: number}}
+ */
+function getGrid(imagesPerPage, orientation) {
+  const landscape = orientation === "landscape";
+  switch (imagesPerPage) {
+    case 2:
+      return landscape ? { cols: 2, rows: 1 } : { cols: 1, rows: 2 };
+    case 4:
+      return { cols: 2, rows: 2 };
+    case 6:
+      return landscape ? { cols: 3, rows: 2 } : { cols: 2, rows: 3 };
+    default:
+      return { cols: 1, rows: 1 };
+  }
+}
+
+/**
+ * Number of pages the table of contents needs
+ * @param {Array<Object>} sections
+ * @param {number} pageHeight - Usable height of a page in mm
+ * @returns {number}
+ */
+function countTocPages(sections, pageHeight) {
+  let pages = 1;
+  let y = TOC_HEADING_HEIGHT;
+  const advance = (lineHeight) => {
+    if (y + lineHeight > pageHeight) {
+      pages++;
+      y = 0;
+    }
+    y += lineHeight;
+  };
+  sections.forEach((section) => {
+    advance(TOC_SECTION_LINE_HEIGHT);
+    section.items.forEach(() => advance(TOC_ITEM_LINE_HEIGHT));
+  });
+  return pages;
+}
+
+/**
+ * Create a PDF of screenshots grouped in sections (one per thumbnail category).
+ * Screenshots much taller than the page are split across several pages at full
+ * width instead of being shrunk to fit one page.
+ * @param {Object} params
+ * @param {Array<{title: string, items: Array<Object>}>} params.sections - Screenshot items per category;
+ *   an item has image (data URL), fileName, title, url, capturedAt, scale and quality
+ * @param {Object} [params.options] - Export options (see DEFAULT_PDF_OPTIONS)
+ * @param {Object} [params.info] - Document title and projectUrl for the cover page and header
+ * @param {function(number, number): void} [params.onProgress] - Called with processed and total screenshots
+ * @returns {Promise<{pdf: Object, pageCount: number, imageCount: number, failedCount: number}>}
+ * @throws {AppError} - If jsPDF is missing or there is nothing to export
+ */
+export async function createPdf({
+  sections,
+  options = {},
+  info = {},
+  onProgress = () => {},
+}) {
+  if (typeof jspdf === "undefined" || typeof jspdf.jsPDF === "undefined") {
+    throw new AppError("jsPDF library not found.", "EXPORT_ERROR");
+  }
+  const usedSections = sections.filter((section) => section.items.length > 0);
+  if (usedSections.length === 0) {
+    throw new AppError("There are no screenshots to export.", "EXPORT_ERROR");
+  }
+  const opts = normalizePdfOptions(options);
+  const title = info.title || "Screenshots";
+  const generatedAt = new Date().toLocaleString();
+
+  const pdf = new jspdf.jsPDF({
+    orientation: opts.orientation,
+    unit: "mm",
+    format: opts.pageSize,
+    compress: true,
+    precision: 4,
+    putOnlyUsedFonts: true,
+  });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const m = opts.margin;
+  const contentWidth = pageWidth - 2 * m;
+  const contentTop = m + HEADER_HEIGHT;
+  const contentHeight = pageHeight - contentTop - m - FOOTER_HEIGHT;
+  const { cols, rows } = getGrid(opts.imagesPerPage, opts.orientation);
+  const cellWidth = (contentWidth - CELL_GAP * (cols - 1)) / cols;
+  const cellHeight = (contentHeight - CELL_GAP * (rows - 1)) / rows;
+  const captionLineCount = Object.values(opts.caption).filter(Boolean).length;
+  const captionHeight = captionLineCount
+    ? captionLineCount * CAPTION_LINE_HEIGHT + 2
+    : 0;
+
+  // The document starts with one empty page, used by whatever comes first
+  let blankFirstPage = true;
+  const addPage = () => {
+    if (blankFirstPage) blankFirstPage = false;
+    else pdf.addPage();
+    return pdf.getNumberOfPages();
+  };
+
+  if (opts.coverPage) {
+    addPage();
+    const itemCount = usedSections.reduce((n, s) => n + s.items.length, 0);
+    let y = pageHeight * 0.3;
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(24);
+    pdf.splitTextToSize(title, contentWidth).forEach((line) => {
+      pdf.text(line, m, y);
+      y += 10;
+    });
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(11);
+    pdf.setTextColor(80);
+    [
+      info.projectUrl && `Project URL: ${info.projectUrl}`,
+      `${itemCount} screenshots in ${usedSections.length} categories`,
+      `Generated on ${generatedAt}`,
+    ]
+      .filter(Boolean)
+      .forEach((line) => {
+        y += 7;
+        pdf.text(fitText(pdf, line, contentWidth), m, y);
+      });
+    pdf.setTextColor(0);
+  }
+
+  const tocPages = [];
+  if (opts.tableOfContents) {
+    const count = countTocPages(usedSections, pageHeight - 2 * m);
+    for (let i = 0; i < count; i++) tocPages.push(addPage());
+  }
+
+  let currentSection = null;
+  const startContentPage = () => {
+    const pageNumber = addPage();
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(9);
+    pdf.text(fitText(pdf, currentSection.title, contentWidth * 0.6), m, m + 4);
+    pdf.setFontSize(7);
+    pdf.setTextColor(150);
+    const headerRight = info.projectUrl || generatedAt;
+    pdf.text(
+      fitText(pdf, headerRight, contentWidth * 0.35),
+      pageWidth - m,
+      m + 4,
+      { align: "right" }
+    );
+    pdf.setTextColor(0);
+    pdf.setLineWidth(0.2);
+    pdf.line(m, m + 6, pageWidth - m, m + 6);
+    return pageNumber;
+  };
+
+  const drawCaption = (lines, x, y, width) => {
+    pdf.setFontSize(7);
+    lines.forEach((line, i) => {
+      if (i > 0) pdf.setTextColor(100);
+      pdf.text(fitText(pdf, line, width), x, y + 3 + i * CAPTION_LINE_HEIGHT);
+    });
+    pdf.setTextColor(0);
+  };
+
+  const total = usedSections.reduce((n, s) => n + s.items.length, 0);
+  const tocEntries = [];
+  let processed = 0;
+  let imageCount = 0;
+  let failedCount = 0;
+
+  for (const section of usedSections) {
+    currentSection = section;
+    const sectionEntry = { title: section.title, pageNumber: 0, items: [] };
+    tocEntries.push(sectionEntry);
+    // Each section starts on a new page
+    let slot = cols * rows;
+    let pageNumber = 0;
+    // Position of the next free grid cell, starting a new page when this one is full
+    const nextCell = () => {
+      if (slot >= cols * rows) {
+        pageNumber = startContentPage();
+        slot = 0;
+      }
+      if (!sectionEntry.pageNumber) sectionEntry.pageNumber = pageNumber;
+      const cell = {
+        x: m + (slot % cols) * (cellWidth + CELL_GAP),
+        y: contentTop + Math.floor(slot / cols) * (cellHeight + CELL_GAP),
+      };
+      slot++;
+      return cell;
+    };
+
+    for (const item of section.items) {
+      const captionLines = getCaptionLines(item, opts.caption);
+      const label = item.title || item.fileName;
+      try {
+        const img = await loadImage(item.image);
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const format = getPdfImageFormat(item.image);
+        const maxDimension = MAX_IMAGE_DIMENSION * (item.scale || 1);
+        const quality = item.quality || 0.92;
+        const areaHeight = contentHeight - captionHeight;
+        const fitWidth = (areaHeight * width) / height;
+
+        if (
+          opts.splitLongPages &&
+          fitWidth < contentWidth * MIN_FIT_WIDTH_RATIO
+        ) {
+          // Full-width slices of one page each; only the width is capped
+          const targetWidth = Math.min(width, maxDimension);
+          const sliceHeight = Math.ceil((width * areaHeight) / contentWidth);
+          const parts = Math.ceil(height / sliceHeight);
+          for (let part = 0; part < parts; part++) {
+            const y = part * sliceHeight;
+            const regionHeight = Math.min(sliceHeight, height - y);
+            const data = encodeRegion(
+              img,
+              { y, height: regionHeight },
+              targetWidth,
+              (regionHeight * targetWidth) / width,
+              format,
+              quality
+            );
+            pageNumber = startContentPage();
+            slot = cols * rows;
+            if (part === 0) {
+              sectionEntry.items.push({ title: label, pageNumber });
+              if (!sectionEntry.pageNumber)
+                sectionEntry.pageNumber = pageNumber;
+            }
+            const drawHeight = (regionHeight * contentWidth) / width;
+            pdf.addImage(
+              data,
+              format,
+              m,
+              contentTop,
+              contentWidth,
+              drawHeight,
+              null,
+              "FAST"
+            );
+            const partLines = captionLines.length
+              ? [
+                  `${captionLines[0]} (part ${part + 1} of ${parts})`,
+                  ...captionLines.slice(1),
+                ]
+              : [];
+            drawCaption(partLines, m, contentTop + drawHeight, contentWidth);
+          }
+        } else {
+          const { x, y } = nextCell();
+          sectionEntry.items.push({ title: label, pageNumber });
+          const imageAreaHeight = cellHeight - captionHeight;
+          const ratio = Math.min(cellWidth / width, imageAreaHeight / height);
+          const drawWidth = width * ratio;
+          const drawHeight = height * ratio;
+          const downscale = Math.min(1, maxDimension / Math.max(width, height));
+          const data =
+            downscale < 1
+              ? encodeRegion(
+                  img,
+                  { y: 0, height },
+                  width * downscale,
+                  height * downscale,
+                  format,
+                  quality
+                )
+              : item.image;
+          pdf.addImage(data, format, x, y, drawWidth, drawHeight, null, "FAST");
+          drawCaption(captionLines, x, y + drawHeight, cellWidth);
+        }
+        imageCount++;
+      } catch (error) {
+        console.warn(`Could not add ${item.fileName} to the PDF:`, error);
+        const { x, y } = nextCell();
+        pdf.setFontSize(8);
+        pdf.setTextColor(255, 0, 0);
+        pdf.text(
+          fitText(pdf, `Error loading image: ${item.fileName}`, cellWidth),
+          x,
+          y + 5
+        );
+        pdf.setTextColor(0);
+        failedCount++;
+      }
+      processed++;
+      onProgress(processed, total);
+      // Let the page repaint between images
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFontSize(7);
+    pdf.setTextColor(150);
+    pdf.text(`${page} / ${pageCount}`, pageWidth - m, pageHeight - m, {
+      align: "right",
+    });
+    pdf.setTextColor(0);
+  }
+
+  if (tocPages.length > 0) {
+    let tocIndex = 0;
+    pdf.setPage(tocPages[0]);
+    pdf.setFont("helvetica", "bold");
+    pdf.setFontSize(16);
+    pdf.text("Contents", m, m + 8);
+    let y = m + TOC_HEADING_HEIGHT;
+    const writeEntry = (text, pageNumber, indent, lineHeight, bold) => {
+      if (y + lineHeight > pageHeight - m) {
+        tocIndex++;
+        pdf.setPage(tocPages[tocIndex]);
+        y = m;
+      }
+      y += lineHeight;
+      pdf.setFont("helvetica", bold ? "bold" : "normal");
+      pdf.setFontSize(bold ? 11 : 9);
+      const numberText = String(pageNumber);
+      const numberWidth = pdf.getTextWidth(numberText);
+      pdf.textWithLink(
+        fitText(pdf, text, contentWidth - indent - numberWidth - 5),
+        m + indent,
+        y,
+        { pageNumber }
+      );
+      pdf.text(numberText, pageWidth - m, y, { align: "right" });
+    };
+    tocEntries.forEach((entry) => {
+      writeEntry(
+        entry.title,
+        entry.pageNumber,
+        0,
+        TOC_SECTION_LINE_HEIGHT,
+        true
+      );
+      entry.items.forEach((tocItem) =>
+        writeEntry(tocItem.title, tocItem.pageNumber, 6, TOC_ITEM_LINE_HEIGHT)
+      );
+    });
+    pdf.setFont("helvetica", "normal");
+  }
+
+  if (opts.bookmarks) {
+    if (opts.coverPage) pdf.outline.add(null, title, { pageNumber: 1 });
+    if (tocPages.length > 0)
+      pdf.outline.add(null, "Contents", { pageNumber: tocPages[0] });
+    tocEntries.forEach((entry) => {
+      const node = pdf.outline.add(null, entry.title, {
+        pageNumber: entry.pageNumber,
+      });
+      entry.items.forEach((tocItem) =>
+        pdf.outline.add(node, tocItem.title, { pageNumber: tocItem.pageNumber })
+      );
+    });
+  }
+
+  return { pdf, pageCount, imageCount, failedCount };
+}
@@ -0,0 +1,180 @@
+// js/export/zip-exporter.js - Packs captured screenshots into a ZIP archive with a manifest
+import { AppError } from "../errors.js";
+import Presets from "../presets.js";
+import URLProcessor from "../url-processor.js";
+
+export const MANIFEST_FILE_NAME = "manifest.json";
+
+/**
+ * Make a category name safe to use as a folder name inside the archive
+ * @param {string} name - Category name as shown in the thumbnails view
+ * @returns {string}
+ */
+function toFolderName(name) {
+  return (
+    (name || "Other")
+      .replace(/[\\/:*?"<>|]+/g, "_")
+      .replace(/\s+/g, " ")
+      .trim() || "Other"
+  );
+}
+
+/**
+ * Build the manifest entry of a captured or failed page
+ * @param {string} key - Capture key
+ * @param {Object} data - Screenshot result or failure details
+ * @param {string|null} path - Path of the image inside the archive
+ * @returns {Object}
+ */
+export function createManifestEntry(key, data, path) {
+  const preset = data.preset || null;
+  return {
+    key,
+    url: data.url || key,
+    fileName: data.fileName || null,
+    path,
+    preset,
+    presetName: preset ? Presets.get(preset)?.name || preset : null,
+    isFullPage: !!data.isFullPage,
+    routeParams: data.routeParams || {},
+    recipeName: data.recipeName || null,
+    sequenceGroup: data.sequenceGroup || null,
+    sequenceName: data.sequenceGroup ? data.sequenceName : null,
+    sequenceIndex: data.sequenceGroup ? data.sequenceIndex : null,
+    format: data.format || null,
+    quality: data.quality ?? null,
+    width: data.width ?? null,
+    height: data.height ?? null,
+    pixelWidth: data.pixelWidth ?? null,
+    pixelHeight: data.pixelHeight ?? null,
+    scale: data.scale ?? null,
+    timeTaken: data.timeTaken ?? null,
+    detectedMountIssue: !!data.detectedMountIssue,
+    mountIssueMessage: data.mountIssueMessage || null,
+    error: !!data.error,
+    errorMessage: data.errorMessage || null,
+    errorReason: data.errorReason || null,
+    target: data.target || null,
+    redactionProfile: data.redactionProfile || null,
+    redactions: data.redactions || [],
+  };
+}
+
+/**
+ * Order captures so the shots of a multi-shot capture follow each other in sequence
+ * order, at the position of the group's first shot
+ * @param {Array<{key: string, data: Object}>} records - Captures in capture order
+ * @returns {Array<{key: string, data: Object}>}
+ */
+export function orderBySequence(records) {
+  const groupOf = (record) => record.data.sequenceGroup || record.key;
+  const groupPosition = new Map();
+  records.forEach((record, i) => {
+    if (!groupPosition.has(groupOf(record)))
+      groupPosition.set(groupOf(record), i);
+  });
+  return records
+    .map((record, i) => ({ record, i }))
+    .sort(
+      (a, b) =>
+        groupPosition.get(groupOf(a.record)) -
+          groupPosition.get(groupOf(b.record)) ||
+        (a.record.data.sequenceIndex ?? 0) -
+          (b.record.data.sequenceIndex ?? 0) ||
+        a.i - b.i
+    )
+    .map(({ record }) => record);
+}
+
+/**
+ * Create a ZIP archive with one folder per thumbnail category and a manifest.json
+ * describing every captured and failed page, multi-shot captures in sequence order
+ * @param {Object} options - Export options
+ * @param {Map<string, Object>} options.screenshots - Results keyed by capture key (AppState.screenshots)
+ * @param {Map<string, Object>} options.failures - Failure details keyed by capture key
+ * @param {Map<string, string>} options.categories - Category name per capture key
+ * @param {Object} [options.info] - Extra fields for the manifest header (project, run id...)
+ * @returns {Promise<{blob: Blob, manifest: Object}>}
+ * @throws {AppError} - If JSZip is missing or there is nothing to export
+ */
+export async function createZipArchive({
+  screenshots,
+  failures,
+  categories,
+  info = {},
+}) {
+  if (typeof JSZip === "undefined") {
+    throw new AppError("JSZip library not found.", "EXPORT_ERROR");
+  }
+  if (screenshots.size === 0 && failures.size === 0) {
+    throw new AppError("There are no screenshots to export.", "EXPORT_ERROR");
+  }
+
+  const zip = new JSZip();
+  const usedNamesByFolder = new Map();
+  const entries = [];
+  const records = orderBySequence([
+    ...Array.from(screenshots, ([key, data]) => ({ key, data })),
+    ...Array.from(failures, ([key, details]) => ({
+      key,
+      data: { ...details, error: true },
+    })),
+  ]);
+
+  for (const { key, data } of records) {
+    if (data.error) {
+      entries.push(createManifestEntry(key, data, null));
+      continue;
+    }
+    if (!data.screenshot) continue;
+    const base64 = data.screenshot.split(";base64,")[1];
+    if (!base64) continue;
+    const folder = toFolderName(categories.get(key));
+    if (!usedNamesByFolder.has(folder)) {
+      usedNamesByFolder.set(folder, new Set());
+    }
+    // Number multi-shot images so they sort in sequence order in the folder
+    const fileName = URLProcessor.makeUniqueFilename(
+      data.sequenceGroup
+        ? `${String(data.sequenceIndex + 1).padStart(2, "0")}_${
+            data.fileName || "screenshot.png"
+          }`
+        : data.fileName || "screenshot.png",
+      usedNamesByFolder.get(folder)
+    );
+    zip.folder(folder).file(fileName, base64, { base64: true });
+    entries.push(createManifestEntry(key, data, `${folder}/${fileName}`));
+  }
+
+  const manifest = {
+    ...info,
+    generatedAt: new Date().toISOString(),
+    capturedCount: entries.filter((entry) => !entry.error).length,
+    failedCount: entries.filter((entry) => entry.error).length,
+    entries,
+  };
+  zip.file(MANIFEST_FILE_NAME, JSON.stringify(manifest, null, 2));
+
+  const blob = await zip.generateAsync({
+    type: "blob",
+    compression: "DEFLATE",
+    compressionOptions: { level: 6 },
+  });
+  return { blob, manifest };
+}
+
+/**
+ * Offer a Blob to the user as a file download
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Download file name
+ */
+export function downloadBlob(blob, fileName) {
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+}
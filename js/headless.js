@@ -0,0 +1,259 @@
+// headless.js - Entry point of the headless capture bundle driven by cli/capture-runner.js
+// Runs the same capture pipeline as the app (screenshot/core.js) without the UI.
+// Built as the PerspectiveCaptureHeadless global; the runner loads it into a page on
+// the Gateway's origin and calls prepareJob() once, then captureItem() per queue item.
+import config from "./config.js";
+import Presets from "./presets.js";
+import RedactionProfiles from "./redaction-profiles.js";
+import CaptureRecipes from "./capture-recipes.js";
+import URLProcessor from "./url-processor.js";
+import urlFetcher from "./url-fetcher.js";
+import { getNamingContext, takeScreenshotWithRetry } from "./capture-item.js";
+import { validateActionsText } from "./action-validator.js";
+import { createManifestEntry } from "./export/zip-exporter.js";
+import { AppError } from "./errors.js";
+
+const IFRAME_ID = "screenshotIframe";
+
+let activeJob = null;
+const usedFileNames = new Set(); // Lower-cased file names given out in this run
+
+/**
+ * Set a settings control the capture pipeline reads, creating it if needed
+ * @param {string} id - Element id read by screenshot/core.js
+ * @param {string|boolean} value - Value, or checked state for checkboxes
+ */
+function setControl(id, value) {
+  let input = document.getElementById(id);
+  if (!input) {
+    input = document.createElement("input");
+    input.id = id;
+    input.type = typeof value === "boolean" ? "checkbox" : "hidden";
+    document.body.appendChild(input);
+  }
+  if (typeof value === "boolean") {
+    input.checked = value;
+  } else {
+    input.value = String(value);
+  }
+}
+
+/**
+ * Copy the job's wait, readiness, scale, output and redaction settings into the page
+ * @param {Object} job - Job file content
+ */
+function applySettings(job) {
+  const output = config.screenshot.output;
+  setControl("simpleWaitTime", job.waitTime ?? config.ui.defaultWaitTime);
+  setControl(
+    "smartWaitCheckbox",
+    job.smartWait ?? config.screenshot.readiness.enabled
+  );
+  setControl("captureScale", job.scale ?? config.screenshot.defaultScale);
+  setControl("outputFormat", job.output?.format ?? output.defaultFormat);
+  setControl(
+    "outputQuality",
+    job.output?.quality ?? Math.round(output.defaultQuality * 100)
+  );
+  setControl(
+    "maxDimension",
+    job.output?.maxDimension ?? output.defaultMaxDimension
+  );
+  if (job.redaction) {
+    RedactionProfiles.save(job.redaction.name, job.redaction.rules);
+    setControl("redactionProfileSelect", job.redaction.name);
+  }
+
+  if (!document.getElementById(IFRAME_ID)) {
+    const iframe = document.createElement("iframe");
+    iframe.id = IFRAME_ID;
+    iframe.style.border = "none";
+    iframe.style.position = "absolute";
+    iframe.style.top = "0";
+    iframe.style.left = "0";
+    document.body.appendChild(iframe);
+  }
+}
+
+/**
+ * Action sequences of the job, validated like the action editor
+ * @param {Array|undefined} actions - Sequences or a plain action array
+ * @returns {Array<{name: string, actions: Array<Object>}>}
+ * @throws {AppError} - Listing every invalid action
+ */
+function getJobSequences(actions) {
+  if (!actions || actions.length === 0) return [];
+  const text = JSON.stringify(actions, null, 2);
+  const problems = validateActionsText(text);
+  if (problems.length > 0) {
+    throw new AppError(
+      `Invalid job actions:\n${problems
+        .map((problem) => `  ${problem.message}`)
+        .join("\n")}`,
+      "JOB_ERROR"
+    );
+  }
+  return CaptureRecipes.parseSequences(text);
+}
+
+/**
+ * Capture target of a page: its own captureSelector, else the job's
+ * @param {Object|null} pageInfo - Page entry of urlFetcher.urlsList
+ * @param {Object} job - Job file content
+ * @returns {{selector: string, padding: number}|null}
+ */
+function getCaptureTarget(pageInfo, job) {
+  if (pageInfo?.captureSelector) {
+    return {
+      selector: pageInfo.captureSelector,
+      padding: parseInt(pageInfo.capturePadding, 10) || 0,
+    };
+  }
+  return job.captureTarget?.selector
+    ? {
+        selector: job.captureTarget.selector,
+        padding: parseInt(job.captureTarget.padding, 10) || 0,
+      }
+    : null;
+}
+
+/**
+ * Load the job's pages and build the capture queue
+ * @param {Object} job - Job file content (see cli/capture-runner.js)
+ * @returns {Promise<Array<Object>>} - Queue items, one per page, route parameter value and preset
+ * @throws {AppError|URLProcessingError} - If the job or its page list is invalid
+ */
+export async function prepareJob(job) {
+  if (!job?.baseUrl || !urlFetcher.setBaseClientUrl(job.baseUrl)) {
+    throw new AppError(
+      "The job needs a baseUrl like http://host:8088/data/perspective/client/Project",
+      "JOB_ERROR"
+    );
+  }
+  const presets = job.presets?.length
+    ? job.presets
+    : [config.screenshot.defaultPreset];
+  const unknownPreset = presets.find((id) => !Presets.get(id));
+  if (unknownPreset) {
+    throw new AppError(`Unknown preset "${unknownPreset}".`, "JOB_ERROR");
+  }
+  const sequences = getJobSequences(job.actions);
+
+  applySettings(job);
+  if (Array.isArray(job.pages)) {
+    await urlFetcher.setPathsDirectly(job.pages);
+  } else if (job.pages) {
+    await urlFetcher.setDataDirectly(job.pages);
+  } else {
+    await urlFetcher.loadUrls();
+  }
+  urlFetcher.setGlobalRouteParams(
+    Object.fromEntries(
+      Object.entries(job.routeParams || {}).map(([name, values]) => [
+        name,
+        (Array.isArray(values) ? values : String(values).split(","))
+          .map((value) => String(value).trim())
+          .filter(Boolean),
+      ])
+    )
+  );
+
+  activeJob = job;
+  usedFileNames.clear();
+  const urls = urlFetcher.generateFullUrls(
+    urlFetcher.urlsList.map((urlInfo) => urlInfo.path)
+  );
+  return urls.flatMap((url, index) => {
+    const match = urlFetcher.matchPageUrl(url);
+    return presets.map((capturePreset) => ({
+      url,
+      index,
+      key: `${url}::${capturePreset}`,
+      capturePreset,
+      captureFullPage: !!job.fullPage,
+      captureTarget: getCaptureTarget(match?.pageInfo, job),
+      routeParams: match?.params || {},
+      sequences,
+    }));
+  });
+}
+
+/**
+ * Capture one queue item: one screenshot, or one per action sequence
+ * @param {Object} item - Queue item from prepareJob
+ * @returns {Promise<{entries: Array<Object>, images: Array<{fileName: string, data: string}>}>}
+ *   Manifest entries (paths relative to the output folder) and base64 image data
+ */
+export async function captureItem(item) {
+  if (!activeJob) {
+    throw new AppError("prepareJob must be called first.", "JOB_ERROR");
+  }
+  const template = activeJob.namingTemplate || config.ui.defaultNamingPattern;
+  const steps = item.sequences.length
+    ? item.sequences.map((sequence, index) => ({ ...sequence, index }))
+    : [null];
+  const entries = [];
+  const images = [];
+
+  for (const step of steps) {
+    const key = step ? `${item.key}::${step.name}` : item.key;
+    const sequenceFields = step
+      ? {
+          sequenceGroup: item.key,
+          sequenceName: step.name,
+          sequenceIndex: step.index,
+        }
+      : {};
+    try {
+      const result = await takeScreenshotWithRetry(item, {
+        iframe: document.getElementById(IFRAME_ID),
+        actions: step ? step.actions : [],
+        retry: activeJob.retry,
+      });
+      const fileName = URLProcessor.makeUniqueFilename(
+        URLProcessor.applyNamingTemplate(
+          template,
+          getNamingContext(item, {
+            status: result.detectedMountIssue ? "MountIssue" : "OK",
+            width: result.width,
+            height: result.height,
+            step: step?.name,
+          }),
+          result.fileExtension
+        ),
+        usedFileNames
+      );
+      images.push({ fileName, data: result.screenshot.split(";base64,")[1] });
+      entries.push(
+        createManifestEntry(
+          key,
+          {
+            ...result,
+            ...sequenceFields,
+            fileName,
+            routeParams: item.routeParams,
+          },
+          fileName
+        )
+      );
+    } catch (error) {
+      entries.push(
+        createManifestEntry(
+          key,
+          {
+            ...sequenceFields,
+            url: item.url,
+            preset: item.capturePreset,
+            isFullPage: item.captureFullPage,
+            routeParams: item.routeParams,
+            error: true,
+            errorMessage: error.message || "Unknown error",
+            errorReason: error.reason || null,
+          },
+          null
+        )
+      );
+    }
+  }
+  return { entries, images };
+}
@@ -2,6 +2,7 @@
 import UI from "./ui/index.js";
 import * as events from "./events.js";
 import urlFetcher from "./url-fetcher.js";
+import IframePool from "./screenshot/iframe-pool.js";
 
 class VisualLoginHandler {
   constructor() {
@@ -283,14 +284,7 @@ class VisualLoginHandler {
         this.optionContinueGuestRadio.checked = true;
       }
 
-      try {
-        const screenshotIframe = document.getElementById("screenshotIframe");
-        if (screenshotIframe && screenshotIframe.src !== "about:blank") {
-          screenshotIframe.src = "about:blank";
-        }
-      } catch (e) {
-        console.error("Error clearing #screenshotIframe:", e);
-      }
+      IframePool.clearAll();
       events.emit(events.events.LOGIN_OPTION_SELECTED, {
         option: "continueWithoutLogin",
         isLoggedIn: this.isLoggedIn,
@@ -0,0 +1,110 @@
+/**
+ * Named Store Module
+ * localStorage persistence of entries identified by their `name`, shared by the
+ * redaction profiles, capture recipes and action libraries. Entries are kept either
+ * in an object keyed by name or, where their order matters, in an array.
+ */
+import { AppError } from "./errors.js";
+
+/**
+ * Create a store for named entries under one localStorage key
+ * @param {string} storageKey - localStorage key
+ * @param {Object} options
+ * @param {string} options.label - What an entry is called in error messages, e.g. "recipe"
+ * @param {string} options.errorCode - AppError code of failed writes
+ * @param {boolean} [options.ordered=false] - Keep the entries in an array in the order they were added
+ * @returns {{getAll: Function, get: Function, put: Function, remove: Function}}
+ */
+export function createNamedStore(
+  storageKey,
+  { label, errorCode, ordered = false }
+) {
+  const empty = () => (ordered ? [] : {});
+  const isValid = (parsed) =>
+    ordered ? Array.isArray(parsed) : !!parsed && typeof parsed === "object";
+
+  const write = (entries, action) => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(entries));
+    } catch (error) {
+      throw new AppError(
+        `Could not ${action} ${label}: ${error.message}`,
+        errorCode
+      );
+    }
+  };
+
+  return {
+    /**
+     * Read all entries
+     * @returns {Array<Object>|Object<string, Object>} - Array if ordered, otherwise keyed by name
+     */
+    getAll() {
+      try {
+        const raw = localStorage.getItem(storageKey);
+        const parsed = raw ? JSON.parse(raw) : empty();
+        return isValid(parsed) ? parsed : empty();
+      } catch (error) {
+        console.warn(`Could not read ${storageKey}:`, error);
+        return empty();
+      }
+    },
+
+    /**
+     * Get an entry by name
+     * @param {string} name - Entry name
+     * @returns {Object|null}
+     */
+    get(name) {
+      if (!name) return null;
+      const entries = this.getAll();
+      const entry = ordered
+        ? entries.find((candidate) => candidate.name === name)
+        : entries[name];
+      return entry || null;
+    },
+
+    /**
+     * Create or replace an entry (a replaced entry keeps its position)
+     * @param {Object} entry - Entry with a `name`
+     * @returns {Object} - The entry
+     * @throws {AppError} - If it cannot be stored
+     */
+    put(entry) {
+      const entries = this.getAll();
+      if (ordered) {
+        const index = entries.findIndex(
+          (candidate) => candidate.name === entry.name
+        );
+        if (index === -1) entries.push(entry);
+        else entries[index] = entry;
+      } else {
+        entries[entry.name] = entry;
+      }
+      write(entries, "save");
+      return entry;
+    },
+
+    /**
+     * Delete an entry
+     * @param {string} name - Entry name
+     * @returns {boolean} - Whether an entry was deleted
+     * @throws {AppError} - If the change cannot be stored
+     */
+    remove(name) {
+      const entries = this.getAll();
+      if (ordered) {
+        const remaining = entries.filter((entry) => entry.name !== name);
+        if (remaining.length === entries.length) return false;
+        write(remaining, "delete");
+      } else {
+        if (!entries[name]) return false;
+        delete entries[name];
+        write(entries, "delete");
+      }
+      return true;
+    },
+  };
+}
+
+export default createNamedStore;
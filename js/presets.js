@@ -0,0 +1,158 @@
+/**
+ * Viewport Presets Module
+ * Combines the built-in presets from config.screenshot.presets with custom presets
+ * saved in localStorage
+ */
+import config from "./config.js";
+import { AppError } from "./errors.js";
+
+const STORAGE_KEY = "perspectiveCapture.customPresets";
+const MIN_SIZE = 200;
+const MAX_SIZE = 7680;
+
+const Presets = {
+  /**
+   * Read the custom presets from localStorage
+   * @returns {Object<string, {width: number, height: number, name: string}>}
+   */
+  _loadCustom() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      console.warn("Could not read custom presets:", error);
+      return {};
+    }
+  },
+
+  /**
+   * Write the custom presets to localStorage
+   * @param {Object} customPresets - Presets keyed by id
+   */
+  _saveCustom(customPresets) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(customPresets));
+    } catch (error) {
+      throw new AppError(
+        `Could not save custom presets: ${error.message}`,
+        "PRESET_ERROR"
+      );
+    }
+  },
+
+  /**
+   * Get all presets, built-in first
+   * @returns {Object<string, {width: number, height: number, name: string, builtIn: boolean}>}
+   */
+  getAll() {
+    const all = {};
+    Object.entries(config.screenshot.presets).forEach(([id, preset]) => {
+      all[id] = { ...preset, builtIn: true };
+    });
+    Object.entries(this._loadCustom()).forEach(([id, preset]) => {
+      if (!all[id]) all[id] = { ...preset, builtIn: false };
+    });
+    return all;
+  },
+
+  /**
+   * Get a preset by id
+   * @param {string} id - Preset id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.getAll()[id];
+  },
+
+  /**
+   * Short label of a preset for file names and categories (e.g. "Full HD" or "Control Room")
+   * @param {string} id - Preset id
+   * @returns {string}
+   */
+  getLabel(id) {
+    const preset = this.get(id);
+    return preset ? this._labelOf(preset) || id : id;
+  },
+
+  /**
+   * Add a custom preset
+   * @param {Object} preset - New preset
+   * @param {string} preset.name - Display name
+   * @param {number} preset.width - Viewport width in px
+   * @param {number} preset.height - Viewport height in px
+   * @returns {string} - Id of the new preset
+   * @throws {AppError} - If the preset is invalid or the name is taken
+   */
+  add({ name, width, height }) {
+    const trimmedName = (name || "").trim();
+    const parsedWidth = parseInt(width, 10);
+    const parsedHeight = parseInt(height, 10);
+
+    if (!trimmedName) {
+      throw new AppError("Please enter a name for the preset.", "PRESET_ERROR");
+    }
+    [parsedWidth, parsedHeight].forEach((size) => {
+      if (isNaN(size) || size < MIN_SIZE || size > MAX_SIZE) {
+        throw new AppError(
+          `Width and height must be between ${MIN_SIZE} and ${MAX_SIZE} px.`,
+          "PRESET_ERROR"
+        );
+      }
+    });
+
+    const all = this.getAll();
+    const nameTaken = Object.values(all).some(
+      (preset) =>
+        this._labelOf(preset).toLowerCase() === trimmedName.toLowerCase()
+    );
+    if (nameTaken) {
+      throw new AppError(
+        `A preset named "${trimmedName}" already exists.`,
+        "PRESET_ERROR"
+      );
+    }
+
+    const slug =
+      trimmedName
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "preset";
+    let id = `custom-${slug}`;
+    for (let i = 2; all[id]; i++) id = `custom-${slug}-${i}`;
+
+    const customPresets = this._loadCustom();
+    customPresets[id] = {
+      width: parsedWidth,
+      height: parsedHeight,
+      label: trimmedName,
+      name: `${trimmedName} (${parsedWidth}x${parsedHeight})`,
+    };
+    this._saveCustom(customPresets);
+    return id;
+  },
+
+  /**
+   * Delete a custom preset. Built-in presets cannot be deleted.
+   * @param {string} id - Preset id
+   * @returns {boolean} - Whether a preset was deleted
+   */
+  remove(id) {
+    const customPresets = this._loadCustom();
+    if (!customPresets[id]) return false;
+    delete customPresets[id];
+    this._saveCustom(customPresets);
+    return true;
+  },
+
+  /**
+   * Label of a preset object (see getLabel)
+   * @param {Object} preset - Preset object
+   * @returns {string}
+   */
+  _labelOf(preset) {
+    return preset.label || preset.name.replace(/\s*\(.*\)\s*$/, "");
+  },
+};
+
+export default Presets;
@@ -0,0 +1,149 @@
+/**
+ * Redaction Profiles Module
+ * Named lists of redaction rules (selector + how to hide the element) saved in localStorage
+ */
+import { AppError } from "./errors.js";
+import { createNamedStore } from "./named-store.js";
+
+const store = createNamedStore("perspectiveCapture.redactionProfiles", {
+  label: "redaction profile",
+  errorCode: "REDACTION_ERROR",
+});
+
+/**
+ * How a matched element is hidden in the rendered image
+ */
+export const RedactionMode = {
+  BOX: "box", // Solid black box
+  BLUR: "blur", // Blurred pixels
+  TEXT: "text", // Grey box with placeholder text
+};
+
+const DEFAULT_PLACEHOLDER = "[REDACTED]";
+
+const RedactionProfiles = {
+  /**
+   * Read all profiles from localStorage
+   * @returns {Object<string, {name: string, rules: Array<Object>}>} - Profiles keyed by name
+   */
+  getAll() {
+    return store.getAll();
+  },
+
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {{name: string, rules: Array<Object>}|null}
+   */
+  get(name) {
+    return store.get(name);
+  },
+
+  /**
+   * Create or replace a profile
+   * @param {string} name - Profile name
+   * @param {Array<{selector: string, mode: string, text?: string}>} rules - Redaction rules
+   * @throws {AppError} - If the name is empty, there are no rules or a rule is invalid
+   */
+  save(name, rules) {
+    const trimmedName = (name || "").trim();
+    if (!trimmedName) {
+      throw new AppError(
+        "Please enter a name for the redaction profile.",
+        "REDACTION_ERROR"
+      );
+    }
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new AppError(
+        "A redaction profile needs at least one rule.",
+        "REDACTION_ERROR"
+      );
+    }
+    rules.forEach((rule) => {
+      if (!rule.selector) {
+        throw new AppError("Every rule needs a selector.", "REDACTION_ERROR");
+      }
+      if (!Object.values(RedactionMode).includes(rule.mode)) {
+        throw new AppError(
+          `Unknown redaction mode "${rule.mode}" for ${rule.selector}.`,
+          "REDACTION_ERROR"
+        );
+      }
+    });
+
+    store.put({ name: trimmedName, rules });
+  },
+
+  /**
+   * Delete a profile
+   * @param {string} name - Profile name
+   * @returns {boolean} - Whether a profile was deleted
+   * @throws {AppError} - If the change cannot be stored
+   */
+  remove(name) {
+    return store.remove(name);
+  },
+
+  /**
+   * Parse rules written one per line as "mode | selector".
+   * The mode is box, blur or text; "text=Placeholder" sets the replacement text.
+   * Empty lines and lines starting with # are ignored.
+   * @param {string} text - Rules text
+   * @returns {Array<{selector: string, mode: string, text?: string}>}
+   * @throws {AppError} - If a line cannot be parsed
+   */
+  parseRules(text) {
+    const rules = [];
+    (text || "").split("\n").forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+      const separator = trimmed.indexOf("|");
+      if (separator === -1) {
+        throw new AppError(
+          `Line ${index + 1}: expected "mode | selector".`,
+          "REDACTION_ERROR"
+        );
+      }
+      const modePart = trimmed.slice(0, separator).trim();
+      const selector = trimmed.slice(separator + 1).trim();
+      const [mode, ...placeholder] = modePart.split("=");
+      const rule = { selector, mode: mode.trim().toLowerCase() };
+      if (rule.mode === RedactionMode.TEXT) {
+        rule.text = placeholder.join("=").trim() || DEFAULT_PLACEHOLDER;
+      }
+      if (!Object.values(RedactionMode).includes(rule.mode)) {
+        throw new AppError(
+          `Line ${index + 1}: unknown mode "${mode}" (use box, blur or text).`,
+          "REDACTION_ERROR"
+        );
+      }
+      if (!selector) {
+        throw new AppError(
+          `Line ${index + 1}: missing selector.`,
+          "REDACTION_ERROR"
+        );
+      }
+      rules.push(rule);
+    });
+    return rules;
+  },
+
+  /**
+   * Format rules as text for the editor (inverse of parseRules)
+   * @param {Array<Object>} rules - Redaction rules
+   * @returns {string}
+   */
+  formatRules(rules) {
+    return (rules || [])
+      .map((rule) => {
+        const mode =
+          rule.mode === RedactionMode.TEXT && rule.text
+            ? `${rule.mode}=${rule.text}`
+            : rule.mode;
+        return `${mode} | ${rule.selector}`;
+      })
+      .join("\n");
+  },
+};
+
+export default RedactionProfiles;
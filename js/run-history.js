@@ -0,0 +1,196 @@
+// js/run-history.js - Persists capture runs in IndexedDB
+import { AppError } from "./errors.js";
+
+const DB_NAME = "PerspectiveCaptureHistory";
+const DB_VERSION = 1;
+const RUNS_STORE = "runs";
+const SHOTS_STORE = "shots";
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<any>} - Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+class RunHistory {
+  constructor() {
+    this._dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB is usable in this browser context
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open (and upgrade if needed) the history database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    if (!this.isAvailable()) {
+      return Promise.reject(
+        new AppError("IndexedDB is not available in this browser.", "HISTORY_ERROR")
+      );
+    }
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RUNS_STORE)) {
+          db.createObjectStore(RUNS_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(SHOTS_STORE)) {
+          const shots = db.createObjectStore(SHOTS_STORE, {
+            keyPath: ["runId", "key"],
+          });
+          shots.createIndex("runId", "runId", { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this._dbPromise = null;
+        reject(
+          new AppError(
+            `Could not open capture history: ${request.error?.message}`,
+            "HISTORY_ERROR"
+          )
+        );
+      };
+    });
+    return this._dbPromise;
+  }
+
+  /**
+   * Create a new run record
+   * @param {Object} meta - Run metadata (project, baseUrl, preset, captureFullPage, totalUrls, ...)
+   * @returns {Promise<string>} - The new run id
+   */
+  async createRun(meta) {
+    const db = await this.open();
+    const startedAt = new Date().toISOString();
+    const run = {
+      id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      startedAt,
+      finishedAt: null,
+      status: "running",
+      successCount: 0,
+      failedCount: 0,
+      ...meta,
+    };
+    const tx = db.transaction(RUNS_STORE, "readwrite");
+    tx.objectStore(RUNS_STORE).put(run);
+    await transactionDone(tx);
+    return run.id;
+  }
+
+  /**
+   * Merge updates into an existing run record
+   * @param {string} runId - Run id
+   * @param {Object} updates - Fields to overwrite
+   * @returns {Promise<Object|null>} - The updated run, or null if it does not exist
+   */
+  async updateRun(runId, updates) {
+    const db = await this.open();
+    const tx = db.transaction(RUNS_STORE, "readwrite");
+    const store = tx.objectStore(RUNS_STORE);
+    const run = await promisifyRequest(store.get(runId));
+    if (!run) {
+      await transactionDone(tx);
+      return null;
+    }
+    const updated = { ...run, ...updates };
+    store.put(updated);
+    await transactionDone(tx);
+    return updated;
+  }
+
+  /**
+   * Store (or overwrite) one captured page of a run
+   * @param {string} runId - Run id
+   * @param {string} key - Unique key of the capture within the run (the page URL)
+   * @param {Object} result - Screenshot or error result
+   * @returns {Promise<void>}
+   */
+  async saveShot(runId, key, result) {
+    const db = await this.open();
+    const tx = db.transaction(SHOTS_STORE, "readwrite");
+    tx.objectStore(SHOTS_STORE).put({
+      ...result,
+      runId,
+      key,
+      savedAt: new Date().toISOString(),
+    });
+    await transactionDone(tx);
+  }
+
+  /**
+   * List all stored runs, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRuns() {
+    const db = await this.open();
+    const tx = db.transaction(RUNS_STORE, "readonly");
+    const runs = await promisifyRequest(tx.objectStore(RUNS_STORE).getAll());
+    return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Load a run together with its captured pages, in capture order
+   * @param {string} runId - Run id
+   * @returns {Promise<{run: Object, shots: Array<Object>}|null>}
+   */
+  async getRun(runId) {
+    const db = await this.open();
+    const tx = db.transaction([RUNS_STORE, SHOTS_STORE], "readonly");
+    const run = await promisifyRequest(tx.objectStore(RUNS_STORE).get(runId));
+    if (!run) return null;
+    const shots = await promisifyRequest(
+      tx.objectStore(SHOTS_STORE).index("runId").getAll(runId)
+    );
+    shots.sort((a, b) => (a.savedAt || "").localeCompare(b.savedAt || ""));
+    return { run, shots };
+  }
+
+  /**
+   * Delete a run and all of its captured pages
+   * @param {string} runId - Run id
+   * @returns {Promise<void>}
+   */
+  async deleteRun(runId) {
+    const db = await this.open();
+    const tx = db.transaction([RUNS_STORE, SHOTS_STORE], "readwrite");
+    tx.objectStore(RUNS_STORE).delete(runId);
+    const shotsStore = tx.objectStore(SHOTS_STORE);
+    const keys = await promisifyRequest(
+      shotsStore.index("runId").getAllKeys(runId)
+    );
+    keys.forEach((key) => shotsStore.delete(key));
+    await transactionDone(tx);
+  }
+}
+
+export default new RunHistory();
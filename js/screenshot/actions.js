@@ -4,37 +4,184 @@ import * as events from '../events.js';
 import { ActionError } from '../errors.js';
 
 /**
- * Perform a sequence of actions on the document
+ * Action types that locate their own elements (the selector is waited for, not required up front)
+ */
+const SELF_LOCATING_ACTIONS = ['waitForSelector', 'waitForText'];
+
+/**
+ * Key codes of the named keys the press action sends
+ */
+const KEY_CODES = {
+  Enter: 13,
+  Escape: 27,
+  Tab: 9,
+  Backspace: 8,
+  Delete: 46,
+  Space: 32,
+  ArrowUp: 38,
+  ArrowDown: 40,
+  ArrowLeft: 37,
+  ArrowRight: 39,
+  Home: 36,
+  End: 35,
+  PageUp: 33,
+  PageDown: 34
+};
+
+/**
+ * Fields every action type needs. `oneOf` lists alternatives of which at least one is needed.
+ */
+export const ACTION_SCHEMA = {
+  click: { required: ['selector'] },
+  type: { required: ['selector', 'value'] },
+  select: { required: ['selector', 'value'] },
+  wait: { required: ['duration'] },
+  scroll: { required: [] },
+  hover: { required: ['selector'] },
+  waitForSelector: { required: ['selector'] },
+  waitForText: { required: [], oneOf: ['text', 'value'] },
+  press: { required: ['key'] },
+  doubleClick: { required: ['selector'] },
+  rightClick: { required: ['selector'] },
+  drag: { required: ['selector'], oneOf: ['to', 'x', 'y'] },
+  setViewport: { required: ['width', 'height'] },
+  assertVisible: { required: ['selector'] },
+  assertText: { required: [], oneOf: ['text', 'value'] }
+};
+
+/**
+ * Expected types of the action fields that are not free-form
+ */
+const FIELD_TYPES = {
+  selector: 'string',
+  key: 'string',
+  text: 'string',
+  to: 'string',
+  duration: 'number',
+  delay: 'number',
+  timeout: 'number',
+  x: 'number',
+  y: 'number',
+  width: 'number',
+  height: 'number',
+  optional: 'boolean',
+  visible: 'boolean',
+  exact: 'boolean'
+};
+
+/**
+ * Fields holding a selector (CSS, or XPath when starting with "/")
+ */
+const SELECTOR_FIELDS = ['selector', 'to'];
+
+/**
+ * Check an action against ACTION_SCHEMA without running it. Selectors are also
+ * checked for syntax (XPath expressions must compile) when a document is available.
+ * @param {Object} action - Action object
+ * @param {Document} [document] - Document used to compile selectors
+ * @returns {Array<{field: string|null, message: string}>} - Problems found, empty if the action is valid
+ */
+export function validateAction(action, document = globalThis.document) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return [{ field: null, message: 'must be an object' }];
+  }
+  const schema = ACTION_SCHEMA[action.type];
+  if (!schema) {
+    return [{
+      field: 'type',
+      message: typeof action.type === 'string' ? `unknown type "${action.type}"` : 'has no type'
+    }];
+  }
+  
+  const problems = [];
+  // An empty value is valid: the recorder records clearing a field as type with value ""
+  schema.required
+    .filter(field => action[field] === undefined || (action[field] === '' && field !== 'value'))
+    .forEach(field => problems.push({ field, message: `${action.type} needs "${field}"` }));
+  if (schema.oneOf && !schema.oneOf.some(field => action[field] !== undefined)) {
+    problems.push({
+      field: schema.oneOf[0],
+      message: `${action.type} needs ${schema.oneOf.map(field => `"${field}"`).join(' or ')}`
+    });
+  }
+  Object.entries(FIELD_TYPES)
+    .filter(([field, type]) => action[field] !== undefined && typeof action[field] !== type)
+    .forEach(([field, type]) => problems.push({ field, message: `"${field}" must be a ${type}` }));
+  
+  if (document && typeof document.evaluate === 'function') {
+    SELECTOR_FIELDS
+      .filter(field => typeof action[field] === 'string' && action[field] !== '')
+      .forEach(field => {
+        const message = checkSelectorSyntax(document, action[field]);
+        if (message) problems.push({ field, message });
+      });
+  }
+  return problems;
+}
+
+/**
+ * Compile a selector without looking anything up
+ * @param {Document} document - Document used to compile the selector
+ * @param {string} selector - XPath or CSS selector
+ * @returns {string|null} - Why the selector is invalid, null if it compiles
+ */
+function checkSelectorSyntax(document, selector) {
+  try {
+    if (selector.startsWith('/')) {
+      document.createExpression(selector, null);
+    } else {
+      document.createDocumentFragment().querySelector(selector);
+    }
+    return null;
+  } catch (error) {
+    return `${selector.startsWith('/') ? 'XPath' : 'CSS selector'} does not compile: ${error.message}`;
+  }
+}
+
+/**
+ * Perform a sequence of actions on the document.
+ * A missing element or a failed wait or assertion throws an ActionError, unless
+ * the action is marked `optional: true`, in which case it is skipped with a warning.
  * @param {Document} document - The document to perform actions on
  * @param {Array} actions - Array of action objects
  * @returns {Promise<void>} - Resolves when all actions are complete
+ * @throws {ActionError} - If a required action fails
  */
 export async function performActions(document, actions) {
   if (!document || !document.documentElement) {
     throw new ActionError('Invalid document for performing actions', null, null);
   }
   
-  for (const action of actions) {
+  for (const [index, action] of actions.entries()) {
     // Emit progress event
     events.emit(events.events.CAPTURE_PROGRESS, {
       message: `Performing action: ${action.type} on ${action.selector || 'element'}`
     });
     
-    // Find the target element if selector is provided
-    let target = null;
-    
-    if (action.selector) {
-      target = findElement(document, action.selector);
+    try {
+      // Find the target element if selector is provided
+      let target = null;
       
-      if (!target) {
-        console.warn(`Element not found for selector: ${action.selector}`);
-        continue;
+      if (action.selector && !SELF_LOCATING_ACTIONS.includes(action.type)) {
+        target = findElement(document, action.selector);
+        
+        if (!target) {
+          throw new ActionError(
+            `Action ${index + 1} (${action.type}): element not found for selector ${action.selector}`,
+            action,
+            null
+          );
+        }
       }
+      
+      // Execute the action based on its type
+      await executeAction(document, action, target);
+    } catch (error) {
+      if (!action.optional) throw error;
+      console.warn(`Skipping optional action ${index + 1} (${action.type}):`, error.message);
+      continue;
     }
     
-    // Execute the action based on its type
-    await executeAction(document, action, target);
-    
     // Wait between actions
     await new Promise(resolve => setTimeout(resolve, action.delay || 500));
   }
@@ -46,7 +193,7 @@ export async function performActions(document, actions) {
  * @param {string} selector - XPath or CSS selector
  * @returns {Element|null} - Found element or null
  */
-function findElement(document, selector) {
+export function findElement(document, selector) {
   if (!selector) return null;
   
   try {
@@ -109,10 +256,47 @@ async function executeAction(document, action, target) {
         await performHover(document, target);
         break;
         
+      case 'waitForSelector':
+        await performWaitForSelector(document, action);
+        break;
+        
+      case 'waitForText':
+        await performWaitForText(document, action);
+        break;
+        
+      case 'press':
+        await performPress(document, target, action.key);
+        break;
+        
+      case 'doubleClick':
+        await performDoubleClick(document, requireTarget(action, target));
+        break;
+        
+      case 'rightClick':
+        await performRightClick(document, requireTarget(action, target));
+        break;
+        
+      case 'drag':
+        await performDrag(document, requireTarget(action, target), action);
+        break;
+        
+      case 'setViewport':
+        await performSetViewport(document, action.width, action.height);
+        break;
+        
+      case 'assertVisible':
+        assertVisible(action, requireTarget(action, target));
+        break;
+        
+      case 'assertText':
+        assertText(document, action, target);
+        break;
+        
       default:
-        console.warn(`Unknown action type: ${action.type}`);
+        throw new Error(`Unknown action type: ${action.type}`);
     }
   } catch (error) {
+    if (error instanceof ActionError) throw error;
     throw new ActionError(
       `Error executing ${action.type} action: ${error.message}`,
       action,
@@ -162,7 +346,7 @@ async function performClick(target) {
  * @returns {Promise<void>} - Resolves when action is complete
  */
 async function performType(target, value) {
-  if (!target || !value) return;
+  if (!target || value === undefined) return;
   
   // Focus the element
   target.focus();
@@ -192,7 +376,7 @@ async function performType(target, value) {
  * @returns {Promise<void>} - Resolves when action is complete
  */
 async function performSelect(target, value) {
-  if (!target || !value) return;
+  if (!target || value === undefined) return;
   
   // Set the select value
   target.value = value;
@@ -257,4 +441,286 @@ async function performHover(document, target) {
   
   // Wait a brief moment for hover effects
   await new Promise(resolve => setTimeout(resolve, 200));
-}
\ No newline at end of file
+}
+
+/**
+ * Make sure an action that needs an element has one
+ * @param {Object} action - Action object
+ * @param {Element|null} target - Element found for the action's selector
+ * @returns {Element} - The target
+ * @throws {ActionError} - If the action has no selector
+ */
+function requireTarget(action, target) {
+  if (!target) {
+    throw new ActionError(`The ${action.type} action needs a selector`, action, null);
+  }
+  return target;
+}
+
+/**
+ * Whether an element is rendered and not hidden
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isVisible(element) {
+  if (!element || !element.isConnected) return false;
+  const rect = element.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return false;
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+}
+
+/**
+ * Poll a condition until it returns a truthy value or the timeout passes
+ * @param {Function} condition - Returns a truthy value when done
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<*>} - The truthy value, or null on timeout
+ */
+async function waitUntil(condition, timeout) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = condition();
+    if (value) return value;
+    if (Date.now() >= deadline) return null;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Wait until an element matching the selector exists (and is visible, unless
+ * `visible: false`)
+ * @param {Document} document - The document
+ * @param {Object} action - Action with selector, optional timeout (ms) and visible
+ * @returns {Promise<void>}
+ * @throws {ActionError} - If the element does not appear in time
+ */
+async function performWaitForSelector(document, action) {
+  const timeout = action.timeout || config.timing.actionTimeout;
+  const mustBeVisible = action.visible !== false;
+  const element = await waitUntil(() => {
+    const found = findElement(document, action.selector);
+    return found && (!mustBeVisible || isVisible(found)) ? found : null;
+  }, timeout);
+  if (!element) {
+    throw new ActionError(
+      `Timed out after ${timeout}ms waiting for ${action.selector}`,
+      action,
+      null
+    );
+  }
+}
+
+/**
+ * Wait until the page (or the element matching the selector) contains a text
+ * @param {Document} document - The document
+ * @param {Object} action - Action with text, optional selector and timeout (ms)
+ * @returns {Promise<void>}
+ * @throws {ActionError} - If the text does not appear in time
+ */
+async function performWaitForText(document, action) {
+  const timeout = action.timeout || config.timing.actionTimeout;
+  const text = action.text ?? action.value;
+  if (!text) {
+    throw new ActionError('The waitForText action needs a text', action, null);
+  }
+  const found = await waitUntil(() => {
+    const scope = action.selector ? findElement(document, action.selector) : document.body;
+    return scope && (scope.textContent || '').includes(text);
+  }, timeout);
+  if (!found) {
+    throw new ActionError(
+      `Timed out after ${timeout}ms waiting for text "${text}"${action.selector ? ` in ${action.selector}` : ''}`,
+      action,
+      null
+    );
+  }
+}
+
+/**
+ * Press a key on the target, the focused element or the body
+ * @param {Document} document - The document
+ * @param {Element|null} target - Element to send the key to
+ * @param {string} key - Key name, e.g. "Enter", "Escape" or "a"
+ * @returns {Promise<void>}
+ */
+async function performPress(document, target, key) {
+  if (!key) throw new Error('The press action needs a key');
+  const element = target || document.activeElement || document.body;
+  if (target && target.focus) target.focus();
+  
+  const keyCode = KEY_CODES[key] || (key.length === 1 ? key.toUpperCase().charCodeAt(0) : 0);
+  const init = {
+    key: key === 'Space' ? ' ' : key,
+    code: KEY_CODES[key] ? key : key.length === 1 ? `Key${key.toUpperCase()}` : key,
+    keyCode,
+    which: keyCode,
+    bubbles: true,
+    cancelable: true,
+    view: document.defaultView
+  };
+  element.dispatchEvent(new KeyboardEvent('keydown', init));
+  if (key.length === 1 || key === 'Enter' || key === 'Space') {
+    element.dispatchEvent(new KeyboardEvent('keypress', init));
+  }
+  element.dispatchEvent(new KeyboardEvent('keyup', init));
+  await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+/**
+ * Dispatch a mouse event at the centre of an element
+ * @param {Document} document - The document
+ * @param {Element} target - Element to dispatch on
+ * @param {string} type - Event type
+ * @param {Object} [options] - Extra MouseEvent options (button, detail, clientX...)
+ */
+function dispatchMouse(document, target, type, options = {}) {
+  const rect = target.getBoundingClientRect();
+  const EventType = type.startsWith('pointer') ? PointerEvent : MouseEvent;
+  target.dispatchEvent(new EventType(type, {
+    view: document.defaultView,
+    bubbles: true,
+    cancelable: true,
+    clientX: rect.left + rect.width / 2,
+    clientY: rect.top + rect.height / 2,
+    ...options
+  }));
+}
+
+/**
+ * Perform a double click
+ * @param {Document} document - The document
+ * @param {Element} target - Element to double click
+ * @returns {Promise<void>}
+ */
+async function performDoubleClick(document, target) {
+  if (target.scrollIntoView) target.scrollIntoView({ block: 'center' });
+  for (const detail of [1, 2]) {
+    dispatchMouse(document, target, 'mousedown', { detail });
+    dispatchMouse(document, target, 'mouseup', { detail });
+    dispatchMouse(document, target, 'click', { detail });
+  }
+  dispatchMouse(document, target, 'dblclick', { detail: 2 });
+  await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+/**
+ * Perform a right click, opening the element's context menu
+ * @param {Document} document - The document
+ * @param {Element} target - Element to right click
+ * @returns {Promise<void>}
+ */
+async function performRightClick(document, target) {
+  if (target.scrollIntoView) target.scrollIntoView({ block: 'center' });
+  dispatchMouse(document, target, 'pointerdown', { button: 2, buttons: 2 });
+  dispatchMouse(document, target, 'mousedown', { button: 2, buttons: 2 });
+  dispatchMouse(document, target, 'pointerup', { button: 2 });
+  dispatchMouse(document, target, 'mouseup', { button: 2 });
+  dispatchMouse(document, target, 'contextmenu', { button: 2 });
+  await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+/**
+ * Drag an element onto another element (action.to) or by an offset (action.x, action.y)
+ * @param {Document} document - The document
+ * @param {Element} source - Element to drag
+ * @param {Object} action - Action with `to` selector or x/y offsets in px
+ * @returns {Promise<void>}
+ * @throws {ActionError} - If the drop target is not found
+ */
+async function performDrag(document, source, action) {
+  const start = source.getBoundingClientRect();
+  const startX = start.left + start.width / 2;
+  const startY = start.top + start.height / 2;
+  let endX = startX + (action.x || 0);
+  let endY = startY + (action.y || 0);
+  let dropTarget = null;
+  if (action.to) {
+    dropTarget = findElement(document, action.to);
+    if (!dropTarget) {
+      throw new ActionError(`Drop target not found: ${action.to}`, action, source);
+    }
+    const end = dropTarget.getBoundingClientRect();
+    endX = end.left + end.width / 2;
+    endY = end.top + end.height / 2;
+  }
+  
+  const at = (x, y) => ({ clientX: x, clientY: y, buttons: 1 });
+  dispatchMouse(document, source, 'pointerdown', at(startX, startY));
+  dispatchMouse(document, source, 'mousedown', at(startX, startY));
+  const steps = 5;
+  for (let i = 1; i <= steps; i++) {
+    const x = startX + ((endX - startX) * i) / steps;
+    const y = startY + ((endY - startY) * i) / steps;
+    const over = dropTarget || document.elementFromPoint(x, y) || source;
+    dispatchMouse(document, over, 'pointermove', at(x, y));
+    dispatchMouse(document, over, 'mousemove', at(x, y));
+    await new Promise(resolve => setTimeout(resolve, 30));
+  }
+  const releaseOn = dropTarget || document.elementFromPoint(endX, endY) || source;
+  dispatchMouse(document, releaseOn, 'pointerup', { clientX: endX, clientY: endY });
+  dispatchMouse(document, releaseOn, 'mouseup', { clientX: endX, clientY: endY });
+  
+  // HTML5 drag and drop for draggable elements
+  if (source.draggable && typeof DataTransfer !== 'undefined') {
+    const dataTransfer = new DataTransfer();
+    const dragInit = { bubbles: true, cancelable: true, dataTransfer };
+    source.dispatchEvent(new DragEvent('dragstart', dragInit));
+    releaseOn.dispatchEvent(new DragEvent('dragover', { ...dragInit, clientX: endX, clientY: endY }));
+    releaseOn.dispatchEvent(new DragEvent('drop', { ...dragInit, clientX: endX, clientY: endY }));
+    source.dispatchEvent(new DragEvent('dragend', dragInit));
+  }
+  await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+/**
+ * Resize the frame the page is rendered in; the capture uses the new size
+ * @param {Document} document - The document inside the capture iframe
+ * @param {number} width - Width in px
+ * @param {number} height - Height in px
+ * @returns {Promise<void>}
+ */
+async function performSetViewport(document, width, height) {
+  const frame = document.defaultView && document.defaultView.frameElement;
+  if (!frame) throw new Error('The page is not rendered in a frame');
+  if (!(width > 0) || !(height > 0)) throw new Error('The setViewport action needs a width and height');
+  frame.style.width = `${width}px`;
+  frame.style.height = `${height}px`;
+  await new Promise(resolve => setTimeout(resolve, config.timing.scrollCompletionDelay));
+}
+
+/**
+ * Fail unless the element is visible
+ * @param {Object} action - Action object
+ * @param {Element} target - Element to check
+ * @throws {ActionError} - If the element is hidden
+ */
+function assertVisible(action, target) {
+  if (!isVisible(target)) {
+    throw new ActionError(`Expected ${action.selector} to be visible`, action, target);
+  }
+}
+
+/**
+ * Fail unless the element (or the page) contains the text, or equals it with `exact: true`
+ * @param {Document} document - The document
+ * @param {Object} action - Action with text, optional selector and exact
+ * @param {Element|null} target - Element to check (the body if no selector)
+ * @throws {ActionError} - If the text does not match
+ */
+function assertText(document, action, target) {
+  const expected = action.text ?? action.value;
+  if (expected === undefined || expected === null) {
+    throw new ActionError('The assertText action needs a text', action, target);
+  }
+  const element = target || document.body;
+  const isField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+  const actual = ((isField ? element.value : element.textContent) || '').trim();
+  const matches = action.exact ? actual === String(expected) : actual.includes(String(expected));
+  if (!matches) {
+    throw new ActionError(
+      `Expected ${action.selector || 'page'} to ${action.exact ? 'be' : 'contain'} "${expected}" but found "${actual.slice(0, 80)}"`,
+      action,
+      target
+    );
+  }
+}
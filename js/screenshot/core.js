@@ -1,13 +1,80 @@
 // js/screenshot/core.js
 // screenshot/core.js - Centralized screenshot capture functionality
 import config from "../config.js";
+import Presets from "../presets.js";
+import RedactionProfiles from "../redaction-profiles.js";
 import * as errorHandling from "../errors.js";
 import * as events from "../events.js";
 import * as actions from "./actions.js";
 import * as screenshotUtils from "./utils.js";
 import { prepareSVGsForCapture } from "./svgUtils.js";
+import { createReadinessMonitor } from "./readiness.js";
+import { collectRedactionRegions, paintRedactions } from "./redaction.js";
 
-let _waitTimeout = null;
+/**
+ * Per-iframe capture state (e.g. the pending wait countdown), so several
+ * pooled iframes can capture at the same time without sharing timers.
+ * @type {WeakMap<HTMLIFrameElement, {waitTimeout: number|null}>}
+ */
+const captureStates = new WeakMap();
+
+/**
+ * Get (creating if needed) the capture state of an iframe
+ * @param {HTMLIFrameElement} iframe - Capture iframe
+ * @returns {{waitTimeout: number|null}}
+ */
+function getCaptureState(iframe) {
+  let state = captureStates.get(iframe);
+  if (!state) {
+    state = { waitTimeout: null };
+    captureStates.set(iframe, state);
+  }
+  return state;
+}
+
+/**
+ * Cancel a pending wait countdown of an iframe
+ * @param {HTMLIFrameElement} iframe - Capture iframe
+ */
+function clearWaitTimeout(iframe) {
+  const state = getCaptureState(iframe);
+  if (state.waitTimeout) clearTimeout(state.waitTimeout);
+  state.waitTimeout = null;
+}
+
+/**
+ * Normalized `ScreenshotError.reason` values.
+ * The retry policy (config.retry.retryableReasons) matches against these.
+ */
+export const FailureReason = {
+  TIMEOUT: "timeout", // The page did not load in time
+  LOAD_ERROR: "load-error", // The iframe failed to load or its document was unavailable
+  PAGE_ERROR: "page-error", // The page itself reported an error while rendering
+  MOUNT_ISSUE: "mount-issue", // Perspective could not mount the view
+  ACTION_ERROR: "action-error", // An action in the sequence failed
+  CAPTURE_ERROR: "capture-error", // dom-to-image or the overlay canvas failed
+  TARGET_NOT_FOUND: "target-not-found", // The capture target selector matched no visible element
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Map any error thrown during a capture to one of the FailureReason values
+ * @param {Error} error - The caught error
+ * @returns {string} - A FailureReason value
+ */
+function classifyFailure(error) {
+  if (Object.values(FailureReason).includes(error?.reason)) return error.reason;
+  const message = error?.message || "";
+  if (
+    message.includes("No view configured") ||
+    message.includes("Mount definition")
+  )
+    return FailureReason.MOUNT_ISSUE;
+  if (error instanceof errorHandling.ActionError)
+    return FailureReason.ACTION_ERROR;
+  if (/timeout/i.test(message)) return FailureReason.TIMEOUT;
+  return FailureReason.UNKNOWN;
+}
 
 /**
  * Injects CSS rules into the head of the specified iframe.
@@ -55,19 +122,56 @@ function applyCssToIframe(iframeElement, cssRules, logFunction) {
   }
 }
 
+/**
+ * Resolve the crop rectangle of a capture target in document coordinates
+ * @param {Document} doc - Iframe document (scrolled to the top)
+ * @param {Object} captureTarget - Target settings
+ * @param {string} captureTarget.selector - CSS selector, or XPath if it starts with "/"
+ * @param {number} [captureTarget.padding=0] - Extra space around the element in CSS px
+ * @param {number} width - Width of the captured document
+ * @param {number} height - Height of the captured document
+ * @param {string} url - Page URL, for errors
+ * @returns {{x: number, y: number, width: number, height: number}}
+ * @throws {ScreenshotError} - If the selector matches no visible element
+ */
+function getCaptureTargetRect(doc, captureTarget, width, height, url) {
+  const { selector } = captureTarget;
+  const padding = Math.max(0, Number(captureTarget.padding) || 0);
+  const element = actions.findElement(doc, selector);
+  if (!element) {
+    throw new errorHandling.ScreenshotError(
+      `Capture target not found: ${selector}`,
+      url,
+      FailureReason.TARGET_NOT_FOUND
+    );
+  }
+
+  const rect = element.getBoundingClientRect();
+  const x = Math.max(0, Math.floor(rect.left - padding));
+  const y = Math.max(0, Math.floor(rect.top - padding));
+  const right = Math.min(width, Math.ceil(rect.right + padding));
+  const bottom = Math.min(height, Math.ceil(rect.bottom + padding));
+  if (right - x <= 0 || bottom - y <= 0) {
+    throw new errorHandling.ScreenshotError(
+      `Capture target has no visible area: ${selector}`,
+      url,
+      FailureReason.TARGET_NOT_FOUND
+    );
+  }
+  return { x, y, width: right - x, height: bottom - y };
+}
+
 export async function takeScreenshot(
   url,
   preset = "fullHD",
   captureFullPage = false,
-  actionsList = []
+  actionsList = [],
+  captureIframe = null,
+  captureTarget = null
 ) {
-  if (_waitTimeout) {
-    clearTimeout(_waitTimeout);
-    _waitTimeout = null;
-  }
-
   const startTime = performance.now();
-  const iframe = document.getElementById("screenshotIframe");
+  const iframe = captureIframe || document.getElementById("screenshotIframe");
+  clearWaitTimeout(iframe);
   let detectedMountIssueDuringLoad = false;
   let detectedMountIssueMessage = null;
 
@@ -110,9 +214,11 @@ export async function takeScreenshot(
   });
 
   const basePreset =
-    config.screenshot.presets[preset] || config.screenshot.presets.fullHD;
+    Presets.get(preset) ||
+    config.screenshot.presets[config.screenshot.defaultPreset];
   let width = basePreset.width;
   let initialHeight = basePreset.height;
+  const scale = getCaptureScale();
   let actualHeight = initialHeight; // Will be updated for full page
 
   iframe.style.width = `${width}px`;
@@ -159,7 +265,8 @@ export async function takeScreenshot(
         observer.disconnect();
       throw new errorHandling.ScreenshotError(
         "Iframe content (document or window) became unavailable after load.",
-        url
+        url,
+        FailureReason.LOAD_ERROR
       );
     }
 
@@ -186,7 +293,7 @@ export async function takeScreenshot(
       throw new errorHandling.ScreenshotError(
         `Failed to capture screenshot: ${renderResult.error}`,
         url,
-        renderResult.error
+        FailureReason.PAGE_ERROR
       );
     }
 
@@ -194,9 +301,14 @@ export async function takeScreenshot(
       if (!doc)
         throw new errorHandling.ScreenshotError(
           "Cannot perform actions: iframe document not available.",
-          url
+          url,
+          FailureReason.LOAD_ERROR
         );
       await actions.performActions(doc, actionsList);
+      // A setViewport action may have resized the frame
+      width = parseInt(iframe.style.width, 10) || width;
+      initialHeight = parseInt(iframe.style.height, 10) || initialHeight;
+      actualHeight = initialHeight;
       if (detectedMountIssueDuringLoad && !wasMountIssueDetectedInRendering) {
         finalDetectedMountIssueMessage = detectedMountIssueMessage;
         wasMountIssueDetectedInRendering = true;
@@ -302,7 +414,8 @@ export async function takeScreenshot(
       if (!doc || !doc.body || !doc.documentElement) {
         throw new errorHandling.ScreenshotError(
           "Iframe document, body, or documentElement not available for height calculation.",
-          url
+          url,
+          FailureReason.CAPTURE_ERROR
         );
       }
       const bodyScrollHeight = doc.body.scrollHeight;
@@ -435,11 +548,29 @@ export async function takeScreenshot(
       }
     }
 
-    const { screenshotData } = await captureScreenshotInternal(
+    const targetRect = captureTarget?.selector
+      ? getCaptureTargetRect(
+          doc,
+          captureTarget,
+          width,
+          actualHeight,
+          currentUrl
+        )
+      : null;
+
+    const redactionProfile = getActiveRedactionProfile();
+    const redactions = redactionProfile
+      ? collectRedactionRegions(doc, redactionProfile.rules)
+      : [];
+
+    const captured = await captureScreenshotInternal(
       iframe,
       currentUrl,
       width,
-      actualHeight
+      actualHeight,
+      scale,
+      targetRect,
+      redactions
     );
 
     if (tempFixedStyles.length > 0) {
@@ -472,28 +603,57 @@ export async function takeScreenshot(
       injectedStyleElement.remove();
     }
 
+    const encoded = await encodeScreenshot(
+      captured.screenshotData,
+      captured.pixelWidth,
+      captured.pixelHeight
+    );
+
     const thumbnailData = await screenshotUtils.createThumbnail(
-      screenshotData,
+      encoded.data,
       config.screenshot.thumbnailSize.width,
-      config.screenshot.thumbnailSize.height
+      config.screenshot.thumbnailSize.height,
+      scale
     );
 
     const endTime = performance.now();
     const timeTaken = ((endTime - startTime) / 1000).toFixed(2);
 
     const result = {
-      screenshot: screenshotData,
+      screenshot: encoded.data,
       thumbnail: thumbnailData,
       timeTaken,
       preset,
       isFullPage: captureFullPage,
-      width,
-      height: actualHeight,
+      width: targetRect ? targetRect.width : width,
+      height: targetRect ? targetRect.height : actualHeight,
+      target: targetRect
+        ? { selector: captureTarget.selector, ...targetRect }
+        : null,
+      scale,
+      pixelWidth: encoded.pixelWidth,
+      pixelHeight: encoded.pixelHeight,
+      format: encoded.format,
+      fileExtension:
+        config.screenshot.output.formats[encoded.format].extension,
+      quality: encoded.quality,
+      redactionProfile: redactionProfile ? redactionProfile.name : null,
+      // Redacted regions in CSS px relative to the captured image
+      redactions: redactions.map((rule) => ({
+        selector: rule.selector,
+        mode: rule.mode,
+        regions: rule.regions.map((region) => ({
+          ...region,
+          x: region.x - (targetRect ? targetRect.x : 0),
+          y: region.y - (targetRect ? targetRect.y : 0),
+        })),
+      })),
       url: currentUrl,
       detectedMountIssue: wasMountIssueDetectedInRendering,
       mountIssueMessage: wasMountIssueDetectedInRendering
         ? finalDetectedMountIssueMessage
         : null,
+      readiness: renderResult.readiness || null,
       error: false,
     };
 
@@ -534,7 +694,7 @@ export async function takeScreenshot(
     const captureError = new errorHandling.ScreenshotError(
       errorMessage,
       url,
-      error.reason || error.name
+      classifyFailure(error)
     );
 
     events.emit(events.events.CAPTURE_FAILED, { url, error: captureError });
@@ -551,7 +711,13 @@ function loadUrlInIframe(iframe, url) {
       if (!loadFired) {
         console.error(`Iframe load timeout for ${url}`);
         cleanup();
-        reject(new Error(`Timeout loading ${url} in iframe`));
+        reject(
+          new errorHandling.ScreenshotError(
+            `Timeout loading ${url} in iframe`,
+            url,
+            FailureReason.TIMEOUT
+          )
+        );
       }
     }, timeoutDuration);
 
@@ -571,7 +737,13 @@ function loadUrlInIframe(iframe, url) {
     const handleError = (event) => {
       console.error(`Iframe error event for ${url}:`, event);
       cleanup();
-      reject(new Error(`Error loading ${url} in iframe`));
+      reject(
+        new errorHandling.ScreenshotError(
+          `Error loading ${url} in iframe`,
+          url,
+          FailureReason.LOAD_ERROR
+        )
+      );
     };
 
     const cleanup = () => {
@@ -623,19 +795,16 @@ function waitForRendering(url, iframe) {
       console.warn("Error reading wait time, using default 10s.", e);
     }
 
-    let secondsLeft = waitTimeInSeconds;
     let consoleMountErrorFound = false;
     let domMountErrorFound = false;
     let detectedMountIssueMsgInternal = null;
     let generalErrorMsg = null;
 
-    if (_waitTimeout) {
-      clearTimeout(_waitTimeout);
-      _waitTimeout = null;
-    }
+    const captureState = getCaptureState(iframe);
+    clearWaitTimeout(iframe);
 
     events.emit(events.events.CAPTURE_PROGRESS, {
-      message: `<span class="status-spinner">⏳</span> Waiting for ${url} to render... (${secondsLeft}s remaining)`,
+      message: `<span class="status-spinner">⏳</span> Waiting for ${url} to render... (${waitTimeInSeconds}s max)`,
     });
 
     const iframeWin = iframe.contentWindow;
@@ -781,112 +950,251 @@ function waitForRendering(url, iframe) {
       }
     };
 
+    const readinessSettings = config.screenshot.readiness;
+    const smartWaitCheckbox = document.getElementById("smartWaitCheckbox");
+    const smartWait = smartWaitCheckbox
+      ? smartWaitCheckbox.checked
+      : readinessSettings.enabled;
+    const monitor = smartWait ? createReadinessMonitor(iframe) : null;
+    if (monitor) monitor.start();
+
+    const startedAt = performance.now();
+    const maxWaitMs = waitTimeInSeconds * 1000;
+    const pollIntervalMs = smartWait ? readinessSettings.pollIntervalMs : 1000;
+    let lastSignals = null;
     let resolveFn = resolve;
 
-    const countdown = () => {
+    const finish = (renderResult, endedBy) => {
+      if (!resolveFn) return;
+      checkAndRestoreConsole();
+      if (monitor) monitor.stop();
+      captureState.waitTimeout = null;
+      resolveFn({
+        ...renderResult,
+        readiness: {
+          endedBy,
+          waitedMs: Math.round(performance.now() - startedAt),
+          signals: lastSignals,
+        },
+      });
+      resolveFn = null;
+    };
+
+    const finishSuccess = (endedBy) => {
+      const anyMountIssueFound = domMountErrorFound || consoleMountErrorFound;
+      finish(
+        {
+          success: true,
+          error: null,
+          detectedMountIssue: anyMountIssueFound,
+          mountIssueMessage: anyMountIssueFound
+            ? detectedMountIssueMsgInternal
+            : null,
+        },
+        endedBy
+      );
+    };
+
+    const poll = () => {
       if (!resolveFn) return;
 
       const domLoadErrorCheck = checkForDOMLoadErrors();
       if (domLoadErrorCheck.found && !domLoadErrorCheck.isMountIssue) {
-        checkAndRestoreConsole();
         generalErrorMsg = domLoadErrorCheck.message;
-        if (_waitTimeout) clearTimeout(_waitTimeout);
-        _waitTimeout = null;
-        resolveFn({
-          success: false,
-          error: generalErrorMsg,
-          detectedMountIssue: false,
-        });
-        resolveFn = null;
+        clearWaitTimeout(iframe);
+        finish(
+          {
+            success: false,
+            error: generalErrorMsg,
+            detectedMountIssue: false,
+          },
+          "page-error"
+        );
         return;
       }
 
       const imagesLoaded = waitForImages();
       const doc = iframe.contentDocument || iframe.contentWindow?.document;
       const readyState = doc ? doc.readyState : "uninitialized";
+      const documentReady =
+        readyState === "complete" ||
+        (imagesLoaded && readyState === "interactive");
+      const elapsedMs = performance.now() - startedAt;
+
+      const readiness = monitor ? monitor.evaluate() : null;
+      lastSignals = {
+        ...(readiness ? readiness.signals : {}),
+        imagesLoaded,
+        readyState,
+      };
 
       if (
-        (secondsLeft <= 0 &&
-          imagesLoaded &&
-          (readyState === "complete" || readyState === "interactive")) ||
-        (secondsLeft <= 0 && readyState === "complete")
+        readiness &&
+        readiness.ready &&
+        imagesLoaded &&
+        documentReady &&
+        elapsedMs >= readinessSettings.minWaitMs
       ) {
-        checkAndRestoreConsole();
-        setTimeout(() => {
-          if (resolveFn) {
-            const anyMountIssueFound =
-              domMountErrorFound || consoleMountErrorFound;
-            resolveFn({
-              success: true,
-              error: null,
-              detectedMountIssue: anyMountIssueFound,
-              mountIssueMessage: anyMountIssueFound
-                ? detectedMountIssueMsgInternal
-                : null,
-            });
-            resolveFn = null;
-          }
-        }, 500);
-        _waitTimeout = null;
+        finishSuccess("ready");
         return;
       }
 
-      if (secondsLeft <= 0) {
-        checkAndRestoreConsole();
-        console.warn(
-          `Wait time expired for ${url}. Images loaded: ${imagesLoaded}, readyState: ${readyState}. Proceeding with capture.`
-        );
-        if (resolveFn) {
-          const anyMountIssueFound =
-            domMountErrorFound || consoleMountErrorFound;
-          resolveFn({
-            success: true,
-            error: null,
-            detectedMountIssue: anyMountIssueFound,
-            mountIssueMessage: anyMountIssueFound
-              ? detectedMountIssueMsgInternal
-              : null,
-          });
-          resolveFn = null;
+      if (elapsedMs >= maxWaitMs) {
+        const endedBy = monitor ? "max-wait" : "fixed-wait";
+        if (imagesLoaded && documentReady) {
+          // Give the last paint a moment before capturing
+          captureState.waitTimeout = setTimeout(
+            () => finishSuccess(endedBy),
+            500
+          );
+        } else {
+          console.warn(
+            `Wait time expired for ${url}. Images loaded: ${imagesLoaded}, readyState: ${readyState}. Proceeding with capture.`
+          );
+          finishSuccess(endedBy);
         }
-        _waitTimeout = null;
         return;
       }
 
+      const secondsLeft = Math.ceil((maxWaitMs - elapsedMs) / 1000);
+      const waitingFor =
+        readiness && readiness.pending.length > 0
+          ? `, waiting for ${readiness.pending.join(", ")}`
+          : "";
       events.emit(events.events.CAPTURE_PROGRESS, {
-        message: `<span class="status-spinner">⏳</span> Waiting for ${url} (${readyState})... (${secondsLeft}s remaining)`,
+        message: `<span class="status-spinner">⏳</span> Waiting for ${url} (${readyState}${waitingFor})... (${secondsLeft}s max remaining)`,
       });
-      secondsLeft--;
-      if (resolveFn) {
-        _waitTimeout = setTimeout(countdown, 1000);
-      } else {
-        _waitTimeout = null;
-      }
+      captureState.waitTimeout = setTimeout(poll, pollIntervalMs);
     };
-    _waitTimeout = setTimeout(countdown, 1000);
+    captureState.waitTimeout = setTimeout(poll, pollIntervalMs);
   });
 }
 
-async function captureScreenshotInternal(iframe, pageUrl, width, height) {
+/**
+ * Read the render scale from the settings
+ * @returns {number} - One of config.screenshot.scaleOptions
+ */
+function getCaptureScale() {
+  const scaleSelect = document.getElementById("captureScale");
+  const parsed = parseInt(scaleSelect?.value, 10);
+  return config.screenshot.scaleOptions.includes(parsed)
+    ? parsed
+    : config.screenshot.defaultScale;
+}
+
+/**
+ * Read the output format settings
+ * @returns {{format: string, quality: number, maxDimension: number}}
+ */
+function getOutputSettings() {
+  const outputConfig = config.screenshot.output;
+  const formatSelect = document.getElementById("outputFormat");
+  const qualityInput = document.getElementById("outputQuality");
+  const maxDimensionInput = document.getElementById("maxDimension");
+
+  const format = outputConfig.formats[formatSelect?.value]
+    ? formatSelect.value
+    : outputConfig.defaultFormat;
+  const qualityPercent = parseInt(qualityInput?.value, 10);
+  const quality = isNaN(qualityPercent)
+    ? outputConfig.defaultQuality
+    : Math.min(Math.max(qualityPercent, 10), 100) / 100;
+  const maxDimension = parseInt(maxDimensionInput?.value, 10);
+  return {
+    format,
+    quality,
+    maxDimension:
+      isNaN(maxDimension) || maxDimension < 0
+        ? outputConfig.defaultMaxDimension
+        : maxDimension,
+  };
+}
+
+/**
+ * Re-encode a captured PNG in the chosen output format, downscaling it if requested
+ * @param {string} pngData - PNG data URL from captureScreenshotInternal
+ * @param {number} pixelWidth - Width of the PNG in px
+ * @param {number} pixelHeight - Height of the PNG in px
+ * @returns {Promise<{data: string, format: string, quality: number|null, pixelWidth: number, pixelHeight: number}>}
+ *   `format` is the format actually produced (browsers without WebP encoding fall back to PNG)
+ */
+async function encodeScreenshot(pngData, pixelWidth, pixelHeight) {
+  const { format, quality, maxDimension } = getOutputSettings();
+  const formats = config.screenshot.output.formats;
+  const needsResize =
+    maxDimension > 0 && Math.max(pixelWidth, pixelHeight) > maxDimension;
+  if (format === "png" && !needsResize) {
+    return { data: pngData, format, quality: null, pixelWidth, pixelHeight };
+  }
+
+  const data = await screenshotUtils.compressImage(
+    pngData,
+    quality,
+    formats[format].mimeType,
+    needsResize ? maxDimension : 0
+  );
+  const mimeType = screenshotUtils.getDataURLMimeType(data);
+  const producedFormat =
+    Object.keys(formats).find((key) => formats[key].mimeType === mimeType) ||
+    "png";
+  if (producedFormat !== format) {
+    console.warn(
+      `Browser cannot encode ${format}; saved the screenshot as ${producedFormat}.`
+    );
+  }
+  const dimensions = needsResize
+    ? await screenshotUtils.getImageDimensions(data)
+    : { width: pixelWidth, height: pixelHeight };
+  return {
+    data,
+    format: producedFormat,
+    quality: producedFormat === "png" ? null : quality,
+    pixelWidth: dimensions.width,
+    pixelHeight: dimensions.height,
+  };
+}
+
+/**
+ * Read the redaction profile chosen in the settings
+ * @returns {{name: string, rules: Array<Object>}|null}
+ */
+function getActiveRedactionProfile() {
+  const profileSelect = document.getElementById("redactionProfileSelect");
+  return RedactionProfiles.get(profileSelect?.value);
+}
+
+async function captureScreenshotInternal(
+  iframe,
+  pageUrl,
+  width,
+  height,
+  scale = 1,
+  crop = null,
+  redactions = []
+) {
   const win = iframe.contentWindow;
   const doc = iframe.contentDocument || win?.document;
 
   if (!doc || !doc.documentElement) {
     throw new errorHandling.ScreenshotError(
       "Iframe document or documentElement is not available for capture.",
-      pageUrl
+      pageUrl,
+      FailureReason.CAPTURE_ERROR
     );
   }
 
   const targetNode = doc.documentElement;
 
   events.emit(events.events.CAPTURE_PROGRESS, {
-    message: `Capturing with dom-to-image (${width}x${height})...`,
+    message: `Capturing with dom-to-image (${width}x${height}${
+      scale > 1 ? ` @${scale}x` : ""
+    })...`,
   });
 
   const domToImageOptions = {
     width: width,
     height: height,
+    scale: scale,
     bgcolor: config.screenshot.domToImageOptions.bgcolor || "#ffffff",
     imagePlaceholder: config.screenshot.domToImageOptions.imagePlaceholder,
     cacheBust:
@@ -923,13 +1231,17 @@ async function captureScreenshotInternal(iframe, pageUrl, width, height) {
     throw new errorHandling.ScreenshotError(
       `dom-to-image capture failed: ${captureError.message}`,
       pageUrl,
-      captureError
+      FailureReason.CAPTURE_ERROR
     );
   }
 
+  // Without a crop rectangle the whole captured document is kept
+  const area = crop || { x: 0, y: 0, width, height };
+  const pixelWidth = Math.round(area.width * scale);
+  const pixelHeight = Math.round(area.height * scale);
   const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
+  canvas.width = pixelWidth;
+  canvas.height = pixelHeight;
   const ctx = canvas.getContext("2d");
   const img = new Image();
 
@@ -937,23 +1249,40 @@ async function captureScreenshotInternal(iframe, pageUrl, width, height) {
     img.onload = resolve;
     img.onerror = (e) => {
       console.error("Error loading captured image for overlay:", e);
-      reject(new Error("Failed to load captured image onto overlay canvas."));
+      reject(
+        new errorHandling.ScreenshotError(
+          "Failed to load captured image onto overlay canvas.",
+          pageUrl,
+          FailureReason.CAPTURE_ERROR
+        )
+      );
     };
     img.src = dataUrl;
   });
 
-  ctx.drawImage(img, 0, 0, width, height);
+  ctx.drawImage(
+    img,
+    area.x * scale,
+    area.y * scale,
+    pixelWidth,
+    pixelHeight,
+    0,
+    0,
+    pixelWidth,
+    pixelHeight
+  );
+  paintRedactions(ctx, redactions, area, scale);
 
-  const overlayHeight = 30;
+  const overlayHeight = 30 * scale;
   if (canvas.height >= overlayHeight) {
     const textY = canvas.height - overlayHeight / 2;
     ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
     ctx.fillRect(0, canvas.height - overlayHeight, canvas.width, overlayHeight);
-    ctx.font = "14px Arial";
+    ctx.font = `${14 * scale}px Arial`;
     ctx.fillStyle = "#ffffff";
     ctx.textAlign = "left";
     ctx.textBaseline = "middle";
-    const textX = 10;
+    const textX = 10 * scale;
     ctx.fillText(pageUrl, textX, textY);
   }
 
@@ -961,7 +1290,7 @@ async function captureScreenshotInternal(iframe, pageUrl, width, height) {
   canvas.width = 1;
   canvas.height = 1;
 
-  return { screenshotData: screenshotDataWithOverlay };
+  return { screenshotData: screenshotDataWithOverlay, pixelWidth, pixelHeight };
 }
 
 export function downloadScreenshot(screenshotData, filename) {
@@ -981,148 +1310,3 @@ export function downloadScreenshot(screenshotData, filename) {
     console.error("Error during screenshot download:", error);
   }
 }
-
-export async function takeSequentialScreenshots(
-  url,
-  preset = "fullHD",
-  captureFullPage = false,
-  actionSequences = [],
-  processCallback = null
-) {
-  const results = [];
-  if (!actionSequences || actionSequences.length === 0) {
-    console.warn(
-      "takeSequentialScreenshots called without action sequences. Taking single screenshot."
-    );
-    try {
-      const singleResult = await takeScreenshot(
-        url,
-        preset,
-        captureFullPage,
-        []
-      );
-      singleResult.sequenceName = "Base Page";
-      results.push(singleResult);
-      if (typeof processCallback === "function") {
-        processCallback(singleResult);
-      }
-    } catch (error) {
-      const errorResult = {
-        sequenceName: "Base Page (Error)",
-        error: true,
-        errorMessage: error.message,
-        url: url,
-        detectedMountIssue:
-          error instanceof errorHandling.ScreenshotError &&
-          (error.message?.includes("No view configured") ||
-            error.message?.includes("Mount definition")),
-        mountIssueMessage:
-          error instanceof errorHandling.ScreenshotError &&
-          (error.message?.includes("No view configured") ||
-            error.message?.includes("Mount definition"))
-            ? error.message
-            : null,
-      };
-      results.push(errorResult);
-      if (typeof processCallback === "function") {
-        processCallback(errorResult);
-      }
-      throw new errorHandling.ScreenshotError(
-        `Base screenshot failed for sequential capture: ${error.message}`,
-        url,
-        error.reason
-      );
-    }
-    return results;
-  }
-
-  try {
-    for (let i = 0; i < actionSequences.length; i++) {
-      const sequence = actionSequences[i];
-      const sequenceName = sequence.name || `Step ${i + 1}`;
-      let screenshotDataResult;
-
-      try {
-        events.emit(events.events.CAPTURE_PROGRESS, {
-          message: `Starting sequence: ${sequenceName} (${i + 1}/${
-            actionSequences.length
-          })`,
-        });
-
-        screenshotDataResult = await takeScreenshot(
-          url,
-          preset,
-          captureFullPage,
-          sequence.actions
-        );
-
-        const resultWithSequenceInfo = {
-          ...screenshotDataResult,
-          sequenceName: sequenceName,
-          sequenceIndex: i,
-        };
-        results.push(resultWithSequenceInfo);
-
-        if (typeof processCallback === "function") {
-          processCallback(resultWithSequenceInfo);
-        }
-
-        events.emit(events.events.CAPTURE_PROGRESS, {
-          message: `Completed sequence: ${sequenceName} (${i + 1}/${
-            actionSequences.length
-          })`,
-        });
-        events.emit("SCREENSHOT_SEQUENCE_TAKEN", {
-          url,
-          result: resultWithSequenceInfo,
-          sequenceName,
-          sequenceIndex: i,
-          totalSequences: actionSequences.length,
-        });
-      } catch (sequenceError) {
-        console.error(`Error in sequence "${sequenceName}":`, sequenceError);
-        const errorResult = {
-          sequenceName: sequenceName + " (Capture Error)",
-          sequenceIndex: i,
-          error: true,
-          errorMessage: sequenceError.message,
-          url: sequenceError.url || url,
-          detectedMountIssue:
-            sequenceError instanceof errorHandling.ScreenshotError &&
-            (sequenceError.message?.includes("No view configured") ||
-              sequenceError.message?.includes("Mount definition")),
-          mountIssueMessage:
-            sequenceError instanceof errorHandling.ScreenshotError &&
-            (sequenceError.message?.includes("No view configured") ||
-              sequenceError.message?.includes("Mount definition"))
-              ? sequenceError.message
-              : null,
-        };
-        results.push(errorResult);
-
-        if (typeof processCallback === "function") {
-          processCallback(errorResult);
-        }
-        events.emit("SCREENSHOT_SEQUENCE_ERROR", {
-          url,
-          error: errorResult,
-          sequenceName,
-          sequenceIndex: i,
-          totalSequences: actionSequences.length,
-        });
-
-        throw sequenceError;
-      }
-      await new Promise((r) => setTimeout(r, 200));
-    }
-    return results;
-  } catch (error) {
-    const sequentialError = new errorHandling.ScreenshotError(
-      `Error during sequential screenshots for ${url}: ${error.message}`,
-      url,
-      error.message
-    );
-    events.emit(events.events.CAPTURE_FAILED, { url, error: sequentialError });
-    throw sequentialError;
-  }
-}
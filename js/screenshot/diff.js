@@ -0,0 +1,126 @@
+// screenshot/diff.js - Pixel comparison between a baseline and a new capture
+import { ScreenshotError } from '../errors.js';
+import { createImageFromDataURL } from './utils.js';
+
+/**
+ * Draw an image onto a canvas of the given size and return its pixel data.
+ * Areas outside the image stay fully transparent so size differences count as changes.
+ * @param {HTMLImageElement} img - Image to rasterize
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {ImageData} - Pixel data of the canvas
+ */
+function rasterize(img, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  const data = ctx.getImageData(0, 0, width, height);
+  canvas.width = 1;
+  canvas.height = 1;
+  return data;
+}
+
+/**
+ * Compare two screenshots pixel by pixel and build a highlighted overlay image.
+ * @param {string} baselineDataURL - Data URL of the baseline screenshot
+ * @param {string} currentDataURL - Data URL of the new screenshot
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.colorTolerance=16] - Max per-channel difference still treated as equal (0-255)
+ * @param {number} [options.failThreshold=0.5] - Changed-pixel percentage above which the comparison fails
+ * @param {string} [options.highlightColor='#ff0000'] - Color used for changed pixels in the overlay
+ * @returns {Promise<Object>} - {changedPixels, totalPixels, changedPercent, passed, sizeMismatch, width, height, diffImage}
+ */
+export async function compareScreenshots(baselineDataURL, currentDataURL, options = {}) {
+  if (!baselineDataURL || !currentDataURL) {
+    throw new ScreenshotError('Both baseline and current screenshots are required for comparison', null, 'missing-data');
+  }
+
+  const colorTolerance = options.colorTolerance ?? 16;
+  const failThreshold = options.failThreshold ?? 0.5;
+  const highlight = hexToRgb(options.highlightColor || '#ff0000');
+
+  const [baselineImg, currentImg] = await Promise.all([
+    createImageFromDataURL(baselineDataURL),
+    createImageFromDataURL(currentDataURL)
+  ]);
+
+  const width = Math.max(baselineImg.naturalWidth, currentImg.naturalWidth);
+  const height = Math.max(baselineImg.naturalHeight, currentImg.naturalHeight);
+  const sizeMismatch =
+    baselineImg.naturalWidth !== currentImg.naturalWidth ||
+    baselineImg.naturalHeight !== currentImg.naturalHeight;
+
+  const before = rasterize(baselineImg, width, height).data;
+  const afterData = rasterize(currentImg, width, height);
+  const after = afterData.data;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const overlay = ctx.createImageData(width, height);
+  const out = overlay.data;
+
+  let changedPixels = 0;
+  for (let i = 0; i < after.length; i += 4) {
+    const delta = Math.max(
+      Math.abs(before[i] - after[i]),
+      Math.abs(before[i + 1] - after[i + 1]),
+      Math.abs(before[i + 2] - after[i + 2]),
+      Math.abs(before[i + 3] - after[i + 3])
+    );
+
+    if (delta > colorTolerance) {
+      changedPixels++;
+      out[i] = highlight.r;
+      out[i + 1] = highlight.g;
+      out[i + 2] = highlight.b;
+      out[i + 3] = 255;
+    } else {
+      // Faded grayscale copy of the new capture so the changes stand out
+      const gray = 0.299 * after[i] + 0.587 * after[i + 1] + 0.114 * after[i + 2];
+      const faded = 255 - (255 - gray) * 0.25;
+      out[i] = faded;
+      out[i + 1] = faded;
+      out[i + 2] = faded;
+      out[i + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(overlay, 0, 0);
+  const diffImage = canvas.toDataURL('image/png');
+  canvas.width = 1;
+  canvas.height = 1;
+
+  const totalPixels = width * height;
+  const changedPercent = totalPixels > 0 ? (changedPixels / totalPixels) * 100 : 0;
+
+  return {
+    changedPixels,
+    totalPixels,
+    changedPercent: Number(changedPercent.toFixed(3)),
+    passed: changedPercent <= failThreshold,
+    failThreshold,
+    sizeMismatch,
+    width,
+    height,
+    diffImage
+  };
+}
+
+/**
+ * Convert a #rrggbb color string to its RGB components
+ * @param {string} hex - Color in #rrggbb form
+ * @returns {{r: number, g: number, b: number}} - RGB components
+ */
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  if (!match) return { r: 255, g: 0, b: 0 };
+  return {
+    r: parseInt(match[1], 16),
+    g: parseInt(match[2], 16),
+    b: parseInt(match[3], 16)
+  };
+}
@@ -0,0 +1,110 @@
+// js/screenshot/iframe-pool.js - Pool of offscreen iframes for parallel capture
+
+const PRIMARY_IFRAME_ID = "screenshotIframe";
+
+class IframePool {
+  constructor() {
+    this.iframes = [];
+    this.available = [];
+    this.waiting = []; // Resolvers of acquire() calls waiting for a free iframe
+  }
+
+  /**
+   * Create a hidden capture iframe styled like #screenshotIframe
+   * @param {number} slot - Pool slot number, used for the element id
+   * @returns {HTMLIFrameElement}
+   */
+  _createIframe(slot) {
+    const iframe = document.createElement("iframe");
+    iframe.id = `${PRIMARY_IFRAME_ID}-${slot}`;
+    iframe.title = `Screenshot Capture Area ${slot + 1}`;
+    iframe.className = "screenshot-pool-iframe";
+    iframe.style.border = "1px solid #ccc";
+    iframe.style.position = "absolute";
+    iframe.style.top = "-9999px";
+    iframe.style.left = "-9999px";
+    document.body.appendChild(iframe);
+    return iframe;
+  }
+
+  /**
+   * Make sure the pool holds exactly `size` iframes.
+   * Slot 0 is always the static #screenshotIframe; extra slots are created on demand.
+   * Must not be called while iframes are acquired.
+   * @param {number} size - Number of iframes wanted
+   * @returns {Array<HTMLIFrameElement>} - The pooled iframes
+   */
+  resize(size) {
+    const targetSize = Math.max(1, Math.floor(size) || 1);
+
+    if (this.iframes.length === 0) {
+      const primary =
+        document.getElementById(PRIMARY_IFRAME_ID) || this._createIframe(0);
+      this.iframes.push(primary);
+    }
+    while (this.iframes.length < targetSize) {
+      this.iframes.push(this._createIframe(this.iframes.length));
+    }
+    while (this.iframes.length > targetSize) {
+      const iframe = this.iframes.pop();
+      iframe.remove();
+    }
+
+    this.available = [...this.iframes];
+    this.waiting = [];
+    return this.iframes;
+  }
+
+  /**
+   * Number of iframes in the pool
+   * @returns {number}
+   */
+  get size() {
+    return this.iframes.length;
+  }
+
+  /**
+   * Take a free iframe, waiting until one is released if all are busy
+   * @returns {Promise<HTMLIFrameElement>}
+   */
+  acquire() {
+    if (this.iframes.length === 0) this.resize(1);
+    if (this.available.length > 0) {
+      return Promise.resolve(this.available.shift());
+    }
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /**
+   * Hand an iframe back to the pool
+   * @param {HTMLIFrameElement} iframe - Iframe obtained from acquire()
+   */
+  release(iframe) {
+    if (!iframe || !this.iframes.includes(iframe)) return;
+    const next = this.waiting.shift();
+    if (next) {
+      next(iframe);
+    } else if (!this.available.includes(iframe)) {
+      this.available.push(iframe);
+    }
+  }
+
+  /**
+   * Navigate every pooled iframe to about:blank (e.g. after logout)
+   */
+  clearAll() {
+    const iframes =
+      this.iframes.length > 0
+        ? this.iframes
+        : [document.getElementById(PRIMARY_IFRAME_ID)].filter(Boolean);
+    iframes.forEach((iframe) => {
+      try {
+        if (iframe.src !== "about:blank") iframe.src = "about:blank";
+      } catch (e) {
+        console.error(`Error clearing #${iframe.id}:`, e);
+      }
+    });
+  }
+}
+
+export default new IframePool();
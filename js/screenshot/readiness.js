@@ -0,0 +1,222 @@
+// js/screenshot/readiness.js - Decides when a page in a capture iframe has settled
+import config from "../config.js";
+
+/**
+ * Names of the signals reported by a readiness monitor
+ */
+export const ReadinessSignal = {
+  DOM_QUIET: "domQuiet", // No DOM mutations for readiness.domQuietMs
+  NETWORK_IDLE: "networkIdle", // No pending fetch/XHR and no WebSocket sends for readiness.networkQuietMs
+  NO_SPINNERS: "noSpinners", // No visible element matches readiness.spinnerSelectors
+  LAYOUT_STABLE: "layoutStable", // Element bounding boxes unchanged for readiness.layoutStableSamples checks
+};
+
+/**
+ * Check whether an element takes up space on screen
+ * @param {Element} el - Element to check
+ * @returns {boolean}
+ */
+function isVisible(el) {
+  const win = el.ownerDocument?.defaultView;
+  if (!win) return false;
+  const style = win.getComputedStyle(el);
+  if (style.display === "none" || style.visibility === "hidden") return false;
+  if (parseFloat(style.opacity) === 0) return false;
+  const rect = el.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0;
+}
+
+/**
+ * Create a monitor that tracks the readiness signals of the page loaded in an iframe.
+ * Call start() after the page's load event, evaluate() on every poll and stop() when done;
+ * stop() removes the observer and the network hooks again.
+ *
+ * Perspective keeps its WebSocket open for the whole session, so an open socket does not
+ * count as pending traffic. Outgoing messages do (they are requests the view waits on);
+ * incoming updates show up as DOM mutations.
+ *
+ * @param {HTMLIFrameElement} iframe - The capture iframe
+ * @param {Object} [options] - Overrides for config.screenshot.readiness
+ * @returns {{start: Function, evaluate: Function, stop: Function}}
+ */
+export function createReadinessMonitor(iframe, options = {}) {
+  const settings = { ...config.screenshot.readiness, ...options };
+
+  let observer = null;
+  let lastMutationAt = 0;
+  let lastNetworkActivityAt = 0;
+  let pendingRequests = 0;
+  let lastLayoutSignature = null;
+  let stableLayoutSamples = 0;
+  const restoreHooks = [];
+
+  const now = () => performance.now();
+  const getDoc = () => iframe.contentDocument || iframe.contentWindow?.document;
+
+  const markNetworkActivity = () => {
+    lastNetworkActivityAt = now();
+  };
+
+  const hookNetwork = (win) => {
+    if (typeof win.fetch === "function") {
+      const originalFetch = win.fetch;
+      win.fetch = function (...args) {
+        pendingRequests++;
+        markNetworkActivity();
+        return originalFetch.apply(this, args).finally(() => {
+          pendingRequests = Math.max(0, pendingRequests - 1);
+          markNetworkActivity();
+        });
+      };
+      restoreHooks.push(() => {
+        win.fetch = originalFetch;
+      });
+    }
+
+    const xhrProto = win.XMLHttpRequest?.prototype;
+    if (xhrProto && typeof xhrProto.send === "function") {
+      const originalSend = xhrProto.send;
+      xhrProto.send = function (...args) {
+        pendingRequests++;
+        markNetworkActivity();
+        this.addEventListener(
+          "loadend",
+          () => {
+            pendingRequests = Math.max(0, pendingRequests - 1);
+            markNetworkActivity();
+          },
+          { once: true }
+        );
+        return originalSend.apply(this, args);
+      };
+      restoreHooks.push(() => {
+        xhrProto.send = originalSend;
+      });
+    }
+
+    const wsProto = win.WebSocket?.prototype;
+    if (wsProto && typeof wsProto.send === "function") {
+      const originalWsSend = wsProto.send;
+      wsProto.send = function (...args) {
+        markNetworkActivity();
+        return originalWsSend.apply(this, args);
+      };
+      restoreHooks.push(() => {
+        wsProto.send = originalWsSend;
+      });
+    }
+  };
+
+  const hasVisibleSpinner = (doc) => {
+    for (const selector of settings.spinnerSelectors) {
+      let matches;
+      try {
+        matches = doc.querySelectorAll(selector);
+      } catch (e) {
+        continue; // Ignore invalid selectors from the config
+      }
+      for (const el of matches) {
+        if (isVisible(el)) return true;
+      }
+    }
+    return false;
+  };
+
+  const sampleLayout = (doc) => {
+    if (!doc.body) return;
+    const elements = doc.body.querySelectorAll("*");
+    const limit = Math.min(elements.length, settings.maxLayoutElements);
+    const parts = [];
+    for (let i = 0; i < limit; i++) {
+      const rect = elements[i].getBoundingClientRect();
+      parts.push(
+        `${Math.round(rect.left)},${Math.round(rect.top)},${Math.round(
+          rect.width
+        )},${Math.round(rect.height)}`
+      );
+    }
+    const signature = `${elements.length}|${parts.join(";")}`;
+    stableLayoutSamples =
+      signature === lastLayoutSignature ? stableLayoutSamples + 1 : 0;
+    lastLayoutSignature = signature;
+  };
+
+  return {
+    /**
+     * Start observing the current document of the iframe
+     */
+    start() {
+      const startedAt = now();
+      lastMutationAt = startedAt;
+      lastNetworkActivityAt = startedAt;
+
+      const doc = getDoc();
+      const win = iframe.contentWindow;
+      if (doc) {
+        observer = new MutationObserver(() => {
+          lastMutationAt = now();
+        });
+        observer.observe(doc, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true,
+        });
+      }
+      if (win) {
+        try {
+          hookNetwork(win);
+        } catch (e) {
+          console.warn("Could not hook iframe network activity:", e.message);
+        }
+      }
+    },
+
+    /**
+     * Evaluate all signals once
+     * @returns {{ready: boolean, signals: Object<string, boolean>, pending: Array<string>}}
+     */
+    evaluate() {
+      const doc = getDoc();
+      const current = now();
+      const signals = {
+        [ReadinessSignal.DOM_QUIET]:
+          current - lastMutationAt >= settings.domQuietMs,
+        [ReadinessSignal.NETWORK_IDLE]:
+          pendingRequests === 0 &&
+          current - lastNetworkActivityAt >= settings.networkQuietMs,
+        [ReadinessSignal.NO_SPINNERS]: false,
+        [ReadinessSignal.LAYOUT_STABLE]: false,
+      };
+
+      if (doc) {
+        try {
+          signals[ReadinessSignal.NO_SPINNERS] = !hasVisibleSpinner(doc);
+          sampleLayout(doc);
+          signals[ReadinessSignal.LAYOUT_STABLE] =
+            stableLayoutSamples >= settings.layoutStableSamples;
+        } catch (e) {
+          console.warn("Error evaluating page readiness:", e.message);
+        }
+      }
+
+      const pending = Object.keys(signals).filter((name) => !signals[name]);
+      return { ready: pending.length === 0, signals, pending };
+    },
+
+    /**
+     * Stop observing and remove the network hooks
+     */
+    stop() {
+      if (observer) observer.disconnect();
+      observer = null;
+      while (restoreHooks.length > 0) {
+        try {
+          restoreHooks.pop()();
+        } catch (e) {
+          // The iframe may already have navigated away
+        }
+      }
+    },
+  };
+}
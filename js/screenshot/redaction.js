@@ -0,0 +1,106 @@
+// js/screenshot/redaction.js - Locates and paints redaction regions on captured images
+import { RedactionMode } from "../redaction-profiles.js";
+
+/**
+ * Find every element matching a selector (XPath if it starts with "/", otherwise CSS)
+ * @param {Document} doc - Document to search
+ * @param {string} selector - XPath or CSS selector
+ * @returns {Array<Element>}
+ */
+function findAllElements(doc, selector) {
+  try {
+    if (selector.startsWith("/")) {
+      const snapshot = doc.evaluate(
+        selector,
+        doc,
+        null,
+        XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+        null
+      );
+      const elements = [];
+      for (let i = 0; i < snapshot.snapshotLength; i++) {
+        const node = snapshot.snapshotItem(i);
+        if (node && node.nodeType === 1) elements.push(node);
+      }
+      return elements;
+    }
+    return Array.from(doc.querySelectorAll(selector));
+  } catch (error) {
+    console.warn(`Invalid redaction selector ${selector}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Resolve the rules of a redaction profile to rectangles in document coordinates.
+ * Must be called with the document scrolled to the top, right before the capture.
+ * @param {Document} doc - Iframe document
+ * @param {Array<{selector: string, mode: string, text?: string}>} rules - Profile rules
+ * @returns {Array<{selector: string, mode: string, text?: string, regions: Array<Object>}>}
+ *   One entry per rule; rules that matched nothing have no regions
+ */
+export function collectRedactionRegions(doc, rules) {
+  return rules.map((rule) => {
+    const regions = findAllElements(doc, rule.selector)
+      .map((el) => el.getBoundingClientRect())
+      .filter((rect) => rect.width > 0 && rect.height > 0)
+      .map((rect) => ({
+        x: Math.floor(rect.left),
+        y: Math.floor(rect.top),
+        width: Math.ceil(rect.width),
+        height: Math.ceil(rect.height),
+      }));
+    return { ...rule, regions };
+  });
+}
+
+/**
+ * Paint the redactions onto a canvas holding the captured image
+ * @param {CanvasRenderingContext2D} ctx - Context of the output canvas
+ * @param {Array<Object>} redactions - Result of collectRedactionRegions
+ * @param {{x: number, y: number}} origin - Document position of the canvas' top-left corner
+ * @param {number} scale - Device pixel ratio of the canvas
+ */
+export function paintRedactions(ctx, redactions, origin, scale) {
+  redactions.forEach((rule) => {
+    rule.regions.forEach((region) => {
+      const x = (region.x - origin.x) * scale;
+      const y = (region.y - origin.y) * scale;
+      const width = region.width * scale;
+      const height = region.height * scale;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      ctx.clip();
+
+      if (rule.mode === RedactionMode.BLUR) {
+        // Blur a copy of the region so the filter does not sample the surrounding pixels
+        const copy = document.createElement("canvas");
+        copy.width = Math.max(1, Math.round(width));
+        copy.height = Math.max(1, Math.round(height));
+        copy
+          .getContext("2d")
+          .drawImage(ctx.canvas, x, y, width, height, 0, 0, width, height);
+        // The blurred edges are translucent; cover the original pixels first
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(x, y, width, height);
+        ctx.filter = `blur(${Math.max(6, Math.min(width, height) / 4)}px)`;
+        ctx.drawImage(copy, x, y, width, height);
+        ctx.filter = "none";
+      } else if (rule.mode === RedactionMode.TEXT) {
+        ctx.fillStyle = "#d0d4da";
+        ctx.fillRect(x, y, width, height);
+        ctx.fillStyle = "#333333";
+        ctx.font = `${Math.min(14 * scale, height * 0.8)}px Arial`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(rule.text || "", x + width / 2, y + height / 2, width);
+      } else {
+        ctx.fillStyle = "#000000";
+        ctx.fillRect(x, y, width, height);
+      }
+      ctx.restore();
+    });
+  });
+}
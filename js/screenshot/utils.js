@@ -6,9 +6,10 @@ import { ScreenshotError } from '../errors.js';
  * @param {string} screenshotData - Base64 screenshot data
  * @param {number} width - Thumbnail width
  * @param {number} height - Thumbnail height
+ * @param {number} scale - Device pixel ratio of the screenshot; the thumbnail is rendered at the same ratio
  * @returns {Promise<string>} - Promise resolving to thumbnail data
  */
-export function createThumbnail(screenshotData, width = 50, height = 50) {
+export function createThumbnail(screenshotData, width = 50, height = 50, scale = 1) {
   return new Promise((resolve, reject) => {
     if (!screenshotData) {
       reject(new ScreenshotError('No screenshot data provided for thumbnail creation', null, 'missing-data'));
@@ -22,12 +23,14 @@ export function createThumbnail(screenshotData, width = 50, height = 50) {
       img.onload = () => {
         try {
           const canvas = document.createElement('canvas');
-          canvas.width = width;
-          canvas.height = height;
+          canvas.width = Math.round(width * scale);
+          canvas.height = Math.round(height * scale);
           const ctx = canvas.getContext('2d');
+          ctx.imageSmoothingEnabled = true;
+          ctx.imageSmoothingQuality = 'high';
           
           // Draw the image at the right size
-          ctx.drawImage(img, 0, 0, width, height);
+          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
           
           // Get the data URL
           const thumbnailData = canvas.toDataURL('image/png');
@@ -113,24 +116,52 @@ export function getImageDimensions(dataURL) {
 /**
  * Compress an image to reduce file size
  * @param {string} dataURL - Data URL of the image
- * @param {number} quality - Quality (0-1)
- * @returns {Promise<string>} - Promise resolving to compressed data URL
+ * @param {number} quality - Quality (0-1), ignored for PNG
+ * @param {string} mimeType - Output type (image/jpeg, image/webp or image/png)
+ * @param {number} maxDimension - Downscale so the longest side is at most this many px (0 = keep size)
+ * @returns {Promise<string>} - Promise resolving to compressed data URL. Browsers without
+ *   support for the requested type return PNG; check the MIME type of the result.
  */
-export function compressImage(dataURL, quality = 0.8) {
+export function compressImage(dataURL, quality = 0.8, mimeType = 'image/jpeg', maxDimension = 0) {
   return createImageFromDataURL(dataURL)
     .then(img => {
+      let width = img.naturalWidth;
+      let height = img.naturalHeight;
+      if (maxDimension > 0 && Math.max(width, height) > maxDimension) {
+        const ratio = maxDimension / Math.max(width, height);
+        width = Math.max(1, Math.round(width * ratio));
+        height = Math.max(1, Math.round(height * ratio));
+      }
+
       const canvas = document.createElement('canvas');
-      canvas.width = img.naturalWidth;
-      canvas.height = img.naturalHeight;
+      canvas.width = width;
+      canvas.height = height;
       
       const ctx = canvas.getContext('2d');
-      ctx.drawImage(img, 0, 0);
+      if (mimeType !== 'image/png') {
+        // JPEG has no alpha channel; avoid black backgrounds
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+      }
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(img, 0, 0, width, height);
       
       // Return compressed data URL
-      return canvas.toDataURL('image/jpeg', quality);
+      return canvas.toDataURL(mimeType, quality);
     });
 }
 
+/**
+ * Get the MIME type of a data URL
+ * @param {string} dataURL - Data URL
+ * @returns {string|null} - e.g. "image/png", or null if it is not a data URL
+ */
+export function getDataURLMimeType(dataURL) {
+  const match = /^data:([^;,]+)/.exec(dataURL || '');
+  return match ? match[1] : null;
+}
+
 /**
  * Check if a data URL is valid
  * @param {string} dataURL - Data URL to check
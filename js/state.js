@@ -6,6 +6,7 @@ const AppState = {
   screenshots: new Map(),
   orderedUrls: [],
   failedUrls: [],
+  failureDetails: new Map(),
   
   /**
    * Reset the state to initial values
@@ -14,6 +15,7 @@ const AppState = {
     this.screenshots.clear();
     this.orderedUrls = [];
     this.failedUrls = [];
+    this.failureDetails.clear();
   },
   
   /**
@@ -31,11 +33,15 @@ const AppState = {
   /**
    * Add a URL to the failed list
    * @param {string} url - The URL that failed during screenshot capture
+   * @param {Object} [details] - Optional failure details (errorMessage, fileName, reason...)
    */
-  addFailedUrl(url) {
+  addFailedUrl(url, details = null) {
     if (!this.failedUrls.includes(url)) {
       this.failedUrls.push(url);
     }
+    if (details) {
+      this.failureDetails.set(url, details);
+    }
   },
   
   /**
@@ -44,6 +50,7 @@ const AppState = {
    */
   removeFailedUrl(url) {
     this.failedUrls = this.failedUrls.filter(u => u !== url);
+    this.failureDetails.delete(url);
   }
 };
 
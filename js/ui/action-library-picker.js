@@ -0,0 +1,199 @@
+// js/ui/action-library-picker.js
+import { utils } from "./utils.js";
+import { fillNamedSelect } from "./named-editor.js";
+import { elements } from "./elements.js";
+import { emit } from "../events.js";
+import ActionLibraries from "../action-libraries.js";
+import CaptureRecipes from "../capture-recipes.js";
+import urlFetcher from "../url-fetcher.js";
+import { downloadBlob } from "../export/zip-exporter.js";
+
+export const actionLibraryPicker = {
+  select: null,
+
+  /**
+   * Attach to #actionLibrarySelect and its Export/Delete buttons
+   */
+  initialize() {
+    this.select = document.getElementById("actionLibrarySelect");
+    if (!this.select) return;
+
+    if (!this.select.dataset.listenersAttached) {
+      this.select.addEventListener("change", () => this.handleSelect());
+      this.select.dataset.listenersAttached = "true";
+    }
+    utils.bindClicks([
+      ["exportActionLibraryBtn", () => this.handleExport()],
+      ["deleteActionLibraryBtn", () => this.handleDelete()],
+    ]);
+    this.render();
+  },
+
+  /**
+   * Fill the library dropdown, keeping the current choice if it still exists
+   * @param {string} [selectName] - Library to select instead of the current one
+   */
+  render(selectName) {
+    if (!this.select) return;
+    fillNamedSelect(this.select, Object.values(ActionLibraries.getAll()), {
+      emptyText: "None (edit below)",
+      describe: (library) =>
+        `${library.name} (r${library.revision}${
+          library.projectName ? `, ${library.projectName}` : ""
+        }, ${library.sequences.length} sequences)`,
+      selected: selectName,
+      sortByName: true,
+    });
+  },
+
+  /**
+   * Put the sequences of the chosen library into the actions editor
+   */
+  handleSelect() {
+    const library = ActionLibraries.get(this.select?.value);
+    if (!library || !elements.actionsField) return;
+    if (
+      library.projectName &&
+      urlFetcher.projectName &&
+      library.projectName !== urlFetcher.projectName
+    ) {
+      utils.showStatus(
+        `Library "${library.name}" was made for project "${library.projectName}"; selectors may not match "${urlFetcher.projectName}".`,
+        false,
+        6000
+      );
+    }
+    elements.actionsField.value = JSON.stringify(library.sequences, null, 2);
+    emit("CONTEXT_ACTIONS_GENERATED"); // Re-validate the multi-shot sequences
+  },
+
+  /**
+   * Save the sequences in the actions editor as a library, asking for its name
+   */
+  saveCurrent() {
+    try {
+      // Same formats as the multi-shot editor, including a plain action array
+      const sequences = CaptureRecipes.parseSequences(
+        elements.actionsField?.value || ""
+      );
+      const name = prompt(
+        "Save the action sequences as library:",
+        this.select?.value || urlFetcher.projectName || ""
+      );
+      if (name === null) return;
+      if (
+        ActionLibraries.get(name.trim()) &&
+        name.trim() !== this.select?.value &&
+        !confirm(`Replace the action library "${name.trim()}"?`)
+      )
+        return;
+      const library = ActionLibraries.save(name, sequences, {
+        projectName: urlFetcher.projectName,
+      });
+      this.render(library.name);
+      utils.showStatus(
+        `Action library "${library.name}" saved (revision ${library.revision}).`,
+        false,
+        3000
+      );
+    } catch (error) {
+      utils.showStatus(error.message, true);
+    }
+  },
+
+  /**
+   * Ask for a library file, validate it, store it and select it
+   */
+  importFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        const library = ActionLibraries.parseFile(await file.text());
+        const name = library.name || file.name.replace(/\.json$/i, "");
+        const existing = ActionLibraries.get(name);
+        if (
+          existing &&
+          !confirm(
+            `Replace the local action library "${name}" (revision ${existing.revision}) with revision ${library.revision} from the file?`
+          )
+        )
+          return;
+        if (
+          library.projectName &&
+          urlFetcher.projectName &&
+          library.projectName !== urlFetcher.projectName &&
+          !confirm(
+            `This library was made for project "${library.projectName}", not "${urlFetcher.projectName}". Import it anyway?`
+          )
+        )
+          return;
+        ActionLibraries.save(name, library.sequences, {
+          projectName: library.projectName,
+          revision: library.revision,
+        });
+        this.render(name);
+        this.handleSelect();
+        utils.showStatus(`Action library "${name}" imported.`, false, 3000);
+      } catch (error) {
+        utils.showStatus(error.message, true);
+      }
+    });
+    input.click();
+  },
+
+  /**
+   * Download the chosen library as a JSON file
+   */
+  handleExport() {
+    const name = this.select?.value;
+    if (!name) {
+      utils.showStatus("Please choose an action library to export.", true);
+      return;
+    }
+    try {
+      const blob = new Blob([ActionLibraries.toFile(name)], {
+        type: "application/json",
+      });
+      downloadBlob(blob, `${name.replace(/[\\/:*?"<>|]+/g, "_")}.json`);
+    } catch (error) {
+      utils.showStatus(error.message, true);
+    }
+  },
+
+  /**
+   * Delete the chosen library after confirmation
+   */
+  handleDelete() {
+    const name = this.select?.value;
+    if (!name) {
+      utils.showStatus("Please choose an action library to delete.", true);
+      return;
+    }
+    if (!confirm(`Delete the action library "${name}"?`)) return;
+    try {
+      ActionLibraries.remove(name);
+    } catch (error) {
+      utils.showStatus(error.message, true);
+      return;
+    }
+    this.render();
+  },
+
+  /**
+   * Enable or disable the dropdown and its buttons
+   * @param {boolean} disabled
+   */
+  setDisabled(disabled) {
+    const container = document.getElementById("actionLibraryContainer");
+    if (!container) return;
+    container
+      .querySelectorAll("select, button")
+      .forEach((el) => (el.disabled = disabled));
+  },
+};
+
+export default actionLibraryPicker;
@@ -14,7 +14,7 @@ export const elements = {
 
   // Input Elements
   urlList: document.getElementById('urlList'), // Original textarea, likely hidden/replaced
-  capturePreset: document.getElementById('capturePreset'),
+  capturePresetList: document.getElementById('capturePresetList'),
   waitTime: document.getElementById('waitTime'), // Hidden input for wait time storage
   actionsField: document.getElementById('actionsField'), // Advanced mode textarea
 
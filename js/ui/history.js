@@ -0,0 +1,152 @@
+// js/ui/history.js
+import { utils } from "./utils.js";
+import RunHistory from "../run-history.js";
+import Presets from "../presets.js";
+import * as events from "../events.js";
+
+export const history = {
+  section: null,
+  listContainer: null,
+
+  /**
+   * Attach to the static #historySection card and render the stored runs
+   */
+  async initialize() {
+    this.section = document.getElementById("historySection");
+    this.listContainer = document.getElementById("historyList");
+    if (!this.section || !this.listContainer) return;
+
+    if (!RunHistory.isAvailable()) {
+      this.section.style.display = "none";
+      return;
+    }
+
+    const toggle = document.getElementById("historyToggle");
+    const content = document.getElementById("historyContent");
+    if (toggle && content && !toggle.dataset.listenersAttached) {
+      toggle.addEventListener("click", () => {
+        const isCollapsed = content.classList.toggle("collapsed");
+        toggle.classList.toggle("collapsed", isCollapsed);
+      });
+      toggle.dataset.listenersAttached = "true";
+    }
+
+    this.section.style.display = "";
+    await this.refresh();
+  },
+
+  /**
+   * Re-read the runs from IndexedDB and re-render the list
+   */
+  async refresh() {
+    if (!this.listContainer) return;
+    try {
+      const runs = await RunHistory.listRuns();
+      this.render(runs);
+    } catch (error) {
+      console.error("Could not load capture history:", error);
+      this.listContainer.innerHTML =
+        '<div class="history-empty">Capture history is unavailable.</div>';
+    }
+  },
+
+  /**
+   * Render the list of stored runs
+   * @param {Array<Object>} runs - Run records, newest first
+   */
+  render(runs) {
+    this.listContainer.innerHTML = "";
+    if (!runs || runs.length === 0) {
+      this.listContainer.innerHTML =
+        '<div class="history-empty">No capture runs stored yet.</div>';
+      return;
+    }
+
+    runs.forEach((run) => {
+      const row = document.createElement("div");
+      row.className = `history-item status-${run.status}`;
+      row.dataset.runId = run.id;
+
+      const info = document.createElement("div");
+      info.className = "history-info";
+
+      const title = document.createElement("div");
+      title.className = "history-title";
+      title.textContent = `${run.project || "Unknown project"} - ${new Date(
+        run.startedAt
+      ).toLocaleString()}`;
+      info.appendChild(title);
+
+      const details = document.createElement("div");
+      details.className = "history-details";
+      const viewports = run.preset
+        ? run.preset
+            .split(",")
+            .map((id) => Presets.getLabel(id))
+            .join(", ")
+        : "?";
+      const duration =
+        run.durationSec !== undefined && run.durationSec !== null
+          ? `${run.durationSec}s`
+          : "-";
+      details.textContent = `${run.successCount || 0} captured, ${
+        run.failedCount || 0
+      } failed of ${run.totalUrls || 0} | ${viewports}${
+        run.captureFullPage ? " (full page)" : ""
+      } | ${duration} | ${run.status}`;
+      info.appendChild(details);
+      row.appendChild(info);
+
+      const actions = document.createElement("div");
+      actions.className = "history-actions";
+
+      actions.appendChild(
+        utils.createButton("Open", "Show this run's screenshots", () =>
+          events.emit(events.events.HISTORY_RUN_OPEN_REQUESTED, {
+            runId: run.id,
+          })
+        )
+      );
+      actions.appendChild(
+        utils.createButton("Export PDF", "Re-export this run as PDF", () =>
+          events.emit(events.events.HISTORY_RUN_EXPORT_REQUESTED, {
+            runId: run.id,
+          })
+        )
+      );
+      const deleteBtn = utils.createButton(
+        "Delete",
+        "Delete this run from history",
+        () => this.deleteRun(run)
+      );
+      deleteBtn.classList.add("history-delete-btn");
+      actions.appendChild(deleteBtn);
+
+      row.appendChild(actions);
+      this.listContainer.appendChild(row);
+    });
+  },
+
+  /**
+   * Delete a run after confirmation
+   * @param {Object} run - Run record to delete
+   */
+  async deleteRun(run) {
+    const label = `${run.project || "run"} from ${new Date(
+      run.startedAt
+    ).toLocaleString()}`;
+    if (!confirm(`Delete the capture of ${label}? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await RunHistory.deleteRun(run.id);
+      events.emit(events.events.HISTORY_RUN_DELETED, { runId: run.id });
+      utils.showStatus(`Deleted capture ${label}.`, false, 3000);
+    } catch (error) {
+      utils.showStatus(`Could not delete run: ${error.message}`, true);
+    }
+    await this.refresh();
+  },
+};
+
+export default history;
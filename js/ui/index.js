@@ -4,6 +4,13 @@ import { progress } from './progress.js';
 import { thumbnails } from './thumbnails.js';
 import { modals } from './modals.js';
 import { utils } from './utils.js';
+import { history } from './history.js';
+import { presetSelector } from './preset-selector.js';
+import { redactionEditor } from './redaction-editor.js';
+import { recipeEditor } from './recipe-editor.js';
+import { actionLibraryPicker } from './action-library-picker.js';
+import { schedulePanel } from './schedule-panel.js';
+import { pdfOptionsDialog } from './pdf-options-dialog.js';
 
 // Export a unified UI object with all components
 export default {
@@ -11,5 +18,12 @@ export default {
   progress,
   thumbnails,
   modals,
-  utils
+  utils,
+  history,
+  presetSelector,
+  redactionEditor,
+  recipeEditor,
+  actionLibraryPicker,
+  schedulePanel,
+  pdfOptionsDialog
 };
\ No newline at end of file
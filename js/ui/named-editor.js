@@ -0,0 +1,172 @@
+// js/ui/named-editor.js
+import { utils } from "./utils.js";
+
+/**
+ * Fill a dropdown with named entries after an empty first option, keeping the
+ * chosen entry if it still exists
+ * @param {HTMLSelectElement} select - Dropdown to fill
+ * @param {Array<{name: string}>} entries - Entries to list
+ * @param {Object} options
+ * @param {string} options.emptyText - Text of the empty option
+ * @param {function(Object): string} options.describe - Option text of an entry
+ * @param {string} [options.selected] - Entry to select instead of the current one
+ * @param {boolean} [options.sortByName=false] - List the entries alphabetically
+ */
+export function fillNamedSelect(
+  select,
+  entries,
+  { emptyText, describe, selected = select.value, sortByName = false }
+) {
+  const listed = sortByName
+    ? [...entries].sort((a, b) => a.name.localeCompare(b.name))
+    : entries;
+
+  select.innerHTML = "";
+  const emptyOption = document.createElement("option");
+  emptyOption.value = "";
+  emptyOption.textContent = emptyText;
+  select.appendChild(emptyOption);
+  listed.forEach((entry) => {
+    const option = document.createElement("option");
+    option.value = entry.name;
+    option.textContent = describe(entry);
+    select.appendChild(option);
+  });
+  select.value = listed.some((entry) => entry.name === selected)
+    ? selected
+    : "";
+}
+
+/**
+ * Create the UI component of a dropdown of stored named entries with an inline
+ * editor that creates, changes and deletes them
+ * @param {Object} options
+ * @param {Object} options.store - Module with getAll, get and remove, e.g. CaptureRecipes
+ * @param {string} options.noun - What an entry is called in messages, e.g. "recipe"
+ * @param {{select: string, editor: string, container: string, edit: string, save: string, delete: string}} options.ids
+ *   - Ids of the dropdown, the editor, the container disabled during a capture and the buttons
+ * @param {Object<string, string>} options.fields - Ids of the editor inputs by field name; needs `name`
+ * @param {function(Array<Object>): string} options.emptyText - Text of the empty option for the entries
+ * @param {function(Object): string} options.describe - Option text of an entry
+ * @param {boolean} [options.sortByName=false] - List the entries alphabetically
+ * @param {function(Object): Object<string, string>} options.toFields - Editor values of an entry
+ * @param {function(Object<string, string>): string} options.save - Save the editor values (name
+ *   trimmed) and return the status message; throws if they are invalid
+ * @param {function(Object<string, string>): void} [options.onFill] - Called after the editor
+ *   inputs were filled with an entry or cleared
+ * @returns {{select: HTMLSelectElement, editor: HTMLElement, initialize: Function, render: Function,
+ *   toggleEditor: Function, handleSave: Function, handleDelete: Function, setDisabled: Function}}
+ */
+export function createNamedEditor(options) {
+  const { store, noun, ids, fields } = options;
+  const getInput = (field) => document.getElementById(fields[field]);
+  const setValues = (values) => {
+    Object.keys(fields).forEach((field) => {
+      const input = getInput(field);
+      if (input) input.value = values[field] ?? "";
+    });
+    if (options.onFill) options.onFill(values);
+  };
+
+  return {
+    select: null,
+    editor: null,
+
+    /**
+     * Attach to the dropdown, the editor and its buttons
+     */
+    initialize() {
+      this.select = document.getElementById(ids.select);
+      this.editor = document.getElementById(ids.editor);
+      if (!this.select || !this.editor) return;
+
+      utils.bindClicks([
+        [ids.edit, () => this.toggleEditor()],
+        [ids.save, () => this.handleSave()],
+        [ids.delete, () => this.handleDelete()],
+      ]);
+      this.render();
+    },
+
+    /**
+     * Fill the dropdown, keeping the current choice if it still exists
+     * @param {string} [selectName] - Entry to select instead of the current one
+     */
+    render(selectName) {
+      if (!this.select) return;
+      const stored = store.getAll();
+      const entries = Array.isArray(stored) ? stored : Object.values(stored);
+      fillNamedSelect(this.select, entries, {
+        emptyText: options.emptyText(entries),
+        describe: options.describe,
+        selected: selectName,
+        sortByName: options.sortByName,
+      });
+    },
+
+    /**
+     * Show or hide the editor, loading the selected entry into it
+     */
+    toggleEditor() {
+      if (!this.editor) return;
+      const show = this.editor.style.display === "none";
+      this.editor.style.display = show ? "" : "none";
+      if (!show) return;
+
+      const entry = store.get(this.select?.value);
+      setValues(entry ? options.toFields(entry) : {});
+    },
+
+    /**
+     * Save the entry from the editor and select it
+     */
+    handleSave() {
+      const values = {};
+      Object.keys(fields).forEach((field) => {
+        values[field] = getInput(field)?.value || "";
+      });
+      values.name = values.name.trim();
+      try {
+        const message = options.save(values);
+        this.render(values.name);
+        utils.showStatus(message, false, 3000);
+      } catch (error) {
+        utils.showStatus(error.message, true);
+      }
+    },
+
+    /**
+     * Delete the entry named in the editor after confirmation
+     */
+    handleDelete() {
+      const name = (getInput("name")?.value || "").trim();
+      if (!store.get(name)) {
+        utils.showStatus(`No ${noun} named "${name}".`, true);
+        return;
+      }
+      if (!confirm(`Delete the ${noun} "${name}"?`)) return;
+      try {
+        store.remove(name);
+      } catch (error) {
+        utils.showStatus(error.message, true);
+        return;
+      }
+      setValues({});
+      this.render();
+    },
+
+    /**
+     * Enable or disable the dropdown and the editor
+     * @param {boolean} disabled
+     */
+    setDisabled(disabled) {
+      const container = document.getElementById(ids.container);
+      if (!container) return;
+      container
+        .querySelectorAll("input, select, textarea, button")
+        .forEach((el) => (el.disabled = disabled));
+    },
+  };
+}
+
+export default createNamedEditor;
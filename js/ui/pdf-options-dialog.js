@@ -0,0 +1,155 @@
+// js/ui/pdf-options-dialog.js
+import {
+  DEFAULT_PDF_OPTIONS,
+  normalizePdfOptions,
+} from "../export/pdf-exporter.js";
+
+const STORAGE_KEY = "perspectiveCapture.pdfOptions";
+
+const DIALOG_HTML = `
+  <h3>PDF Export Options</h3>
+  <div class="pdf-options-grid">
+    <label>Page size
+      <select name="pageSize">
+        <option value="a4">A4</option>
+        <option value="letter">Letter</option>
+        <option value="a3">A3</option>
+      </select>
+    </label>
+    <label>Orientation
+      <select name="orientation">
+        <option value="landscape">Landscape</option>
+        <option value="portrait">Portrait</option>
+      </select>
+    </label>
+    <label>Margin (mm)
+      <input type="number" name="margin" min="5" max="40" step="1" />
+    </label>
+    <label>Images per page
+      <select name="imagesPerPage">
+        <option value="1">1</option>
+        <option value="2">2</option>
+        <option value="4">4</option>
+        <option value="6">6</option>
+      </select>
+    </label>
+  </div>
+  <fieldset class="pdf-options-group">
+    <legend>Caption</legend>
+    <label><input type="checkbox" name="caption.title" /> Page title</label>
+    <label><input type="checkbox" name="caption.fileName" /> File name</label>
+    <label><input type="checkbox" name="caption.url" /> URL</label>
+    <label><input type="checkbox" name="caption.capturedAt" /> Capture time</label>
+  </fieldset>
+  <fieldset class="pdf-options-group">
+    <legend>Document</legend>
+    <label><input type="checkbox" name="coverPage" /> Cover page</label>
+    <label><input type="checkbox" name="tableOfContents" /> Table of contents</label>
+    <label><input type="checkbox" name="bookmarks" /> Bookmarks per category</label>
+    <label
+      title="Split screenshots much taller than the page across pages at full width instead of shrinking them"
+      ><input type="checkbox" name="splitLongPages" /> Split long pages</label
+    >
+  </fieldset>
+  <div class="pdf-options-actions">
+    <button type="button" class="btn btn-small" data-action="cancel">Cancel</button>
+    <button type="button" class="btn btn-small" data-action="export">
+      Export PDF
+    </button>
+  </div>
+`;
+
+export const pdfOptionsDialog = {
+  /**
+   * Options chosen for the last export, or the defaults
+   * @returns {Object}
+   */
+  loadOptions() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      return normalizePdfOptions(raw ? JSON.parse(raw) : DEFAULT_PDF_OPTIONS);
+    } catch (error) {
+      console.warn("Could not read PDF export options:", error);
+      return normalizePdfOptions(DEFAULT_PDF_OPTIONS);
+    }
+  },
+
+  saveOptions(options) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+    } catch (error) {
+      console.warn("Could not save PDF export options:", error);
+    }
+  },
+
+  /**
+   * Ask for the PDF export options
+   * @param {string} [subtitle] - What is being exported, shown under the title
+   * @returns {Promise<Object|null>} - Chosen options, or null if the dialog was cancelled
+   */
+  open(subtitle) {
+    return new Promise((resolve) => {
+      const options = this.loadOptions();
+      const modal = document.createElement("div");
+      modal.className = "modal";
+      const modalContent = document.createElement("div");
+      modalContent.className = "modal-content pdf-options-dialog";
+      modalContent.innerHTML = DIALOG_HTML;
+      if (subtitle) {
+        const subtitleEl = document.createElement("p");
+        subtitleEl.className = "pdf-options-subtitle";
+        subtitleEl.textContent = subtitle;
+        modalContent.querySelector("h3").after(subtitleEl);
+      }
+
+      const fields = modalContent.querySelectorAll("[name]");
+      const getOption = (name) =>
+        name.startsWith("caption.")
+          ? options.caption[name.slice("caption.".length)]
+          : options[name];
+      fields.forEach((field) => {
+        if (field.type === "checkbox") field.checked = !!getOption(field.name);
+        else field.value = String(getOption(field.name));
+      });
+
+      const close = (result) => {
+        document.removeEventListener("keydown", onKeyDown);
+        if (modal.parentNode) document.body.removeChild(modal);
+        resolve(result);
+      };
+      const onKeyDown = (e) => {
+        if (e.key === "Escape") close(null);
+      };
+
+      modalContent
+        .querySelector('[data-action="cancel"]')
+        .addEventListener("click", () => close(null));
+      modalContent
+        .querySelector('[data-action="export"]')
+        .addEventListener("click", () => {
+          const chosen = { caption: {} };
+          fields.forEach((field) => {
+            const value =
+              field.type === "checkbox" ? field.checked : field.value;
+            if (field.name.startsWith("caption.")) {
+              chosen.caption[field.name.slice("caption.".length)] = value;
+            } else {
+              chosen[field.name] = value;
+            }
+          });
+          const normalized = normalizePdfOptions(chosen);
+          this.saveOptions(normalized);
+          close(normalized);
+        });
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(null);
+      });
+      document.addEventListener("keydown", onKeyDown);
+
+      modal.appendChild(modalContent);
+      document.body.appendChild(modal);
+    });
+  },
+};
+
+export default pdfOptionsDialog;
@@ -0,0 +1,153 @@
+// js/ui/preset-selector.js
+import { utils } from "./utils.js";
+import Presets from "../presets.js";
+import config from "../config.js";
+
+export const presetSelector = {
+  container: null,
+  listContainer: null,
+  selected: new Set(),
+  disabled: false,
+
+  /**
+   * Attach to #capturePresetList and render the preset checkboxes and the custom preset form
+   */
+  initialize() {
+    this.container = document.getElementById("capturePresetSelector");
+    this.listContainer = document.getElementById("capturePresetList");
+    if (!this.container || !this.listContainer) return;
+
+    if (this.selected.size === 0) {
+      this.selected.add(config.screenshot.defaultPreset);
+    }
+
+    const addBtn = document.getElementById("addPresetBtn");
+    if (addBtn && !addBtn.dataset.listenersAttached) {
+      addBtn.addEventListener("click", () => this.handleAddPreset());
+      addBtn.dataset.listenersAttached = "true";
+    }
+    this.render();
+  },
+
+  /**
+   * Render one checkbox per preset; custom presets get a delete button
+   */
+  render() {
+    if (!this.listContainer) return;
+    const presets = Presets.getAll();
+
+    // Drop selections of presets that no longer exist
+    Array.from(this.selected).forEach((id) => {
+      if (!presets[id]) this.selected.delete(id);
+    });
+    if (this.selected.size === 0 && presets[config.screenshot.defaultPreset]) {
+      this.selected.add(config.screenshot.defaultPreset);
+    }
+
+    this.listContainer.innerHTML = "";
+    Object.entries(presets).forEach(([id, preset]) => {
+      const item = document.createElement("label");
+      item.className = "preset-option";
+      item.title = `${preset.width}x${preset.height}`;
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = id;
+      checkbox.checked = this.selected.has(id);
+      checkbox.disabled = this.disabled;
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) this.selected.add(id);
+        else this.selected.delete(id);
+      });
+      item.appendChild(checkbox);
+      item.appendChild(document.createTextNode(` ${preset.name}`));
+
+      if (!preset.builtIn) {
+        const deleteBtn = document.createElement("button");
+        deleteBtn.type = "button";
+        deleteBtn.className = "preset-delete-btn";
+        deleteBtn.textContent = "✕";
+        deleteBtn.title = `Delete preset "${preset.name}"`;
+        deleteBtn.disabled = this.disabled;
+        deleteBtn.addEventListener("click", (e) => {
+          e.preventDefault();
+          this.handleDeletePreset(id, preset.name);
+        });
+        item.appendChild(deleteBtn);
+      }
+
+      this.listContainer.appendChild(item);
+    });
+  },
+
+  /**
+   * Save a custom preset from the inline form
+   */
+  handleAddPreset() {
+    const nameInput = document.getElementById("newPresetName");
+    const widthInput = document.getElementById("newPresetWidth");
+    const heightInput = document.getElementById("newPresetHeight");
+    try {
+      const id = Presets.add({
+        name: nameInput?.value,
+        width: widthInput?.value,
+        height: heightInput?.value,
+      });
+      this.selected.add(id);
+      if (nameInput) nameInput.value = "";
+      if (widthInput) widthInput.value = "";
+      if (heightInput) heightInput.value = "";
+      this.render();
+      utils.showStatus(`Preset "${Presets.get(id).name}" saved.`, false, 3000);
+    } catch (error) {
+      utils.showStatus(error.message, true);
+    }
+  },
+
+  /**
+   * Delete a custom preset after confirmation
+   * @param {string} id - Preset id
+   * @param {string} name - Preset display name
+   */
+  handleDeletePreset(id, name) {
+    if (!confirm(`Delete the screen size preset "${name}"?`)) return;
+    try {
+      Presets.remove(id);
+      this.selected.delete(id);
+      this.render();
+    } catch (error) {
+      utils.showStatus(error.message, true);
+    }
+  },
+
+  /**
+   * Ids of the ticked presets, in display order
+   * @returns {Array<string>}
+   */
+  getSelectedPresetIds() {
+    return Object.keys(Presets.getAll()).filter((id) => this.selected.has(id));
+  },
+
+  /**
+   * Replace the selection
+   * @param {Array<string>} ids - Preset ids to tick
+   */
+  setSelected(ids) {
+    this.selected = new Set(ids);
+    this.render();
+  },
+
+  /**
+   * Enable or disable the checkboxes and the custom preset form
+   * @param {boolean} disabled
+   */
+  setDisabled(disabled) {
+    this.disabled = disabled;
+    if (!this.container) return;
+    this.container
+      .querySelectorAll("input, button")
+      .forEach((el) => (el.disabled = disabled));
+  },
+};
+
+export default presetSelector;
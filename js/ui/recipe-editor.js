@@ -0,0 +1,67 @@
+// js/ui/recipe-editor.js
+import { utils } from "./utils.js";
+import { createNamedEditor } from "./named-editor.js";
+import CaptureRecipes from "../capture-recipes.js";
+import { validateActionsText } from "../action-validator.js";
+import { AppError } from "../errors.js";
+
+/**
+ * List the problems of the recipe's actions under the editor
+ * @param {Array<Object>} problems - From validateActionsText
+ */
+function showProblems(problems) {
+  const list = document.getElementById("recipeValidation");
+  const field = document.getElementById("recipeSequences");
+  if (!list || !field) return;
+  field.classList.toggle("invalid", problems.length > 0);
+  utils.renderActionProblems(list, field, problems);
+}
+
+export const recipeEditor = createNamedEditor({
+  store: CaptureRecipes,
+  noun: "recipe",
+  ids: {
+    select: "recipeSelect",
+    editor: "recipeEditor",
+    container: "recipeContainer",
+    edit: "editRecipeBtn",
+    save: "saveRecipeBtn",
+    delete: "deleteRecipeBtn",
+  },
+  fields: {
+    name: "recipeName",
+    pathPattern: "recipePathPattern",
+    sequences: "recipeSequences",
+  },
+  emptyText: (recipes) =>
+    recipes.length
+      ? `${recipes.length} recipe(s) active - new recipe`
+      : "No recipes - new recipe",
+  describe: (recipe) =>
+    `${recipe.name} (${recipe.pathPattern}, ${recipe.sequences.length} shots)`,
+  toFields: (recipe) => ({
+    name: recipe.name,
+    pathPattern: recipe.pathPattern,
+    sequences: JSON.stringify(recipe.sequences, null, 2),
+  }),
+  save: ({ name, pathPattern, sequences: sequencesText }) => {
+    // Same checks as the multi-shot editor, reported by line
+    const problems = validateActionsText(sequencesText);
+    showProblems(problems);
+    if (problems.length > 0) {
+      throw new AppError(
+        `The recipe's actions have ${problems.length} problem(s), listed under the editor.`,
+        "RECIPE_ERROR"
+      );
+    }
+    const sequences = CaptureRecipes.parseSequences(
+      sequencesText,
+      name || undefined
+    );
+    CaptureRecipes.save({ name, pathPattern, sequences });
+    return `Recipe "${name}" saved (${sequences.length} shots per matching page).`;
+  },
+  onFill: () => showProblems([]),
+});
+
+export default recipeEditor;
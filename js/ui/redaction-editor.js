@@ -0,0 +1,41 @@
+// js/ui/redaction-editor.js
+import { createNamedEditor } from "./named-editor.js";
+import RedactionProfiles from "../redaction-profiles.js";
+
+export const redactionEditor = {
+  ...createNamedEditor({
+    store: RedactionProfiles,
+    noun: "redaction profile",
+    ids: {
+      select: "redactionProfileSelect",
+      editor: "redactionEditor",
+      container: "redactionContainer",
+      edit: "editRedactionBtn",
+      save: "saveRedactionBtn",
+      delete: "deleteRedactionBtn",
+    },
+    fields: { name: "redactionProfileName", rules: "redactionRules" },
+    emptyText: () => "None",
+    describe: (profile) => `${profile.name} (${profile.rules.length} rules)`,
+    sortByName: true,
+    toFields: (profile) => ({
+      name: profile.name,
+      rules: RedactionProfiles.formatRules(profile.rules),
+    }),
+    save: ({ name, rules: rulesText }) => {
+      const rules = RedactionProfiles.parseRules(rulesText);
+      RedactionProfiles.save(name, rules);
+      return `Redaction profile "${name}" saved (${rules.length} rules).`;
+    },
+  }),
+
+  /**
+   * The profile chosen in the dropdown
+   * @returns {{name: string, rules: Array<Object>}|null}
+   */
+  getActiveProfile() {
+    return RedactionProfiles.get(this.select?.value);
+  },
+};
+
+export default redactionEditor;
@@ -0,0 +1,107 @@
+// js/ui/schedule-panel.js
+import { utils } from "./utils.js";
+import CaptureScheduler, { ScheduleMode } from "../capture-scheduler.js";
+import * as events from "../events.js";
+
+export const schedulePanel = {
+  indicator: null,
+
+  /**
+   * Attach to the schedule settings and the next run indicator under the title
+   */
+  initialize() {
+    this.indicator = document.getElementById("nextRunIndicator");
+    const modeSelect = document.getElementById("scheduleMode");
+    if (modeSelect && !modeSelect.dataset.listenersAttached) {
+      modeSelect.addEventListener("change", () => this.updateModeInputs());
+      modeSelect.dataset.listenersAttached = "true";
+    }
+    utils.bindClicks([
+      ["scheduleJobBtn", () => this.handleSchedule()],
+      ["resumeScheduleBtn", () => this.handleResume()],
+      ["cancelScheduleBtn", () => this.handleCancel()],
+    ]);
+    this.updateModeInputs();
+    this.render();
+  },
+
+  /**
+   * Show the time input for daily schedules and the hours input for intervals
+   */
+  updateModeInputs() {
+    const isDaily =
+      document.getElementById("scheduleMode")?.value === ScheduleMode.DAILY;
+    const timeInput = document.getElementById("scheduleTime");
+    const hoursGroup = document.getElementById("scheduleHoursGroup");
+    if (timeInput) timeInput.style.display = isDaily ? "" : "none";
+    if (hoursGroup) hoursGroup.style.display = isDaily ? "none" : "";
+  },
+
+  /**
+   * Ask the app to schedule the current capture setup
+   */
+  handleSchedule() {
+    // Desktop notifications alert the kiosk operator when a run has to pause
+    if (window.Notification?.permission === "default") {
+      Notification.requestPermission();
+    }
+    events.emit(events.events.SCHEDULE_REQUESTED, {
+      mode: document.getElementById("scheduleMode")?.value,
+      time: document.getElementById("scheduleTime")?.value,
+      everyHours: Number(document.getElementById("scheduleHours")?.value),
+    });
+  },
+
+  handleResume() {
+    CaptureScheduler.resume();
+    this.render();
+  },
+
+  handleCancel() {
+    if (!confirm("Stop the scheduled captures?")) return;
+    CaptureScheduler.clear();
+    this.render();
+    utils.showStatus("Scheduled captures stopped.", false, 3000);
+  },
+
+  /**
+   * Show the next run, or why the schedule is paused, under the title
+   */
+  render() {
+    if (!this.indicator) return;
+    const schedule = CaptureScheduler.load();
+    this.indicator.style.display = schedule ? "" : "none";
+    if (!schedule) return;
+
+    const text = document.getElementById("nextRunText");
+    const resumeBtn = document.getElementById("resumeScheduleBtn");
+    const repeat =
+      schedule.mode === ScheduleMode.DAILY
+        ? `daily at ${schedule.time}`
+        : `every ${schedule.everyHours} h`;
+    this.indicator.classList.toggle("paused", !!schedule.pausedReason);
+    if (text) {
+      text.textContent = schedule.pausedReason
+        ? `⏸ Scheduled capture of '${schedule.job.project}' (${repeat}) paused: ${schedule.pausedReason}`
+        : `⏰ Next capture of '${schedule.job.project}': ${new Date(
+            schedule.nextRunAt
+          ).toLocaleString()} (${repeat})`;
+    }
+    if (resumeBtn)
+      resumeBtn.style.display = schedule.pausedReason ? "" : "none";
+  },
+
+  /**
+   * Enable or disable the schedule settings
+   * @param {boolean} disabled
+   */
+  setDisabled(disabled) {
+    const container = document.getElementById("scheduleContainer");
+    if (!container) return;
+    container
+      .querySelectorAll("input, select, button")
+      .forEach((el) => (el.disabled = disabled));
+  },
+};
+
+export default schedulePanel;
@@ -3,6 +3,9 @@ import { elements } from "./elements.js";
 import { utils } from "./utils.js";
 import { modals } from "./modals.js";
 import urlFetcher from "../url-fetcher.js"; // Keep this import
+import * as events from "../events.js";
+import { pdfOptionsDialog } from "./pdf-options-dialog.js";
+import { createPdf } from "../export/pdf-exporter.js";
 
 export const thumbnails = {
   /**
@@ -57,7 +60,47 @@ export const thumbnails = {
       this.generateAllCategoriesPDF(allCategories);
     });
 
+    const downloadZipBtn = document.createElement("button");
+    downloadZipBtn.className = "btn download-zip-btn";
+    downloadZipBtn.textContent = "Download All as ZIP";
+    downloadZipBtn.title =
+      "Download every screenshot in a folder per category, with a manifest.json";
+    downloadZipBtn.addEventListener("click", () => {
+      events.emit(events.events.DOWNLOAD_ALL_REQUESTED);
+    });
+
+    const htmlReportBtn = document.createElement("button");
+    htmlReportBtn.className = "btn html-report-btn";
+    htmlReportBtn.textContent = "Download HTML Report";
+    htmlReportBtn.title =
+      "One HTML file with a searchable gallery and the failures, viewable offline";
+    htmlReportBtn.addEventListener("click", () => {
+      events.emit(events.events.HTML_REPORT_REQUESTED);
+    });
+
+    const setBaselineBtn = document.createElement("button");
+    setBaselineBtn.className = "btn set-baseline-btn";
+    setBaselineBtn.textContent = "Set as Baseline";
+    setBaselineBtn.title =
+      "Use the screenshots of this run as the reference for visual diffs in later runs";
+    setBaselineBtn.addEventListener("click", () => {
+      events.emit(events.events.BASELINE_SET_REQUESTED);
+    });
+
+    const retryFailedBtn = document.createElement("button");
+    retryFailedBtn.className = "btn retry-failed-btn";
+    retryFailedBtn.textContent = "Retry All Failed";
+    retryFailedBtn.title = "Capture only the failed pages again";
+    retryFailedBtn.style.display = "none";
+    retryFailedBtn.addEventListener("click", () => {
+      events.emit(events.events.RETRY_FAILED_REQUESTED);
+    });
+
     footerSection.appendChild(combinePdfBtn);
+    footerSection.appendChild(downloadZipBtn);
+    footerSection.appendChild(htmlReportBtn);
+    footerSection.appendChild(setBaselineBtn);
+    footerSection.appendChild(retryFailedBtn);
     container.appendChild(headerSection);
     container.appendChild(contentSection);
     container.appendChild(footerSection);
@@ -100,8 +143,11 @@ export const thumbnails = {
     }
 
     const identifierForCategory = sequenceName || fileName;
-    const { parentCategory, category: subCategoryName } =
+    let { parentCategory, category: subCategoryName } =
       this.parseCategoryFromFileName(identifierForCategory);
+    if (result.viewportName) {
+      parentCategory = `${parentCategory} (${result.viewportName})`;
+    }
 
     const categoryContainer = this.getCategoryContainer(null, parentCategory);
     if (!categoryContainer) return null;
@@ -110,6 +156,10 @@ export const thumbnails = {
 
     const thumbnailContainer = document.createElement("div");
     thumbnailContainer.className = "thumbnail-container";
+    if (result.url || sequenceName)
+      thumbnailContainer.dataset.url = result.url || sequenceName;
+    if (result.captureKey)
+      thumbnailContainer.dataset.captureKey = result.captureKey;
     if (isToolbarAction) thumbnailContainer.classList.add("toolbar-action");
 
     if (result.error) {
@@ -131,8 +181,29 @@ export const thumbnails = {
       const retryBadge = document.createElement("div");
       retryBadge.textContent = "Retry";
       retryBadge.className = "retry-badge";
+      retryBadge.title =
+        result.attempts > 1
+          ? `${result.error ? "Failed" : "Captured"} after ${
+              result.attempts
+            } attempts`
+          : "Captured again with Retry All Failed";
       thumbnailContainer.appendChild(retryBadge);
     }
+
+    const redactedRules = (result.redactions || []).filter(
+      (rule) => rule.regions.length > 0
+    );
+    if (redactedRules.length > 0) {
+      const redactionBadge = document.createElement("div");
+      redactionBadge.textContent = "Redacted";
+      redactionBadge.className = "redaction-badge";
+      redactionBadge.title = `Profile "${
+        result.redactionProfile
+      }":\n${redactedRules
+        .map((rule) => `${rule.mode}: ${rule.selector} (${rule.regions.length})`)
+        .join("\n")}`;
+      thumbnailContainer.appendChild(redactionBadge);
+    }
     // Note: The general error badge logic is above. If you want a specific icon for mount-issue-detected,
     // it would be added here or via CSS pseudo-elements.
 
@@ -155,8 +226,8 @@ export const thumbnails = {
         modals.viewScreenshotFromImage(
           result.screenshot,
           fileName,
-          result.width,
-          result.height,
+          result.pixelWidth || result.width,
+          result.pixelHeight || result.height,
           result.timeTaken,
           result.url || identifierForCategory
         );
@@ -172,6 +243,30 @@ export const thumbnails = {
       thumbnailContainer.appendChild(subCatLabel);
     }
 
+    if (result.sequenceIndex !== undefined && result.sequenceName) {
+      const stepLabel = document.createElement("div");
+      stepLabel.textContent = utils.truncateText(
+        `${result.sequenceIndex + 1}. ${result.sequenceName}`,
+        25
+      );
+      stepLabel.title = result.recipeName
+        ? `Recipe "${result.recipeName}": ${result.sequenceName}`
+        : result.sequenceName;
+      stepLabel.className = "thumbnail-step-name";
+      thumbnailContainer.appendChild(stepLabel);
+    }
+
+    const routeParamsText = Object.entries(result.routeParams || {})
+      .map(([name, value]) => `${name}=${value}`)
+      .join(", ");
+    if (routeParamsText) {
+      const paramsLabel = document.createElement("div");
+      paramsLabel.textContent = utils.truncateText(routeParamsText, 25);
+      paramsLabel.title = `Route parameters: ${routeParamsText}`;
+      paramsLabel.className = "thumbnail-route-params";
+      thumbnailContainer.appendChild(paramsLabel);
+    }
+
     const nameLabel = document.createElement("div");
     nameLabel.textContent = utils.truncateText(fileName, 25);
     nameLabel.title = fileName; // Original filename for full hover
@@ -212,9 +307,30 @@ export const thumbnails = {
       thumbnailContainer.appendChild(downloadBtn);
       thumbnailContainer.dataset.filename = fileName;
       thumbnailContainer.dataset.screenshot = result.screenshot;
+      thumbnailContainer.dataset.scale = String(result.scale || 1);
+      if (result.capturedAt)
+        thumbnailContainer.dataset.capturedAt = result.capturedAt;
+      if (result.quality)
+        thumbnailContainer.dataset.quality = String(result.quality);
     }
 
-    categoryContent.appendChild(thumbnailContainer);
+    if (result.sequenceGroup) {
+      // Shots of one multi-shot capture stay together, in sequence order
+      thumbnailContainer.dataset.sequenceIndex = String(result.sequenceIndex);
+      const groupContent = this.getSequenceGroupContent(
+        categoryContent,
+        result.sequenceGroup,
+        `${result.url || identifierForCategory}${
+          result.viewportName ? ` (${result.viewportName})` : ""
+        }`
+      );
+      const nextShot = Array.from(groupContent.children).find(
+        (shot) => Number(shot.dataset.sequenceIndex) > result.sequenceIndex
+      );
+      groupContent.insertBefore(thumbnailContainer, nextShot || null);
+    } else {
+      categoryContent.appendChild(thumbnailContainer);
+    }
 
     const countElement = categoryContainer.querySelector(".thumbnail-count");
     if (countElement) {
@@ -248,6 +364,171 @@ export const thumbnails = {
     return thumbnailContainer;
   },
 
+  /**
+   * Remove the thumbnails of a capture, e.g. its error thumbnail before it is captured again
+   * @param {string} key - Capture key (page URL and viewport) the thumbnails were created for
+   * @param {boolean} [errorsOnly=true] - Only remove error thumbnails
+   * @returns {number} - Number of thumbnails removed
+   */
+  removeThumbnailsForKey(key, errorsOnly = true) {
+    const contentSection =
+      elements.thumbnailsContent ||
+      document.getElementById("thumbnailsContent");
+    if (!contentSection) return 0;
+
+    let removed = 0;
+    contentSection
+      .querySelectorAll(".thumbnail-container")
+      .forEach((thumbnailContainer) => {
+        const thumbnailKey =
+          thumbnailContainer.dataset.captureKey ||
+          thumbnailContainer.dataset.url;
+        if (thumbnailKey !== key) return;
+        if (
+          errorsOnly &&
+          !thumbnailContainer.classList.contains("error-thumbnail")
+        )
+          return;
+        const categoryContainer = thumbnailContainer.closest(
+          ".thumbnail-category"
+        );
+        const sequenceGroup = thumbnailContainer.closest(
+          ".thumbnail-sequence-group"
+        );
+        thumbnailContainer.remove();
+        removed++;
+        if (
+          sequenceGroup &&
+          !sequenceGroup.querySelector(".thumbnail-container")
+        )
+          sequenceGroup.remove();
+
+        if (!categoryContainer) return;
+        const remaining = categoryContainer.querySelectorAll(
+          ".category-content .thumbnail-container"
+        ).length;
+        if (remaining === 0) {
+          categoryContainer.remove();
+        } else {
+          const countElement =
+            categoryContainer.querySelector(".thumbnail-count");
+          if (countElement) countElement.textContent = `(${remaining})`;
+        }
+      });
+    return removed;
+  },
+
+  /**
+   * Show or hide the "Retry All Failed" footer button
+   * @param {number} failedCount - Number of failed pages
+   * @param {boolean} [disabled=false] - Whether the button should be disabled (e.g. while capturing)
+   */
+  updateRetryFailedButton(failedCount, disabled = false) {
+    const retryFailedBtn = document.querySelector(".retry-failed-btn");
+    if (!retryFailedBtn) return;
+    retryFailedBtn.style.display = failedCount > 0 ? "" : "none";
+    retryFailedBtn.textContent = `Retry All Failed (${failedCount})`;
+    retryFailedBtn.disabled = disabled;
+    const footer = retryFailedBtn.closest(".combine-all-pdf-container");
+    if (footer && failedCount > 0) footer.style.display = "flex";
+  },
+
+  /**
+   * Show a baseline comparison result next to an existing live thumbnail
+   * @param {HTMLElement} thumbnailContainer - Container returned by addLiveThumbnail
+   * @param {Object} diff - Result of compareScreenshots
+   * @param {string} fileName - Filename of the compared screenshot
+   */
+  addDiffResult(thumbnailContainer, diff, fileName) {
+    if (!thumbnailContainer || !diff) return;
+
+    thumbnailContainer.classList.add(diff.passed ? "diff-passed" : "diff-failed");
+
+    const diffBadge = document.createElement("div");
+    diffBadge.className = `diff-badge ${diff.passed ? "passed" : "failed"}`;
+    diffBadge.textContent = `${diff.passed ? "Pass" : "Fail"} ${
+      diff.changedPercent
+    }%`;
+    diffBadge.title = `${diff.changedPixels} of ${
+      diff.totalPixels
+    } pixels changed (threshold ${diff.failThreshold}%)${
+      diff.sizeMismatch ? " - image size differs from baseline" : ""
+    }`;
+    thumbnailContainer.appendChild(diffBadge);
+
+    const diffImg = document.createElement("img");
+    diffImg.src = diff.diffImage;
+    diffImg.className = "thumbnail-image diff-image";
+    diffImg.title = "Click to view the highlighted differences";
+    diffImg.addEventListener("click", (e) => {
+      e.stopPropagation();
+      modals.viewScreenshotFromImage(
+        diff.diffImage,
+        `Diff - ${fileName}`,
+        diff.width,
+        diff.height,
+        "-",
+        thumbnailContainer.dataset.url || ""
+      );
+    });
+
+    const mainImg = thumbnailContainer.querySelector(".thumbnail-image");
+    if (mainImg) {
+      mainImg.insertAdjacentElement("afterend", diffImg);
+    } else {
+      thumbnailContainer.appendChild(diffImg);
+    }
+  },
+
+  /**
+   * Name of the category each thumbnail is shown in
+   * @returns {Map<string, string>} - Category name keyed by capture key (or URL for older thumbnails)
+   */
+  getCategoryMap() {
+    const categories = new Map();
+    document.querySelectorAll(".thumbnail-category").forEach((category) => {
+      const title = category.querySelector(".category-header h4");
+      const name = title ? title.textContent : "Other";
+      category
+        .querySelectorAll(".category-content .thumbnail-container")
+        .forEach((thumbnailContainer) => {
+          const key =
+            thumbnailContainer.dataset.captureKey ||
+            thumbnailContainer.dataset.url;
+          if (key && !categories.has(key)) categories.set(key, name);
+        });
+    });
+    return categories;
+  },
+
+  /**
+   * Get (or create) the box grouping the shots of one multi-shot capture
+   * @param {HTMLElement} categoryContent - .category-content of the page's category
+   * @param {string} groupKey - Capture key of the page and screen size
+   * @param {string} label - Header text (page URL and screen size)
+   * @returns {HTMLElement} - The element the shots are inserted into
+   */
+  getSequenceGroupContent(categoryContent, groupKey, label) {
+    let group = Array.from(
+      categoryContent.querySelectorAll(".thumbnail-sequence-group")
+    ).find((element) => element.dataset.groupKey === groupKey);
+    if (!group) {
+      group = document.createElement("div");
+      group.className = "thumbnail-sequence-group";
+      group.dataset.groupKey = groupKey;
+      const header = document.createElement("div");
+      header.className = "sequence-group-header";
+      header.textContent = label;
+      header.title = label;
+      const content = document.createElement("div");
+      content.className = "sequence-group-content";
+      group.appendChild(header);
+      group.appendChild(content);
+      categoryContent.appendChild(group);
+    }
+    return group.querySelector(".sequence-group-content");
+  },
+
   getCategoryContainer(_subCategoryName, parentCategoryName) {
     let liveThumbnailsContainer =
       elements.liveThumbnails || document.getElementById("liveThumbnails");
@@ -418,422 +699,99 @@ export const thumbnails = {
     }
   },
 
-  optimizeImageForPDF(dataURL) {
-    return new Promise((resolve, reject) => {
-      try {
-        const img = new Image();
-        img.onload = () => {
-          try {
-            const dims = this.getValidImageDimensions(img);
-            if (!dims || dims.width <= 0 || dims.height <= 0) {
-              resolve(dataURL);
-              return;
-            }
-            let targetWidth = dims.width,
-              targetHeight = dims.height;
-            const MAX_DIMENSION = 1800;
-            if (targetWidth > MAX_DIMENSION || targetHeight > MAX_DIMENSION) {
-              if (targetWidth > targetHeight) {
-                const ratio = targetHeight / targetWidth;
-                targetWidth = MAX_DIMENSION;
-                targetHeight = Math.round(MAX_DIMENSION * ratio);
-              } else {
-                const ratio = targetWidth / targetHeight;
-                targetHeight = MAX_DIMENSION;
-                targetWidth = Math.round(MAX_DIMENSION * ratio);
-              }
-            }
-            targetWidth = Math.max(1, Math.round(targetWidth));
-            targetHeight = Math.max(1, Math.round(targetHeight));
-            const canvas = document.createElement("canvas");
-            canvas.width = targetWidth;
-            canvas.height = targetHeight;
-            const ctx = canvas.getContext("2d");
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = "high";
-            ctx.fillStyle = "#FFFFFF";
-            ctx.fillRect(0, 0, targetWidth, targetHeight);
-            ctx.drawImage(img, 0, 0, targetWidth, targetHeight);
-            let optimizedData;
-            const quality = targetWidth > 1000 ? 0.85 : 0.92;
-            if (
-              targetWidth * targetHeight < 300000 &&
-              !dataURL.startsWith("data:image/jpeg")
-            ) {
-              optimizedData = canvas.toDataURL("image/png");
-            } else {
-              optimizedData = canvas.toDataURL("image/jpeg", quality);
-            }
-            canvas.width = 1;
-            canvas.height = 1;
-            resolve(optimizedData);
-          } catch (err) {
-            resolve(dataURL);
-          }
-        };
-        img.onerror = () => {
-          resolve(dataURL);
-        };
-        img.src = dataURL;
-      } catch (err) {
-        resolve(dataURL);
-      }
-    });
-  },
-
-  getValidImageDimensions(img) {
-    let width = img.width || img.naturalWidth || 0;
-    let height = img.height || img.naturalHeight || 0;
-    if (
-      !width ||
-      !height ||
-      isNaN(width) ||
-      isNaN(height) ||
-      width <= 0 ||
-      height <= 0
-    ) {
-      width = 100;
-      height = 100;
-    }
-    return {
-      width: Math.max(1, Math.round(width)),
-      height: Math.max(1, Math.round(height)),
-    };
-  },
-
-  generatePDF(categoryContainer) {
+  /**
+   * Screenshots of a category container, as items for the PDF exporter
+   * @param {HTMLElement} categoryContainer - Thumbnail category element
+   * @returns {{title: string, items: Array<Object>}}
+   */
+  getPdfSection(categoryContainer) {
     const categoryTitleElement = categoryContainer.querySelector(
       ".category-header h4"
     );
-    const categoryTitle = categoryTitleElement
-      ? categoryTitleElement.textContent
-      : "Screenshots";
-    const validThumbnails = Array.from(
+    const items = Array.from(
       categoryContainer.querySelectorAll(
         ".category-content .thumbnail-container"
       )
-    ).filter(
-      (c) => !c.classList.contains("error-thumbnail") && c.dataset.screenshot
-    );
-    if (validThumbnails.length === 0) {
-      utils.showStatus("No valid screenshots in category", true);
-      return;
-    }
-    utils.showStatus(`Generating PDF for ${categoryTitle}...`, false, 0);
-    const pdf = new jspdf.jsPDF({
-      orientation: "landscape",
-      unit: "mm",
-      format: "a4",
-      compress: true,
-      precision: 4,
-      putOnlyUsedFonts: true,
-    });
-    pdf.setFontSize(18);
-    pdf.text(categoryTitle, 20, 20);
-    pdf.setFontSize(10);
-    pdf.text(`Generated on ${new Date().toLocaleString()}`, 20, 28);
-    pdf.setLineWidth(0.2);
-    pdf.line(20, 32, pdf.internal.pageSize.width - 20, 32);
-    const leftMargin = 15,
-      rightMargin = 15,
-      topMargin = 40,
-      bottomMargin = 20;
-    const pageWidth = pdf.internal.pageSize.width - leftMargin - rightMargin;
-    const pageHeight = pdf.internal.pageSize.height - topMargin - bottomMargin;
-    let currentIndex = 0,
-      pageCount = 1;
-    const self = this;
-    function processNextScreenshot() {
-      if (currentIndex >= validThumbnails.length) {
-        try {
-          const sanitizedTitle = categoryTitle.replace(/[^a-zA-Z0-9]/g, "_");
-          pdf.save(
-            `${sanitizedTitle}_${new Date().toISOString().slice(0, 10)}.pdf`
-          );
-          utils.showStatus(
-            `PDF for ${categoryTitle} generated (${pageCount} pages)`,
-            false,
-            5000
-          );
-        } catch (e) {
-          utils.showStatus("Error saving PDF", true);
-        } finally {
-          utils.showStatus("", false, 1);
-        }
-        return;
-      }
-      const container = validThumbnails[currentIndex];
-      const screenshotData = container.dataset.screenshot;
-      const filename = container.dataset.filename || `Page ${currentIndex + 1}`;
-      if (!screenshotData) {
-        currentIndex++;
-        processNextScreenshot();
-        return;
-      }
-      if (currentIndex > 0) {
-        pdf.addPage();
-        pageCount++;
-      }
-      self
-        .optimizeImageForPDF(screenshotData)
-        .then((optimizedData) => {
-          const img = new Image();
-          img.onload = () => {
-            try {
-              const imgDimensions = self.getValidImageDimensions(img);
-              let imgWidthOnPage, imgHeightOnPage;
-              const imgRatio = imgDimensions.width / imgDimensions.height;
-              const pageRatio = pageWidth / pageHeight;
-              if (imgRatio > pageRatio) {
-                imgWidthOnPage = pageWidth;
-                imgHeightOnPage = pageWidth / imgRatio;
-              } else {
-                imgHeightOnPage = pageHeight;
-                imgWidthOnPage = pageHeight * imgRatio;
-              }
-              imgWidthOnPage = Math.max(1, Math.round(imgWidthOnPage));
-              imgHeightOnPage = Math.max(1, Math.round(imgHeightOnPage));
-              if (
-                isNaN(imgWidthOnPage) ||
-                isNaN(imgHeightOnPage) ||
-                imgWidthOnPage <= 0 ||
-                imgHeightOnPage <= 0
-              )
-                throw new Error("Invalid PDF image dims");
-              const xPos = leftMargin;
-              const yPos = topMargin;
-              pdf.addImage(
-                optimizedData,
-                optimizedData.includes("data:image/png") ? "PNG" : "JPEG",
-                xPos,
-                yPos,
-                imgWidthOnPage,
-                imgHeightOnPage,
-                null,
-                "FAST"
-              );
-              pdf.setFontSize(8);
-              const captionY = yPos + imgHeightOnPage + 5;
-              const truncatedFilename =
-                filename.length > 120
-                  ? filename.substring(0, 117) + "..."
-                  : filename;
-              if (captionY < pdf.internal.pageSize.height - bottomMargin + 2)
-                pdf.text(truncatedFilename, leftMargin, captionY, {
-                  maxWidth: pageWidth,
-                });
-              currentIndex++;
-              setTimeout(processNextScreenshot, 10);
-            } catch (error) {
-              currentIndex++;
-              processNextScreenshot();
-            }
-          };
-          img.onerror = () => {
-            currentIndex++;
-            processNextScreenshot();
-          };
-          img.src = optimizedData;
-        })
-        .catch((error) => {
-          currentIndex++;
-          processNextScreenshot();
-        });
-    }
-    processNextScreenshot();
+    )
+      .filter(
+        (c) => !c.classList.contains("error-thumbnail") && c.dataset.screenshot
+      )
+      .map((c, index) => ({
+        image: c.dataset.screenshot,
+        fileName: c.dataset.filename || `Page ${index + 1}`,
+        title: urlFetcher.getPageInfoForUrl(c.dataset.url)?.title || "",
+        url: c.dataset.url || "",
+        capturedAt: c.dataset.capturedAt || null,
+        scale: Number(c.dataset.scale) || 1,
+        quality: Number(c.dataset.quality) || 0.92,
+      }));
+    return {
+      title: categoryTitleElement
+        ? categoryTitleElement.textContent
+        : "Screenshots",
+      items,
+    };
   },
 
-  generateAllCategoriesPDF(categoryContainers) {
-    utils.showStatus("Generating comprehensive PDF...", false, 0);
+  /**
+   * Ask for the export options, then build and save a PDF of some categories
+   * @param {Array<{title: string, items: Array<Object>}>} sections - From getPdfSection
+   * @param {string} title - Document title, also used for the file name
+   */
+  async exportPDF(sections, title) {
+    const options = await pdfOptionsDialog.open(title);
+    if (!options) return;
+    utils.showStatus(`Generating PDF for ${title}...`, false, 0);
     try {
-      if (typeof jspdf === "undefined" || typeof jspdf.jsPDF === "undefined")
-        throw new Error("jsPDF library not found.");
-      const pdf = new jspdf.jsPDF({
-        orientation: "landscape",
-        unit: "mm",
-        format: "a4",
-        compress: true,
-        precision: 4,
-        putOnlyUsedFonts: true,
-      });
-      const projectUrl =
-        urlFetcher.baseClientUrl || "Project URL not available";
-      const generatedDateString = `Generated on ${new Date().toLocaleString()}`;
-      const leftMargin = 15,
-        rightMargin = 15;
-      const pageContentWidth =
-        pdf.internal.pageSize.width - leftMargin - rightMargin;
-      let currentY = 15;
-      pdf.setFontSize(12);
-      pdf.text("Ignition Perspective Screenshot Capture", leftMargin, currentY);
-      currentY += 5;
-      pdf.setFontSize(8);
-      pdf.setTextColor(100);
-      pdf.text(`Project URL: ${projectUrl}`, leftMargin, currentY);
-      pdf.setFontSize(7);
-      pdf.setTextColor(150);
-      const generatedWidth = pdf.getTextWidth(generatedDateString);
-      const generatedX =
-        pdf.internal.pageSize.width - rightMargin - generatedWidth;
-      pdf.text(generatedDateString, generatedX, currentY);
-      pdf.setTextColor(0);
-      currentY += 6;
-      pdf.setLineWidth(0.2);
-      pdf.line(
-        leftMargin,
-        currentY,
-        pdf.internal.pageSize.width - rightMargin,
-        currentY
-      );
-      currentY += 5;
-      const topMargin = currentY;
-      const bottomMargin = 20;
-      const pageWidth = pageContentWidth;
-      const pageHeight =
-        pdf.internal.pageSize.height - topMargin - bottomMargin;
-      let pageCount = 1,
-        totalScreenshotsProcessed = 0;
-      let hasAnyScreenshots = false;
-      const self = this;
-      const processCategory = async (categoryIndex) => {
-        if (categoryIndex >= categoryContainers.length) {
-          if (hasAnyScreenshots) finalizeAndSaveAll();
-          else {
-            utils.showStatus(
-              "No valid screenshots found to generate PDF.",
-              true
-            );
-            utils.showStatus("", false, 1);
-          }
-          return;
-        }
-        const categoryContainer = categoryContainers[categoryIndex];
-        const categoryTitleElement = categoryContainer.querySelector(
-          ".category-header h4"
-        );
-        const categoryTitle = categoryTitleElement
-          ? categoryTitleElement.textContent
-          : `Category ${categoryIndex + 1}`;
-        const validThumbnails = Array.from(
-          categoryContainer.querySelectorAll(
-            ".category-content .thumbnail-container"
-          )
-        ).filter(
-          (c) =>
-            !c.classList.contains("error-thumbnail") && c.dataset.screenshot
-        );
-
-        if (validThumbnails.length === 0) {
-          await processCategory(categoryIndex + 1);
-          return;
-        }
-        for (let i = 0; i < validThumbnails.length; i++) {
-          const container = validThumbnails[i];
-          const screenshotData = container.dataset.screenshot;
-          const filename = container.dataset.filename || `Page ${i + 1}`;
-          if (!screenshotData) continue;
-          if (totalScreenshotsProcessed > 0) {
-            pdf.addPage();
-            pageCount++;
-          }
-          hasAnyScreenshots = true;
-
-          try {
-            const optimizedData = await self.optimizeImageForPDF(
-              screenshotData
-            );
-            const img = await new Promise((resolve, reject) => {
-              const image = new Image();
-              image.onload = () => resolve(image);
-              image.onerror = (err) =>
-                reject(new Error("Image loading failed"));
-              image.src = optimizedData;
-            });
-            const imgDimensions = self.getValidImageDimensions(img);
-            let imgWidthOnPage, imgHeightOnPage;
-            const imgRatio = imgDimensions.width / imgDimensions.height;
-            const pageRatio = pageWidth / pageHeight;
-            if (imgRatio > pageRatio) {
-              imgWidthOnPage = pageWidth;
-              imgHeightOnPage = pageWidth / imgRatio;
-            } else {
-              imgHeightOnPage = pageHeight;
-              imgWidthOnPage = pageHeight * imgRatio;
-            }
-            imgWidthOnPage = Math.max(1, Math.round(imgWidthOnPage));
-            imgHeightOnPage = Math.max(1, Math.round(imgHeightOnPage));
-            if (
-              isNaN(imgWidthOnPage) ||
-              isNaN(imgHeightOnPage) ||
-              imgWidthOnPage <= 0 ||
-              imgHeightOnPage <= 0
-            )
-              continue;
-            const xPos = leftMargin;
-            const yPos = topMargin;
-            pdf.addImage(
-              optimizedData,
-              optimizedData.includes("data:image/png") ? "PNG" : "JPEG",
-              xPos,
-              yPos,
-              imgWidthOnPage,
-              imgHeightOnPage,
-              null,
-              "FAST"
-            );
-            pdf.setFontSize(7);
-            const captionY = yPos + imgHeightOnPage + 4;
-            const truncatedFilename =
-              filename.length > 120
-                ? filename.substring(0, 117) + "..."
-                : filename;
-            if (captionY < pdf.internal.pageSize.height - bottomMargin + 2)
-              pdf.text(truncatedFilename, leftMargin, captionY, {
-                maxWidth: pageWidth,
-              });
-            totalScreenshotsProcessed++;
-            utils.showStatus(
-              `Generating PDF: Processed ${totalScreenshotsProcessed} screenshots...`,
-              false,
-              0
-            );
-          } catch (error) {
-            pdf.setFontSize(8);
-            pdf.setTextColor(255, 0, 0);
-            pdf.text(
-              `Error loading image: ${filename}`,
-              leftMargin,
-              topMargin + 5
-            );
-            pdf.setTextColor(0);
-          }
-          await new Promise((res) => setTimeout(res, 5));
-        }
-        await processCategory(categoryIndex + 1);
-      };
-      const finalizeAndSaveAll = () => {
-        try {
-          pdf.save(
-            `All_Screenshots_${new Date().toISOString().slice(0, 10)}.pdf`
-          );
+      const { pdf, pageCount, failedCount } = await createPdf({
+        sections,
+        options,
+        info: {
+          title,
+          projectUrl: urlFetcher.baseClientUrl || "",
+        },
+        onProgress: (processed, total) =>
           utils.showStatus(
-            `Combined PDF generated with ${pageCount} pages`,
+            `Generating PDF: Processed ${processed} of ${total} screenshots...`,
             false,
-            5000
-          );
-        } catch (e) {
-          utils.showStatus("Error saving combined PDF", true);
-        } finally {
-          utils.showStatus("", false, 1);
-        }
-      };
-      processCategory(0);
-    } catch (error) {
+            0
+          ),
+      });
+      const sanitizedTitle = title.replace(/[^a-zA-Z0-9]/g, "_");
+      pdf.save(
+        `${sanitizedTitle}_${new Date().toISOString().slice(0, 10)}.pdf`
+      );
       utils.showStatus(
-        "Error generating comprehensive PDF: " + error.message,
-        true
+        `PDF for ${title} generated (${pageCount} pages${
+          failedCount ? `, ${failedCount} images could not be added` : ""
+        })`,
+        !!failedCount,
+        5000
       );
+    } catch (error) {
+      console.error("Error generating PDF:", error);
+      utils.showStatus(`Error generating PDF: ${error.message}`, true);
+    }
+  },
+
+  generatePDF(categoryContainer) {
+    const section = this.getPdfSection(categoryContainer);
+    if (section.items.length === 0) {
+      utils.showStatus("No valid screenshots in category", true);
+      return;
+    }
+    return this.exportPDF([section], section.title);
+  },
+
+  generateAllCategoriesPDF(categoryContainers) {
+    const sections = Array.from(categoryContainers, (container) =>
+      this.getPdfSection(container)
+    ).filter((section) => section.items.length > 0);
+    if (sections.length === 0) {
+      utils.showStatus("No valid screenshots found to generate PDF.", true);
+      return;
     }
+    return this.exportPDF(sections, "Ignition Perspective Screenshot Capture");
   },
 };
 
@@ -561,6 +561,24 @@ export const urlSelector = {
     this.updateCaptureButtonState();
   },
 
+  // Replace the selection with the given page paths; returns the paths not in the list
+  selectPaths(paths) {
+    if (!this.categoriesContainer) return [...paths];
+    const wanted = new Set(paths);
+    this.selectedUrls.clear();
+    this.categoriesContainer
+      .querySelectorAll(".url-checkbox")
+      .forEach((checkbox) => {
+        const path = checkbox.dataset.path;
+        checkbox.checked = wanted.has(path);
+        if (checkbox.checked) this.selectedUrls.add(path);
+      });
+    this.updateCategoryCheckboxes();
+    this.updateSelectionCounter();
+    this.updateCaptureButtonState();
+    return paths.filter((path) => !this.selectedUrls.has(path));
+  },
+
   handleToggleSelection() {
     if (!this.toggleSelectionBtn || !this.categoriesContainer) return;
     const totalVisibleUrls = this.categoriesContainer.querySelectorAll(
@@ -79,6 +79,52 @@ export const utils = {
     return button;
   },
 
+  /**
+   * Attach click handlers to buttons by id, once per button
+   * @param {Array<[string, Function]>} bindings - Button id and click handler pairs
+   */
+  bindClicks(bindings) {
+    bindings.forEach(([id, handler]) => {
+      const btn = document.getElementById(id);
+      if (btn && !btn.dataset.listenersAttached) {
+        btn.addEventListener("click", handler);
+        btn.dataset.listenersAttached = "true";
+      }
+    });
+  },
+
+  /**
+   * List action validation problems; clicking one selects its line in the editor
+   * @param {HTMLElement} list - List element to fill
+   * @param {HTMLTextAreaElement} field - Editor the problems were found in
+   * @param {Array<{line: number|null, field: string|null, message: string}>} problems - From validateActionsText
+   */
+  renderActionProblems(list, field, problems) {
+    list.innerHTML = "";
+    problems.forEach((problem) => {
+      const item = document.createElement("li");
+      item.textContent = `${problem.line ? `Line ${problem.line}` : "Actions"}${
+        problem.field ? ` (${problem.field})` : ""
+      }: ${problem.message}`;
+      if (problem.line) {
+        item.className = "actions-validation-link";
+        item.title = "Go to this line";
+        item.addEventListener("click", () => {
+          const lines = field.value.split("\n");
+          const start = lines
+            .slice(0, problem.line - 1)
+            .reduce((offset, line) => offset + line.length + 1, 0);
+          field.focus();
+          field.setSelectionRange(
+            start,
+            start + (lines[problem.line - 1] || "").length
+          );
+        });
+      }
+      list.appendChild(item);
+    });
+  },
+
   /**
    * Truncate text with ellipsis if it's too long
    * @param {string} text - Text to truncate
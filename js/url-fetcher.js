@@ -17,6 +17,7 @@ class URLFetcher {
     this.projectListEndpoint = ""; // Endpoint for fetching project names
     this.pageListEndpoint = ""; // The final constructed API endpoint for fetching pages of a project
     this.dataLoadedDirectly = false; // This flag will be used by the new mode too
+    this.globalRouteParams = {}; // Values for route parameters (e.g. /:id) of pages without their own
 
     this._determineApiEndpoints();
   }
@@ -173,6 +174,9 @@ class URLFetcher {
         path,
         title: details.title || path, // Ensure title defaults to path if not provided
         viewPath: details.viewPath,
+        captureSelector: details.captureSelector, // Optional element to crop the capture to
+        capturePadding: details.capturePadding,
+        routeParams: details.routeParams, // Optional values per route parameter, e.g. { id: [101, 102] }
       }));
 
       // ** ADD THIS LINE TO SORT THE URLS BY PATH ALPHABETICALLY **
@@ -415,16 +419,161 @@ class URLFetcher {
     ) {
       return [];
     }
-    return selectedPaths.map((path) => {
-      const processedPath = path.replace(/\/:[^\/]+/g, "/PARAM");
-      if (path === "/" || path === "") {
-        return this.baseClientUrl;
+    return selectedPaths
+      .flatMap((path) => this.expandRouteParams(path))
+      .map(({ path }) => this._toFullUrl(path));
+  }
+
+  /**
+   * Build the full client URL of a page path. Route parameters left in the path
+   * are replaced by the PARAM placeholder.
+   * @param {string} path - Page path
+   * @returns {string}
+   */
+  _toFullUrl(path) {
+    const processedPath = path.replace(/\/:[^\/]+/g, "/PARAM");
+    if (path === "/" || path === "") {
+      return this.baseClientUrl;
+    }
+    const pathSegment = processedPath.startsWith("/")
+      ? processedPath.substring(1)
+      : processedPath;
+    return `${this.baseClientUrl}/${pathSegment}`;
+  }
+
+  /**
+   * Names of the route parameters of a page path
+   * @param {string} path - Page path, e.g. "/machine/:id"
+   * @returns {Array<string>} - e.g. ["id"]
+   */
+  getRouteParamNames(path) {
+    return (path.match(/\/:[^\/]+/g) || []).map((segment) => segment.slice(2));
+  }
+
+  /**
+   * Set the route parameter values used for pages that do not define their own
+   * @param {Object<string, Array<string>>} values - Values keyed by parameter name
+   */
+  setGlobalRouteParams(values) {
+    this.globalRouteParams = values || {};
+  }
+
+  /**
+   * Parse route parameter values written one parameter per line as "name = value1, value2"
+   * @param {string} text - Values text
+   * @returns {Object<string, Array<string>>} - Values keyed by parameter name
+   * @throws {URLProcessingError} - If a line has no "="
+   */
+  parseRouteParams(text) {
+    const values = {};
+    (text || "").split("\n").forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+      const separator = trimmed.indexOf("=");
+      if (separator === -1) {
+        throw new URLProcessingError(
+          `Route parameters line ${index + 1}: expected "name = value1, value2".`,
+          trimmed
+        );
       }
-      const pathSegment = processedPath.startsWith("/")
-        ? processedPath.substring(1)
-        : processedPath;
-      return `${this.baseClientUrl}/${pathSegment}`;
+      const name = trimmed.slice(0, separator).trim().replace(/^:/, "");
+      const list = this._normalizeParamValues(trimmed.slice(separator + 1));
+      if (name && list.length > 0) values[name] = list;
+    });
+    return values;
+  }
+
+  /**
+   * Turn a value list from the page JSON or the settings into an array of strings
+   * @param {Array|string|number|undefined} values - Array or comma-separated string
+   * @returns {Array<string>}
+   */
+  _normalizeParamValues(values) {
+    if (values === undefined || values === null) return [];
+    const list = Array.isArray(values) ? values : String(values).split(",");
+    return list.map((value) => String(value).trim()).filter(Boolean);
+  }
+
+  /**
+   * Expand a page path into one concrete path per combination of route parameter
+   * values. Values from the page's own routeParams take precedence over the global
+   * ones; parameters without values keep the PARAM placeholder.
+   * @param {string} path - Page path, e.g. "/machine/:id"
+   * @returns {Array<{path: string, params: Object<string, string>}>}
+   */
+  expandRouteParams(path) {
+    const names = this.getRouteParamNames(path);
+    if (names.length === 0) return [{ path, params: {} }];
+
+    const pageParams =
+      this.urlsList.find((urlInfo) => urlInfo.path === path)?.routeParams || {};
+    let combinations = [{}];
+    names.forEach((name) => {
+      const pageValues = this._normalizeParamValues(pageParams[name]);
+      const values =
+        pageValues.length > 0 ? pageValues : this.globalRouteParams[name] || [];
+      if (values.length === 0) return;
+      combinations = combinations.flatMap((combination) =>
+        values.map((value) => ({ ...combination, [name]: value }))
+      );
     });
+
+    return combinations.map((params) => ({
+      path: path.replace(/\/:([^\/]+)/g, (segment, name) =>
+        params[name] !== undefined
+          ? `/${encodeURIComponent(params[name])}`
+          : segment
+      ),
+      params,
+    }));
+  }
+
+  /**
+   * Find the page entry a full capture URL was generated from, along with the
+   * route parameter values it was expanded with
+   * @param {string} fullUrl - URL as returned by generateFullUrls
+   * @returns {{pageInfo: Object, params: Object<string, string>}|null}
+   */
+  matchPageUrl(fullUrl) {
+    const exact = this.urlsList.find(
+      (urlInfo) => this._toFullUrl(urlInfo.path) === fullUrl
+    );
+    if (exact) return { pageInfo: exact, params: {} };
+
+    for (const urlInfo of this.urlsList) {
+      const names = this.getRouteParamNames(urlInfo.path);
+      if (names.length === 0) continue;
+      const pattern = this._toFullUrl(urlInfo.path)
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\/PARAM(?=\/|$)/g, "/([^/]+)");
+      const match = fullUrl.match(new RegExp(`^${pattern}$`));
+      if (!match) continue;
+      const params = {};
+      names.forEach((name, i) => {
+        if (match[i + 1] !== "PARAM")
+          params[name] = decodeURIComponent(match[i + 1]);
+      });
+      return { pageInfo: urlInfo, params };
+    }
+    return null;
+  }
+
+  /**
+   * Find the page entry a full capture URL was generated from
+   * @param {string} fullUrl - URL as returned by generateFullUrls
+   * @returns {Object|null} - Entry of urlsList, or null if none matches
+   */
+  getPageInfoForUrl(fullUrl) {
+    return this.matchPageUrl(fullUrl)?.pageInfo || null;
+  }
+
+  /**
+   * Route parameter values a full capture URL was expanded with
+   * @param {string} fullUrl - URL as returned by generateFullUrls
+   * @returns {Object<string, string>} - Values keyed by parameter name (empty if none)
+   */
+  getRouteParamsForUrl(fullUrl) {
+    return this.matchPageUrl(fullUrl)?.params || {};
   }
 
   extractProjectNameFromBaseUrl() {
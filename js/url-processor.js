@@ -61,19 +61,106 @@ class URLProcessor {
   
   /**
    * Generate filename using a fixed pattern.
-   * The filename format is always: <urlSegment>_<timestamp>.png
+   * The filename format is always: <urlSegment>_<timestamp>.<extension>
    *
    * @param {string} url - URL of the page
    * @param {number} index - Index in the URL list (not used in filename here)
    * @param {string} regexPattern - Optional regex pattern for URL extraction
+   * @param {string} [extension='png'] - File extension of the image format
    * @returns {string} - Generated filename
    */
-  generateFilename(url, index, regexPattern) {
+  generateFilename(url, index, regexPattern, extension = 'png') {
     const timestamp = this.getTimestamp();
     const urlSegment = this.applyRegexToUrl(url, regexPattern);
-    return `${this.sanitizeFilename(urlSegment)}_${timestamp}.png`;
+    return `${this.sanitizeFilename(urlSegment)}_${timestamp}.${extension}`;
   }
   
+  /**
+   * Build a file name from a naming template.
+   *
+   * Tokens: {project}, {path}, {category}, {title}, {preset}, {width}, {height},
+   * {mode} (FullPage/Viewport), {status} (OK/MountIssue/Error), {url} (last two URL segments),
+   * {params} (route parameter values, e.g. id-101), {step} (recipe sequence name),
+   * {custom}, {date} or {date:FORMAT} (YYYY, MM, DD, HH, mm, ss) and {index} or {index:000}
+   * (1-based, zero-padded to the number of digits given). Unknown tokens are kept as written.
+   *
+   * @param {string} template - Naming template, e.g. "{category}_{title}_{date:YYYYMMDD}"
+   * @param {Object} context - Token values (project, path, category, title, preset, width,
+   *   height, mode, status, url, params, step, custom, date, index)
+   * @param {string} [extension='png'] - File extension of the image format
+   * @returns {string} - Sanitized file name with extension
+   */
+  applyNamingTemplate(template, context, extension = 'png') {
+    const pattern = (template || config.ui.defaultNamingPattern).trim();
+    const fileName = pattern.replace(/\{(\w+)(?::([^}]*))?\}/g, (token, tokenName, format) => {
+      switch (tokenName) {
+        case 'date':
+          return this.formatDate(context.date || new Date(), format || 'YYYYMMDD_HHmmss');
+        case 'index': {
+          const index = String(context.index ?? '');
+          return format ? index.padStart(format.length, '0') : index;
+        }
+        case 'url':
+          return context.url ? this.extractDefaultUrlSegment(context.url) : '';
+        case 'project':
+        case 'path':
+        case 'category':
+        case 'title':
+        case 'preset':
+        case 'width':
+        case 'height':
+        case 'mode':
+        case 'status':
+        case 'params':
+        case 'step':
+        case 'custom': {
+          const value = String(context[tokenName] ?? '');
+          return value ? this.sanitizeFilename(value) : '';
+        }
+        default:
+          return token;
+      }
+    });
+    return `${this.sanitizeFilename(fileName)}.${extension}`;
+  }
+
+  /**
+   * Format a date with the YYYY, MM, DD, HH, mm and ss placeholders
+   * @param {Date} date - Date to format
+   * @param {string} format - Format string, e.g. "YYYYMMDD_HHmmss"
+   * @returns {string}
+   */
+  formatDate(date, format) {
+    const pad = value => String(value).padStart(2, '0');
+    const parts = {
+      YYYY: String(date.getFullYear()),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, part => parts[part]);
+  }
+
+  /**
+   * Make a file name unique within a set by adding _2, _3... before the extension
+   * @param {string} fileName - Wanted file name
+   * @param {Set<string>} usedNames - File names already taken (the result is added)
+   * @returns {string}
+   */
+  makeUniqueFilename(fileName, usedNames) {
+    const dot = fileName.lastIndexOf('.');
+    const stem = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : '';
+    let candidate = fileName;
+    for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+      candidate = `${stem}_${i}${extension}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
   getTimestamp() {
     const now = new Date();
     const year = now.getFullYear();
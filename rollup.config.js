@@ -5,14 +5,20 @@ const obfuscator = require('rollup-plugin-obfuscator');
 // Check if we're in production mode
 const production = process.env.NODE_ENV === 'production';
 
-module.exports = {
-  input: 'js/index.js',
+/**
+ * Build settings of one IIFE bundle
+ * @param {string} input - Entry module
+ * @param {string} fileBase - Output file name without extension
+ * @param {string} name - Global variable the bundle's exports are assigned to
+ */
+const bundle = (input, fileBase, name) => ({
+  input,
   output: {
-    file: production 
-      ? 'dist/perspective-screenshot-capture.min.js' 
-      : 'dist/perspective-screenshot-capture.js',
+    file: production
+      ? `dist/${fileBase}.min.js`
+      : `dist/${fileBase}.js`,
     format: 'iife',
-    name: 'PerspectiveScreenshot',
+    name,
     sourcemap: !production // Only include source maps in development
   },
   plugins: [
@@ -41,4 +47,10 @@ module.exports = {
       })
     ] : [])
   ]
-};
\ No newline at end of file
+});
+
+module.exports = [
+  bundle('js/index.js', 'perspective-screenshot-capture', 'PerspectiveScreenshot'),
+  // Loaded by cli/capture-runner.js for headless captures
+  bundle('js/headless.js', 'perspective-screenshot-headless', 'PerspectiveCaptureHeadless')
+];